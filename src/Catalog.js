@@ -0,0 +1,136 @@
+const CAPABILITIES = ['duplex', 'staple', 'flat', 'customSize'];
+
+/**
+ * @typedef {Object} CatalogCapabilities
+ * @property {boolean} [duplex] - Double-sided printing
+ * @property {boolean} [staple] - Stapling
+ * @property {boolean} [flat] - Flat (unfolded) delivery
+ * @property {boolean} [customSize] - Custom dimensions
+ */
+
+function inRange(value, min, max) {
+  return (min == null || value >= min) && (max == null || value <= max);
+}
+
+/**
+ * Read-only view of the product catalog with lookup and filter helpers.
+ * Get one with `client.loadCatalog()`, or wrap a `getCatalog()` response yourself.
+ *
+ * A Catalog can be passed anywhere a catalog array is accepted (e.g. the `catalog`
+ * option of `checkPricing` and `createOrder`).
+ *
+ * @example
+ * const catalog = await client.loadCatalog();
+ * catalog.findBySku('TAB_2D_16P');                       // the product, or undefined
+ * catalog.byProductType('Newsletter');                   // every newsletter
+ * catalog.withCapabilities({ staple: true, duplex: true });
+ * catalog.supportsDimensions(48, 36);                    // true if a custom-size product fits
+ */
+export class Catalog {
+  #products;
+  #bySku;
+
+  /**
+   * @param {import('./PrintApiClient.js').CatalogProduct[]} products - The `catalog` array of a getCatalog response
+   * @throws {Error} If products is not an array
+   */
+  constructor(products) {
+    if (!Array.isArray(products)) throw new Error('products must be an array of catalog products');
+    this.#products = Object.freeze([...products]);
+    this.#bySku = new Map(this.#products.map((product) => [product.sku, product]));
+  }
+
+  /** @type {ReadonlyArray<import('./PrintApiClient.js').CatalogProduct>} Every product, in catalog order */
+  get products() {
+    return this.#products;
+  }
+
+  /** @type {number} Number of products */
+  get size() {
+    return this.#products.length;
+  }
+
+  [Symbol.iterator]() {
+    return this.#products[Symbol.iterator]();
+  }
+
+  /**
+   * @param {string} sku
+   * @returns {import('./PrintApiClient.js').CatalogProduct|undefined}
+   */
+  findBySku(sku) {
+    return this.#bySku.get(sku);
+  }
+
+  /**
+   * @param {string} productType - "Newsletter", "Calendar", "Flyer" or "LFP"
+   * @returns {import('./PrintApiClient.js').CatalogProduct[]}
+   */
+  byProductType(productType) {
+    return this.#products.filter((product) => product.productType === productType);
+  }
+
+  /**
+   * @param {string} sizingType - "LTR", "TAB" or "LFP"
+   * @returns {import('./PrintApiClient.js').CatalogProduct[]}
+   */
+  bySizingType(sizingType) {
+    return this.#products.filter((product) => product.sizingType === sizingType);
+  }
+
+  /**
+   * Products whose capabilities match every given flag. Omitted flags are not checked,
+   * so `{ staple: true }` matches stapled products whether or not they are duplex.
+   *
+   * @param {CatalogCapabilities} capabilities
+   * @returns {import('./PrintApiClient.js').CatalogProduct[]}
+   * @throws {Error} If a flag is unknown or not a boolean
+   */
+  withCapabilities(capabilities) {
+    const entries = Object.entries(capabilities ?? {});
+    for (const [name, value] of entries) {
+      if (!CAPABILITIES.includes(name)) {
+        throw new Error(`${name} is not a capability (use one of: ${CAPABILITIES.join(', ')})`);
+      }
+      if (typeof value !== 'boolean') throw new Error(`${name} must be a boolean`);
+    }
+    return this.#products.filter((product) => entries.every(([name, value]) => Boolean(product[name]) === value));
+  }
+
+  /**
+   * Custom-size products that accept a long edge and short edge, in inches.
+   * Limits a product doesn't set are not checked.
+   *
+   * @param {number} longEdge
+   * @param {number} shortEdge
+   * @returns {import('./PrintApiClient.js').CatalogProduct[]}
+   */
+  productsForDimensions(longEdge, shortEdge) {
+    if (!(longEdge > 0) || !(shortEdge > 0) || shortEdge > longEdge) return [];
+    return this.#products.filter((product) => product.customSize &&
+      inRange(longEdge, product.longEdgeMinDimension, product.longEdgeMaxDimension) &&
+      inRange(shortEdge, product.shortEdgeMinDimension, product.shortEdgeMaxDimension));
+  }
+
+  /**
+   * Whether a custom size can be ordered: some custom-size product (or the given SKU)
+   * accepts the long edge and short edge, in inches.
+   *
+   * @param {number} longEdge
+   * @param {number} shortEdge
+   * @param {Object} [options]
+   * @param {string} [options.sku] - Only check this product (e.g. "LFP_CS")
+   * @returns {boolean}
+   *
+   * @example
+   * if (!catalog.supportsDimensions(120, 36, { sku: 'LFP_CS' })) showError('Too large to print');
+   */
+  supportsDimensions(longEdge, shortEdge, { sku } = {}) {
+    return this.productsForDimensions(longEdge, shortEdge).some((product) => sku == null || product.sku === sku);
+  }
+
+  /** @returns {import('./PrintApiClient.js').CatalogProduct[]} The products, as in a getCatalog response */
+  toJSON() {
+    return [...this.#products];
+  }
+}
@@ -0,0 +1,265 @@
+import { readFile } from 'node:fs/promises';
+import { diffCatalogs } from './catalogDiff.js';
+import { writeJsonFile } from './jsonFile.js';
+
+const FILE_FORMAT_VERSION = 1;
+
+/**
+ * @typedef {Object} CatalogCacheEntry
+ * @property {number} fetchedAt - When the catalog was fetched (ms since epoch)
+ * @property {import('./PrintApiClient.js').CatalogResponse} response - The getCatalog response
+ */
+
+/**
+ * Where a {@link CatalogCache} keeps its entries. Both methods may be sync or async.
+ * @typedef {Object} CatalogStorage
+ * @property {(key: string) => CatalogCacheEntry|undefined|Promise<CatalogCacheEntry|undefined>} get
+ * @property {(key: string, entry: CatalogCacheEntry) => void|Promise<void>} set
+ */
+
+/**
+ * Catalog storage in process memory (the default). Entries are copied on the way
+ * in and out, so callers can't modify the cached catalog.
+ * @implements {CatalogStorage}
+ */
+export class MemoryCatalogStorage {
+  #entries = new Map();
+
+  /**
+   * @param {string} key
+   * @returns {CatalogCacheEntry|undefined}
+   */
+  get(key) {
+    const entry = this.#entries.get(key);
+    return entry && structuredClone(entry);
+  }
+
+  /**
+   * @param {string} key
+   * @param {CatalogCacheEntry} entry
+   */
+  set(key, entry) {
+    this.#entries.set(key, structuredClone(entry));
+  }
+}
+
+/**
+ * Catalog storage in a JSON file, so the cache survives restarts and can be shared
+ * by processes on the same machine. The file is replaced atomically on every write,
+ * and writes through one instance are applied one at a time so none of its entries
+ * are lost; when several processes write at once, the last write wins.
+ * A missing or unreadable file counts as an empty cache.
+ * @implements {CatalogStorage}
+ *
+ * @example
+ * const client = new PrintApiClient({
+ *   apiKey, accountId,
+ *   catalogCache: { storage: new FileCatalogStorage('./.cache/printapi-catalog.json') }
+ * });
+ */
+export class FileCatalogStorage {
+  #path;
+  #writes = Promise.resolve();
+
+  /**
+   * @param {string} path - File to read and write; its directory is created if needed
+   * @throws {Error} If path is not a non-empty string
+   */
+  constructor(path) {
+    if (typeof path !== 'string' || !path.trim()) throw new Error('path must be a non-empty string');
+    this.#path = path;
+  }
+
+  /** @type {string} The cache file */
+  get path() {
+    return this.#path;
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<CatalogCacheEntry|undefined>}
+   */
+  async get(key) {
+    return (await this.#read())[key];
+  }
+
+  /**
+   * @param {string} key
+   * @param {CatalogCacheEntry} entry
+   * @returns {Promise<void>}
+   */
+  set(key, entry) {
+    // Read-modify-write, so queue behind earlier writes to keep their entries
+    const write = this.#writes.then(async () => {
+      const entries = { ...(await this.#read()), [key]: entry };
+      await writeJsonFile(this.#path, { version: FILE_FORMAT_VERSION, entries });
+    });
+    this.#writes = write.catch(() => {});
+    return write;
+  }
+
+  async #read() {
+    try {
+      const data = JSON.parse(await readFile(this.#path, 'utf8'));
+      return data?.version === FILE_FORMAT_VERSION && data.entries && typeof data.entries === 'object'
+        ? data.entries
+        : {};
+    } catch {
+      return {};
+    }
+  }
+}
+
+/**
+ * Cache for `getCatalog()` responses.
+ *
+ * - Within `ttlMs` of being fetched, the cached catalog is returned without a request.
+ * - For `staleWhileRevalidateMs` after that, the cached catalog is still returned,
+ *   and a single background request refreshes it.
+ * - After that, the next call waits for a fresh catalog. Calls that arrive while it
+ *   loads wait for the same request.
+ *
+ * When a refresh returns a different catalog (a SKU added or removed, or any product
+ * field changed), `onChange` is called with the old and new catalogs and their
+ * {@link diffCatalogs} diff.
+ *
+ * Pass the same instance to several clients to share one cache; entries are kept
+ * per API base URL and account.
+ *
+ * @example
+ * const cache = new CatalogCache({ ttlMs: 60 * 60 * 1000, staleWhileRevalidateMs: 24 * 60 * 60 * 1000 });
+ * const client = new PrintApiClient({ apiKey, accountId, catalogCache: cache });
+ */
+export class CatalogCache {
+  #ttlMs;
+  #staleWhileRevalidateMs;
+  #storage;
+  #onChange;
+  #refreshing = new Map();
+  #loading = new Map();
+
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.ttlMs=3600000] - How long a fetched catalog is fresh
+   * @param {number} [options.staleWhileRevalidateMs=0] - How long after `ttlMs` a stale catalog is
+   *   still returned while it is refreshed in the background
+   * @param {CatalogStorage} [options.storage] - Where entries are kept (default: a MemoryCatalogStorage)
+   * @param {(change: { key: string, previous: import('./PrintApiClient.js').CatalogProduct[],
+   *   catalog: import('./PrintApiClient.js').CatalogProduct[],
+   *   diff: import('./catalogDiff.js').CatalogDiff }) => void} [options.onChange] -
+   *   Called when a refresh returns a different catalog
+   * @throws {Error} If an option is invalid
+   */
+  constructor({ ttlMs = 60 * 60 * 1000, staleWhileRevalidateMs = 0, storage, onChange } = {}) {
+    if (typeof ttlMs !== 'number' || !(ttlMs >= 0)) throw new Error('ttlMs must be a non-negative number');
+    if (typeof staleWhileRevalidateMs !== 'number' || !(staleWhileRevalidateMs >= 0)) {
+      throw new Error('staleWhileRevalidateMs must be a non-negative number');
+    }
+    if (storage != null && (typeof storage.get !== 'function' || typeof storage.set !== 'function')) {
+      throw new Error('storage must have get and set methods');
+    }
+    if (onChange != null && typeof onChange !== 'function') throw new Error('onChange must be a function');
+    this.#ttlMs = ttlMs;
+    this.#staleWhileRevalidateMs = staleWhileRevalidateMs;
+    this.#storage = storage ?? new MemoryCatalogStorage();
+    this.#onChange = onChange;
+  }
+
+  /**
+   * Return the cached catalog for `key`, loading it with `load` when needed.
+   *
+   * @param {string} key - Cache key (the client uses its base URL and account ID)
+   * @param {(context: { background: boolean, shared: boolean }) => Promise<import('./PrintApiClient.js').CatalogResponse>} load -
+   *   Fetches the catalog; `background` is true for stale-while-revalidate refreshes, which outlive the call,
+   *   and `shared` for misses, which other calls may join. Neither should be cancelled by this call alone.
+   * @param {Object} [options]
+   * @param {boolean} [options.forceRefresh=false] - Ignore the cached entry and load a fresh catalog
+   * @param {(error: Error) => void} [options.onRefreshError] - Receives background refresh failures
+   * @param {(error: Error) => void} [options.onStoreError] - Receives failures to save a loaded
+   *   catalog to storage; the loaded catalog is still returned
+   * @param {Function} [options.onChange] - Called like the constructor's `onChange` when this call's
+   *   refresh returns a different catalog
+   * @returns {Promise<{ response: import('./PrintApiClient.js').CatalogResponse,
+   *   status: 'hit'|'stale'|'miss'|'refresh' }>} The catalog and how it was obtained
+   * @throws {*} Whatever `load` throws, when the catalog had to be loaded. A miss that joins
+   *   another call's load gets that call's result or error.
+   */
+  async get(key, load, { forceRefresh = false, onRefreshError, onStoreError, onChange } = {}) {
+    const listeners = { onStoreError, onChange };
+    if (forceRefresh) {
+      const previous = await this.#storage.get(key);
+      const response = await this.#store(key, await load({ background: false, shared: false }), previous, listeners);
+      return { response, status: 'refresh' };
+    }
+
+    const entry = await this.#storage.get(key);
+    if (entry) {
+      const age = Date.now() - entry.fetchedAt;
+      if (age < this.#ttlMs) return { response: entry.response, status: 'hit' };
+      if (age < this.#ttlMs + this.#staleWhileRevalidateMs) {
+        this.#revalidate(key, load, entry, { onRefreshError, ...listeners });
+        return { response: entry.response, status: 'stale' };
+      }
+    }
+    return { response: await this.#loadMissing(key, load, entry, listeners), status: 'miss' };
+  }
+
+  #loadMissing(key, load, entry, listeners) {
+    let loading = this.#loading.get(key);
+    if (!loading) {
+      loading = (async () => {
+        try {
+          return await this.#store(key, await load({ background: false, shared: true }), entry, listeners);
+        } finally {
+          this.#loading.delete(key);
+        }
+      })();
+      this.#loading.set(key, loading);
+    }
+    return loading;
+  }
+
+  #revalidate(key, load, entry, { onRefreshError, ...listeners }) {
+    if (this.#refreshing.has(key)) return;
+    const refresh = (async () => {
+      try {
+        await this.#store(key, await load({ background: true, shared: false }), entry, listeners);
+      } catch (err) {
+        onRefreshError?.(err);
+      } finally {
+        this.#refreshing.delete(key);
+      }
+    })();
+    this.#refreshing.set(key, refresh);
+  }
+
+  async #store(key, response, previous, { onStoreError, onChange }) {
+    try {
+      await this.#storage.set(key, { fetchedAt: Date.now(), response });
+    } catch (err) {
+      // The catalog was loaded, so a full disk or read-only cache shouldn't fail the call
+      onStoreError?.(err);
+    }
+    const before = previous?.response?.catalog;
+    const after = response?.catalog;
+    const diff = Array.isArray(before) && Array.isArray(after) ? diffCatalogs(before, after) : undefined;
+    if (diff?.hasChanges) {
+      for (const listener of [this.#onChange, onChange]) {
+        try {
+          listener?.({ key, previous: before, catalog: after, diff });
+        } catch {
+          // Listeners are best-effort
+        }
+      }
+    }
+    return response;
+  }
+
+  /**
+   * Wait for background refreshes started by stale reads to settle.
+   * @returns {Promise<void>}
+   */
+  async settled() {
+    await Promise.all(this.#refreshing.values());
+  }
+}
@@ -0,0 +1,130 @@
+import { readFile } from 'node:fs/promises';
+import { Catalog } from './Catalog.js';
+import { writeJsonFile } from './jsonFile.js';
+
+export const SNAPSHOT_FORMAT_VERSION = 1;
+
+/**
+ * @typedef {Object} CatalogSnapshotData
+ * @property {number} version - File format version (SNAPSHOT_FORMAT_VERSION)
+ * @property {string} fetchedAt - When the catalog was fetched (ISO 8601)
+ * @property {import('./PrintApiClient.js').CatalogProduct[]} catalog - The products
+ */
+
+/**
+ * A catalog saved with the time it was fetched, for validating orders and looking up
+ * SKUs where `getCatalog()` can't be called. Create one with `client.exportCatalogSnapshot()`
+ * while online, then pass it to an offline client as `catalogSnapshot`.
+ *
+ * @example
+ * // Online, e.g. in a nightly job
+ * await client.exportCatalogSnapshot('./catalog-snapshot.json');
+ *
+ * // Offline
+ * const client = new PrintApiClient({
+ *   apiKey, accountId,
+ *   catalogSnapshot: await CatalogSnapshot.load('./catalog-snapshot.json')
+ * });
+ * await client.createOrder(orderData, { catalog: true }); // checked against the snapshot
+ */
+export class CatalogSnapshot {
+  #catalog;
+  #fetchedAt;
+
+  /**
+   * @param {Object} snapshot
+   * @param {import('./PrintApiClient.js').CatalogProduct[]|Catalog} snapshot.catalog - The products
+   * @param {Date|string|number} [snapshot.fetchedAt=new Date()] - When the catalog was fetched
+   * @throws {Error} If catalog is not an array or Catalog, or fetchedAt is not a valid date
+   */
+  constructor({ catalog, fetchedAt = new Date() } = {}) {
+    if (!(catalog instanceof Catalog) && !Array.isArray(catalog)) {
+      throw new Error('catalog must be an array of catalog products or a Catalog');
+    }
+    const date = new Date(fetchedAt);
+    if ((typeof fetchedAt !== 'string' && typeof fetchedAt !== 'number' && !(fetchedAt instanceof Date)) ||
+      Number.isNaN(date.getTime())) {
+      throw new Error('fetchedAt must be a valid date');
+    }
+    this.#catalog = catalog instanceof Catalog ? catalog : new Catalog(catalog);
+    this.#fetchedAt = date;
+  }
+
+  /** @type {Catalog} The products */
+  get catalog() {
+    return this.#catalog;
+  }
+
+  /** @type {Date} When the catalog was fetched */
+  get fetchedAt() {
+    return new Date(this.#fetchedAt);
+  }
+
+  /**
+   * @param {number} [now=Date.now()]
+   * @returns {number} Milliseconds since the catalog was fetched
+   */
+  ageMs(now = Date.now()) {
+    return now - this.#fetchedAt.getTime();
+  }
+
+  /**
+   * @param {number} maxAgeMs
+   * @param {number} [now=Date.now()]
+   * @returns {boolean} Whether the catalog was fetched more than `maxAgeMs` ago
+   */
+  isStale(maxAgeMs, now = Date.now()) {
+    return this.ageMs(now) > maxAgeMs;
+  }
+
+  /** @returns {CatalogSnapshotData} The file contents */
+  toJSON() {
+    return {
+      version: SNAPSHOT_FORMAT_VERSION,
+      fetchedAt: this.#fetchedAt.toISOString(),
+      catalog: this.#catalog.toJSON()
+    };
+  }
+
+  /**
+   * Write the snapshot to a JSON file. The file is replaced atomically and its
+   * directory is created if needed.
+   * @param {string} path
+   * @returns {Promise<void>}
+   * @throws {Error} If path is not a non-empty string, or the file can't be written
+   */
+  async save(path) {
+    if (typeof path !== 'string' || !path.trim()) throw new Error('path must be a non-empty string');
+    await writeJsonFile(path, this, 2);
+  }
+
+  /**
+   * Read a snapshot from its JSON form.
+   * @param {CatalogSnapshotData} data
+   * @returns {CatalogSnapshot}
+   * @throws {Error} If data is not a snapshot or has an unsupported version
+   */
+  static fromJSON(data) {
+    if (data === null || typeof data !== 'object' || !Array.isArray(data.catalog) || typeof data.fetchedAt !== 'string') {
+      throw new Error('not a catalog snapshot (expected version, fetchedAt and catalog)');
+    }
+    if (data.version !== SNAPSHOT_FORMAT_VERSION) {
+      throw new Error(`unsupported catalog snapshot version ${data.version} (expected ${SNAPSHOT_FORMAT_VERSION})`);
+    }
+    return new CatalogSnapshot({ catalog: data.catalog, fetchedAt: data.fetchedAt });
+  }
+
+  /**
+   * Read a snapshot written by {@link CatalogSnapshot#save}.
+   * @param {string} path
+   * @returns {Promise<CatalogSnapshot>}
+   * @throws {Error} If the file can't be read or is not a snapshot
+   */
+  static async load(path) {
+    try {
+      return CatalogSnapshot.fromJSON(JSON.parse(await readFile(path, 'utf8')));
+    } catch (err) {
+      throw new Error(`Could not load catalog snapshot ${path}: ${err.message}`, { cause: err });
+    }
+  }
+}
@@ -0,0 +1,148 @@
+/**
+ * Default failure test: 5xx responses, network errors and timeouts.
+ * 4xx responses mean the API is up and answering, so they count as successes.
+ * @param {import('./PrintApiError.js').PrintApiError} error
+ * @returns {boolean}
+ */
+function isServerFailure(error) {
+  return error.status === 0 || error.status >= 500;
+}
+
+/**
+ * Circuit breaker that stops calls to an unhealthy API.
+ *
+ * - `closed`: calls go through. After `failureThreshold` consecutive
+ *   failures the circuit opens.
+ * - `open`: calls fail fast without touching the network. After `cooldownMs`
+ *   the circuit half-opens.
+ * - `half-open`: a single trial call goes through (others still fail fast).
+ *   Success closes the circuit; failure opens it for another cooldown.
+ *
+ * @example
+ * const breaker = new CircuitBreaker({ failureThreshold: 5, cooldownMs: 30000 });
+ * breaker.onStateChange((state, previous) => console.log(`circuit ${previous} -> ${state}`));
+ * const client = new PrintApiClient({ apiKey, accountId, circuitBreaker: breaker });
+ */
+export class CircuitBreaker {
+  #failureThreshold;
+  #cooldownMs;
+  #isFailure;
+  #state = 'closed';
+  #failures = 0;
+  #openedAt = 0;
+  #trial = null;
+  #listeners = new Set();
+
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.failureThreshold=5] - Consecutive failures that open the circuit
+   * @param {number} [options.cooldownMs=30000] - Time the circuit stays open before a trial call
+   * @param {(error: Error) => boolean} [options.isFailure] - Which errors count as failures
+   *   (default: status 0 or >= 500)
+   * @param {(state: string, previous: string) => void} [options.onStateChange] - State change listener
+   * @throws {Error} If failureThreshold or cooldownMs is invalid
+   */
+  constructor({ failureThreshold = 5, cooldownMs = 30000, isFailure = isServerFailure, onStateChange } = {}) {
+    if (!Number.isInteger(failureThreshold) || failureThreshold < 1) {
+      throw new Error('failureThreshold must be a positive integer');
+    }
+    if (typeof cooldownMs !== 'number' || cooldownMs < 0) {
+      throw new Error('cooldownMs must be a non-negative number');
+    }
+    this.#failureThreshold = failureThreshold;
+    this.#cooldownMs = cooldownMs;
+    this.#isFailure = isFailure;
+    if (onStateChange) this.onStateChange(onStateChange);
+  }
+
+  /** @type {'closed'|'open'|'half-open'} Current state */
+  get state() {
+    if (this.#state === 'open' && Date.now() - this.#openedAt >= this.#cooldownMs) {
+      this.#transition('half-open');
+    }
+    return this.#state;
+  }
+
+  /** @type {number} Milliseconds until an open circuit half-opens (0 when not open) */
+  get remainingCooldownMs() {
+    if (this.state !== 'open') return 0;
+    return Math.max(0, this.#cooldownMs - (Date.now() - this.#openedAt));
+  }
+
+  /**
+   * Listen for state changes.
+   * @param {(state: string, previous: string) => void} listener
+   * @returns {() => void} Removes the listener
+   */
+  onStateChange(listener) {
+    if (typeof listener !== 'function') throw new Error('listener must be a function');
+    this.#listeners.add(listener);
+    return () => this.#listeners.delete(listener);
+  }
+
+  /**
+   * Ask permission to make a call. Every permit must be passed to exactly
+   * one {@link CircuitBreaker#record} call.
+   * @returns {{ trial: boolean }|null} A permit for this call (`trial` is true for the
+   *   half-open trial call), or null if the call should fail fast
+   */
+  tryAcquire() {
+    const state = this.state;
+    if (state === 'closed') return { trial: false };
+    if (state === 'half-open' && !this.#trial) {
+      this.#trial = { trial: true };
+      return this.#trial;
+    }
+    return null;
+  }
+
+  /**
+   * Record the outcome of a call allowed by {@link CircuitBreaker#tryAcquire}.
+   * Only the trial call decides a half-open circuit; calls that started while the
+   * circuit was closed and finish after it opened are ignored.
+   * @param {{ trial: boolean }} permit - Returned by tryAcquire for this call
+   * @param {Error|null} [error] - The failure, or null/undefined on success
+   * @param {Object} [options]
+   * @param {boolean} [options.neutral=false] - The call ended without telling us
+   *   anything about the API's health (e.g. it was aborted)
+   * @throws {Error} If permit is not an object
+   */
+  record(permit, error, { neutral = false } = {}) {
+    if (permit === null || typeof permit !== 'object') throw new Error('permit must be the object returned by tryAcquire');
+    const isTrial = permit === this.#trial;
+    if (isTrial) this.#trial = null;
+    if (neutral || (!isTrial && this.#state !== 'closed')) return;
+
+    if (error && this.#isFailure(error)) {
+      this.#failures++;
+      if (isTrial || this.#failures >= this.#failureThreshold) this.#open();
+    } else {
+      this.#failures = 0;
+      if (this.#state !== 'closed') this.#transition('closed');
+    }
+  }
+
+  /** Force the circuit closed and clear the failure count. */
+  reset() {
+    this.#failures = 0;
+    this.#trial = null;
+    if (this.#state !== 'closed') this.#transition('closed');
+  }
+
+  #open() {
+    this.#openedAt = Date.now();
+    if (this.#state !== 'open') this.#transition('open');
+  }
+
+  #transition(state) {
+    const previous = this.#state;
+    this.#state = state;
+    for (const listener of this.#listeners) {
+      try {
+        listener(state, previous);
+      } catch {
+        // Listeners are best-effort
+      }
+    }
+  }
+}
@@ -1,5 +1,24 @@
 import { PrintApiError } from './PrintApiError.js';
-import { validateOrderItems, validateCreateOrderData, validateOrderNumber } from './validate.js';
+import {
+  NetworkError,
+  TimeoutError,
+  ParseError,
+  CircuitOpenError,
+  ConflictError,
+  createApiError
+} from './errors.js';
+import { validateOrder, validatePricing, validateOrderNumber, assertValid, resolveFieldLimits } from './validate.js';
+import { resolveRetryPolicy, parseRetryAfter, computeRetryDelay, sleep } from './retry.js';
+import { RateLimiter } from './RateLimiter.js';
+import { CircuitBreaker } from './CircuitBreaker.js';
+import { redactHeaders, redactPii } from './redact.js';
+import { normalizeOrder, sanitizeOrder } from './normalize.js';
+import { preflightFiles } from './preflight.js';
+import { inspectOrderPdfs } from './pdf.js';
+import { CatalogCache } from './CatalogCache.js';
+import { Catalog } from './Catalog.js';
+import { CatalogSnapshot } from './CatalogSnapshot.js';
+import { affectedSkus } from './catalogDiff.js';
 
 /**
  * @typedef {Object} CatalogProduct
@@ -100,7 +119,8 @@ import { validateOrderItems, validateCreateOrderData, validateOrderNumber } from
 
 /**
  * @typedef {Object} CreateOrderRequest
- * @property {string} orderDatetime - ISO 8601 datetime of when the order was placed in your system
+ * @property {string|Date} orderDatetime - When the order was placed in your system: an ISO 8601 datetime
+ *   with a timezone (e.g. "2024-01-15T10:30:00Z"), or a Date (sent as an ISO string)
  * @property {string} sourceReferenceOrderNumber - Your unique order number (must be unique per account)
  * @property {OrderItem[]} orderItems - Array of order items (files required)
  * @property {ShippingCustomer} shippingCustomer - Shipping recipient
@@ -144,6 +164,177 @@ import { validateOrderItems, validateCreateOrderData, validateOrderNumber } from
  * @property {boolean} [testOrder] - Present and true if this is a test order
  */
 
+/**
+ * @typedef {Object} RetryOptions
+ * @property {number} [maxAttempts=3] - Total attempts per call, including the first
+ * @property {number} [baseDelayMs=500] - Backoff base; attempt n waits up to baseDelayMs * 2^(n-1)
+ * @property {number} [maxDelayMs=30000] - Upper bound on any single delay (including Retry-After)
+ * @property {boolean} [jitter=true] - Randomize each delay between 0 and the computed backoff
+ * @property {number[]} [retryOn=[0, 429, 500, 502, 503, 504]] - Statuses that trigger a retry (0 = network error)
+ * @property {boolean} [retryNonIdempotent=false] - Also retry createOrder and cancelOrder
+ */
+
+/**
+ * @typedef {Object} RequestOptions
+ * @property {AbortSignal} [signal] - Cancels the call (including any pending retry delay)
+ * @property {number} [timeoutMs] - Per-attempt timeout; overrides the client-wide `timeoutMs`
+ */
+
+/**
+ * @typedef {Object} CatalogOptions
+ * @property {boolean} [forceRefresh=false] - Skip the client's `catalogCache` and fetch a fresh catalog
+ *   (which then replaces the cached one)
+ * @property {AbortSignal} [signal] - Cancels the call (including any pending retry delay)
+ * @property {number} [timeoutMs] - Per-attempt timeout; overrides the client-wide `timeoutMs`
+ */
+
+/**
+ * @typedef {Object} PricingOptions
+ * @property {CatalogProduct[]|Catalog|true} [catalog] - Validate items against this catalog before sending
+ *   (unknown SKUs, productType mismatches, unsupported staple/flat, custom dimensions out of range).
+ *   `true` fetches the catalog with `getCatalog()` first.
+ * @property {boolean|'warn'} [strict] - Unknown-field handling for this call; overrides the client-wide `strict`
+ * @property {AbortSignal} [signal] - Cancels the call (including any pending retry delay)
+ * @property {number} [timeoutMs] - Per-attempt timeout; overrides the client-wide `timeoutMs`
+ */
+
+/**
+ * @typedef {Object} CreateOrderOptions
+ * @property {'throw'|'return-existing'} [onDuplicate='throw'] - What to do when the API reports the
+ *   sourceReferenceOrderNumber as a duplicate (409 with existingOrderNumber). "return-existing" looks up
+ *   the existing order and returns it instead of throwing, and allows createOrder to be retried.
+ * @property {CatalogProduct[]|Catalog|true} [catalog] - Validate items against this catalog before sending;
+ *   `true` fetches it with `getCatalog()` first. See {@link PricingOptions}.
+ * @property {boolean|'warn'} [strict] - Unknown-field handling for this call; overrides the client-wide `strict`
+ * @property {boolean|((changes: import('./normalize.js').NormalizationChange[]) => void)} [normalize=false] -
+ *   Normalize shippingCustomer/billingCustomer (trim, state names, ZIP+4, phone, email case) before
+ *   validating and sending. Pass a function to also receive the list of changes.
+ * @property {boolean|((changes: import('./normalize.js').NormalizationChange[]) => void)} [sanitize=false] -
+ *   Transliterate unprintable characters and cut over-long names, address lines, city, company and
+ *   notes to the client's `fieldLimits` (if set) instead of rejecting them. Pass a function to also receive the
+ *   list of changes.
+ * @property {boolean} [defaultOrderDatetime=false] - Use the current time when `orderDatetime` is missing
+ * @property {boolean|import('./preflight.js').PreflightOptions} [preflight=false] - Check that every file
+ *   URL is reachable and is a PDF before submitting; `true` uses the default options
+ * @property {boolean|{ concurrency?: number, maxBytes?: number, onReport?: Function }} [inspectPdfs=false] -
+ *   Download every file and check its page count and page size against the item's SKU, `staple` flag
+ *   and LFP dimensions before submitting. `onReport` receives what was read from each file.
+ * @property {AbortSignal} [signal] - Cancels the call (including any pending retry delay)
+ * @property {number} [timeoutMs] - Per-attempt timeout; overrides the client-wide `timeoutMs`
+ */
+
+/**
+ * Status of the order that already uses the sourceReferenceOrderNumber, flagged with `duplicate: true`.
+ * @typedef {OrderStatusResponse & { duplicate: true }} DuplicateOrderResult
+ */
+
+/**
+ * @typedef {Object} RequestContext
+ * @property {string} method - HTTP method
+ * @property {string} path - API path relative to the base URL (e.g. "/orderstatus")
+ * @property {Object} query - Query parameters (null/undefined values are skipped)
+ * @property {Object} [body] - Request body, serialized as JSON after the chain runs
+ * @property {Object<string, string>} headers - Request headers, including X-API-Key
+ * @property {number} attempt - Attempt number (1-based; increases on retries)
+ * @property {AbortSignal} signal - Aborted on timeout or caller cancellation
+ */
+
+/**
+ * @typedef {Object} ApiResponse
+ * @property {number} status - HTTP status code
+ * @property {boolean} ok - Whether the status is 2xx
+ * @property {Headers} headers - Response headers
+ * @property {Object} data - Parsed JSON body
+ */
+
+/**
+ * @callback Middleware
+ * @param {RequestContext} ctx - Mutable request context
+ * @param {() => Promise<ApiResponse>} next - Sends the request through the rest of the chain
+ * @returns {Promise<ApiResponse|Object>} The response; `ok` and `headers` are filled in if omitted
+ */
+
+/**
+ * @typedef {Object} Logger
+ * @property {(message: string, meta?: Object) => void} [debug] - Request lines, timing and response status
+ * @property {(message: string, meta?: Object) => void} [info]
+ * @property {(message: string, meta?: Object) => void} [warn] - Retries
+ * @property {(message: string, meta?: Object) => void} [error] - Calls that failed for good
+ */
+
+/**
+ * @typedef {Object} RequestEvent
+ * @property {number} requestId - Identifies one call across its events (unique per process)
+ * @property {string} operation - Public method name (e.g. "createOrder")
+ * @property {string} endpoint - Method and path (e.g. "POST /order")
+ * @property {string} method - HTTP method
+ * @property {string} path - API path
+ * @property {number} [attempt] - Failed attempt number (`retry` only)
+ * @property {number} [delayMs] - Delay before the next attempt (`retry` only)
+ * @property {number} [attempts] - Attempts made (`response` and `error`)
+ * @property {number|null} [status] - HTTP status (0 for network errors and timeouts)
+ * @property {string} [errorType] - Error type (`retry` and `error`)
+ * @property {number} [durationMs] - Total call duration including retries (`response` and `error`)
+ * @property {Error} [error] - The failure (`retry` and `error`)
+ */
+
+let nextRequestId = 1;
+
+/**
+ * Error for a call cancelled through the caller's AbortSignal.
+ * @returns {PrintApiError}
+ */
+function abortedError() {
+  return new PrintApiError(0, 'AbortError', 'Request aborted');
+}
+
+/**
+ * Settle like `promise`, or reject with an AbortError as soon as `signal` aborts.
+ * `promise` keeps running either way.
+ * @template T
+ * @param {Promise<T>} promise
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<T>}
+ */
+function raceAbort(promise, signal) {
+  if (!signal) return promise;
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(abortedError());
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+/**
+ * Fill in defaults for a response returned by a middleware.
+ * @param {Partial<ApiResponse>} response
+ * @returns {ApiResponse}
+ */
+function normalizeResponse(response) {
+  if (!response || typeof response !== 'object') {
+    throw new Error('middleware must return a response object');
+  }
+  const status = response.status ?? 200;
+  return {
+    ...response,
+    status,
+    ok: response.ok ?? (status >= 200 && status < 300),
+    headers: response.headers instanceof Headers ? response.headers : new Headers(response.headers)
+  };
+}
+
+/**
+ * Extract the transport-level options from a public method's options bag.
+ * @param {RequestOptions} options
+ * @returns {{ signal?: AbortSignal, timeoutMs?: number }}
+ */
+function pickRequestOptions({ signal, timeoutMs }) {
+  return {
+    ...(signal && { signal }),
+    ...(timeoutMs != null && { timeoutMs })
+  };
+}
+
 /**
  * Client for the Activity Connection Commercial Print API.
  *
@@ -162,6 +353,22 @@ export class PrintApiClient {
   #accountId;
   #baseUrl;
   #testMode;
+  #retry;
+  #timeoutMs;
+  #fetch;
+  #middleware = [];
+  #rateLimiter;
+  #logger;
+  #redactPii;
+  #listeners = new Map();
+  #circuitBreaker;
+  #strict;
+  #fieldLimits;
+  #printableOnly;
+  #catalogCache;
+  #catalogSnapshot;
+  #catalogSnapshotMaxAgeMs;
+  #warnedStaleSnapshot = false;
 
   /**
    * Create a new PrintAPI client.
@@ -171,72 +378,604 @@ export class PrintApiClient {
    * @param {string} config.accountId - Your account ID (auto-injected into requests)
    * @param {string} [config.baseUrl='https://printapi.net/api/v1'] - API base URL
    * @param {boolean} [config.testMode=false] - When true, automatically sets testOrder on every createOrder call
-   * @throws {Error} If apiKey or accountId is missing
+   * @param {boolean|RetryOptions} [config.retry=false] - Retry policy; `true` uses the defaults
+   * @param {number} [config.timeoutMs=0] - Per-attempt timeout in ms (0 = no timeout)
+   * @param {typeof fetch} [config.fetch] - Fetch implementation to use instead of the global `fetch`
+   * @param {RateLimiter|Object} [config.rateLimit] - Shared RateLimiter, or options to create one
+   *   (`requestsPerSecond`, `burst`, `maxConcurrent`)
+   * @param {Logger} [config.logger] - Receives debug/info/warn/error logs (e.g. `console`)
+   * @param {boolean} [config.redactPii=true] - Mask customer emails, phones and addresses in logs.
+   *   The API key is always masked.
+   * @param {CircuitBreaker|Object} [config.circuitBreaker] - Circuit breaker, or options to create one
+   *   (`failureThreshold`, `cooldownMs`)
+   * @param {boolean|'warn'} [config.strict=false] - Unknown fields on orders, items and customers
+   *   (e.g. `stapled` instead of `staple`): `true` rejects them, "warn" logs a warning, `false` ignores them
+   * @param {import('./validate.js').FieldLimits} [config.fieldLimits=false] - Check the lengths of names,
+   *   address lines, city, company and notes: `true` for the suggested FIELD_LIMITS, or an object to
+   *   override some of them. Lengths are not checked by default
+   * @param {boolean} [config.printableOnly=false] - Also reject names, address lines, city, company
+   *   and notes with characters that can't be printed on a shipping label (see `validateOrder`)
+   * @param {boolean|CatalogCache|Object} [config.catalogCache=false] - Cache `getCatalog()` responses:
+   *   a shared CatalogCache, options to create one (`ttlMs`, `staleWhileRevalidateMs`, `storage`,
+   *   `onChange`), or `true` for the defaults
+   * @param {CatalogSnapshot} [config.catalogSnapshot] - Serve `getCatalog()` from this snapshot instead of
+   *   the API, e.g. where the network is not always available
+   * @param {number} [config.catalogSnapshotMaxAgeMs=604800000] - Log a warning and emit
+   *   `catalogSnapshotStale` when the snapshot is older than this (default 7 days)
+   * @throws {Error} If apiKey or accountId is missing, fetch is not a function, or strict, fieldLimits,
+   *   printableOnly or the catalog snapshot options are invalid
    */
-  constructor({ apiKey, accountId, baseUrl = 'https://printapi.net/api/v1', testMode = false } = {}) {
+  constructor({
+    apiKey,
+    accountId,
+    baseUrl = 'https://printapi.net/api/v1',
+    testMode = false,
+    retry = false,
+    timeoutMs = 0,
+    fetch: fetchImpl,
+    rateLimit,
+    logger,
+    redactPii = true,
+    circuitBreaker,
+    strict = false,
+    fieldLimits,
+    printableOnly = false,
+    catalogCache = false,
+    catalogSnapshot,
+    catalogSnapshotMaxAgeMs = 7 * 24 * 60 * 60 * 1000
+  } = {}) {
     if (typeof apiKey !== 'string' || !apiKey.trim()) throw new Error('apiKey is required');
     if (typeof accountId !== 'string' || !accountId.trim()) throw new Error('accountId is required');
+    if (fetchImpl != null && typeof fetchImpl !== 'function') throw new Error('fetch must be a function');
+    if (strict !== true && strict !== false && strict !== 'warn') throw new Error('strict must be true, false or "warn"');
+    if (typeof printableOnly !== 'boolean') throw new Error('printableOnly must be a boolean');
+    if (catalogSnapshot != null && !(catalogSnapshot instanceof CatalogSnapshot)) {
+      throw new Error('catalogSnapshot must be a CatalogSnapshot');
+    }
+    if (typeof catalogSnapshotMaxAgeMs !== 'number' || !(catalogSnapshotMaxAgeMs >= 0)) {
+      throw new Error('catalogSnapshotMaxAgeMs must be a non-negative number');
+    }
     this.#apiKey = apiKey;
     this.#accountId = accountId;
     this.#baseUrl = baseUrl.replace(/\/+$/, '');
     this.#testMode = testMode;
+    this.#retry = resolveRetryPolicy(retry);
+    this.#timeoutMs = timeoutMs;
+    this.#fetch = fetchImpl;
+    if (rateLimit) {
+      this.#rateLimiter = rateLimit instanceof RateLimiter ? rateLimit : new RateLimiter(rateLimit);
+    }
+    this.#logger = logger;
+    this.#redactPii = redactPii;
+    if (circuitBreaker) {
+      this.#circuitBreaker = circuitBreaker instanceof CircuitBreaker
+        ? circuitBreaker
+        : new CircuitBreaker(circuitBreaker);
+      this.#circuitBreaker.onStateChange((state, previousState) => {
+        this.#log('warn', `PrintAPI circuit breaker ${previousState} -> ${state}`);
+        this.#emit('circuit', { state, previousState });
+      });
+    }
+    this.#strict = strict;
+    this.#fieldLimits = resolveFieldLimits(fieldLimits);
+    this.#printableOnly = printableOnly;
+    if (catalogCache) {
+      this.#catalogCache = catalogCache instanceof CatalogCache
+        ? catalogCache
+        : new CatalogCache(catalogCache === true ? {} : catalogCache);
+    }
+    this.#catalogSnapshot = catalogSnapshot;
+    this.#catalogSnapshotMaxAgeMs = catalogSnapshotMaxAgeMs;
   }
 
   /**
-   * Make an HTTP request to the API.
+   * Write to the configured logger. A logger that throws never breaks a call.
+   * @param {'debug'|'info'|'warn'|'error'} level
+   * @param {string} message
+   * @param {Object} [meta]
+   */
+  #log(level, message, meta) {
+    try {
+      this.#logger?.[level]?.(message, meta);
+    } catch {
+      // Logging is best-effort
+    }
+  }
+
+  /**
+   * Subscribe to request lifecycle events.
+   *
+   * - `start` - a call began ({@link RequestEvent})
+   * - `retry` - an attempt failed and will be retried after `delayMs`
+   * - `response` - the call succeeded, with `status`, `attempts` and total `durationMs`
+   * - `error` - the call failed for good, with `status`, `errorType`, `attempts`, `durationMs` and `error`
+   * - `circuit` - the circuit breaker changed state; payload is `{ state, previousState }`
+   * - `catalogChange` - a `catalogCache` refresh returned a different catalog; payload is
+   *   `{ previous, catalog, diff }` (see {@link diffCatalogs})
+   * - `catalogSnapshotStale` - the `catalogSnapshot` was first used while older than
+   *   `catalogSnapshotMaxAgeMs`; payload is `{ fetchedAt, ageMs, maxAgeMs }`
+   *
+   * Listeners run synchronously; an exception thrown by a listener is ignored.
+   *
+   * @param {'start'|'retry'|'response'|'error'|'circuit'|'catalogChange'|'catalogSnapshotStale'} event
+   * @param {(event: RequestEvent|Object) => void} listener
+   * @returns {this} The client, for chaining
+   * @throws {Error} If listener is not a function
+   *
+   * @example
+   * client.on('response', ({ operation, status, durationMs }) => {
+   *   metrics.histogram('printapi.latency', durationMs, { operation, status });
+   * });
+   */
+  on(event, listener) {
+    if (typeof listener !== 'function') throw new Error('listener must be a function');
+    if (!this.#listeners.has(event)) this.#listeners.set(event, new Set());
+    this.#listeners.get(event).add(listener);
+    return this;
+  }
+
+  /**
+   * Remove a listener added with {@link PrintApiClient#on}.
+   * @param {string} event
+   * @param {Function} listener
+   * @returns {this} The client, for chaining
+   */
+  off(event, listener) {
+    this.#listeners.get(event)?.delete(listener);
+    return this;
+  }
+
+  /**
+   * Get told when a `catalogCache` refresh removes SKUs you depend on or changes their
+   * capabilities (see {@link affectedSkus}). Other catalog changes are ignored.
+   *
+   * @param {Iterable<string>|(() => Iterable<string>)} skus - The SKUs to watch, or a function
+   *   returning them (called on every catalog change, so it can read your saved orders)
+   * @param {(affected: import('./catalogDiff.js').AffectedSku[], diff: import('./catalogDiff.js').CatalogDiff) => void} listener -
+   *   Called with the affected SKUs; not called when none are affected
+   * @returns {() => void} Stops watching
+   * @throws {Error} If the client has no `catalogCache` (nothing would ever be reported), or skus
+   *   or listener is invalid
+   *
+   * @example
+   * const unwatch = client.watchSkus(() => savedOrders.skus(), (affected) => {
+   *   for (const { sku, reason, fields } of affected) alertMerchandising(sku, reason, fields);
+   * });
+   */
+  watchSkus(skus, listener) {
+    if (!this.#catalogCache) throw new Error('watchSkus requires the client to have a catalogCache');
+    if (typeof skus === 'string' || (typeof skus !== 'function' && typeof skus?.[Symbol.iterator] !== 'function')) {
+      throw new Error('skus must be an iterable of SKUs or a function returning one');
+    }
+    if (typeof listener !== 'function') throw new Error('listener must be a function');
+    const onChange = ({ diff }) => {
+      const affected = affectedSkus(diff, typeof skus === 'function' ? skus() : skus);
+      if (affected.length > 0) listener(affected, diff);
+    };
+    this.on('catalogChange', onChange);
+    return () => this.off('catalogChange', onChange);
+  }
+
+  /**
+   * Call every listener for `event`. Listener errors never break a call.
+   * @param {string} event
+   * @param {RequestEvent} payload
+   */
+  #emit(event, payload) {
+    const listeners = this.#listeners.get(event);
+    if (!listeners) return;
+    for (const listener of listeners) {
+      try {
+        listener(payload);
+      } catch {
+        // Telemetry is best-effort
+      }
+    }
+  }
+
+  /**
+   * Make an HTTP request to the API, retrying according to the client's retry policy.
+   *
+   * Non-idempotent calls (`idempotent: false`) are only retried when the policy
+   * sets `retryNonIdempotent`. Aborted calls and calls rejected by an open
+   * circuit are never retried. The final error carries the number of attempts.
+   * With a rate limiter, every attempt waits for its own slot, and the slot is
+   * released before any retry delay.
+   *
+   * Emits `start` once, `retry` before each retry delay, and then exactly one
+   * of `response` or `error`.
+   *
    * @param {string} method - HTTP method
    * @param {string} path - API path (e.g. "/catalog")
    * @param {Object} [options]
+   * @param {string} [options.operation] - Public method name, for events
    * @param {Object} [options.query] - Query parameters
    * @param {Object} [options.body] - Request body (JSON)
+   * @param {boolean} [options.idempotent=true] - Whether the call is safe to repeat
+   * @param {AbortSignal} [options.signal] - Caller's cancellation signal
+   * @param {number} [options.timeoutMs] - Per-attempt timeout (defaults to the client's)
    * @returns {Promise<Object>} Parsed JSON response
-   * @throws {PrintApiError} On non-2xx responses
+   * @throws {PrintApiError} On non-2xx responses, timeouts, and cancellation
    */
-  async #request(method, path, { query, body } = {}) {
-    const url = new URL(this.#baseUrl + path);
-    if (query) {
-      for (const [key, value] of Object.entries(query)) {
-        if (value != null) url.searchParams.set(key, value);
+  async #request(method, path, {
+    operation,
+    query,
+    body,
+    idempotent = true,
+    signal,
+    timeoutMs = this.#timeoutMs
+  } = {}) {
+    const policy = this.#retry;
+    const maxAttempts = idempotent || policy.retryNonIdempotent ? policy.maxAttempts : 1;
+    const event = { requestId: nextRequestId++, operation, endpoint: `${method} ${path}`, method, path };
+    const startedAt = Date.now();
+    this.#emit('start', event);
+
+    for (let attempt = 1; ; attempt++) {
+      let failure;
+      try {
+        const response = await this.#guarded(() => this.#limited(signal, () =>
+          this.#send(method, path, { query, body, signal, timeoutMs, attempt })
+        ));
+        this.#emit('response', {
+          ...event,
+          status: response.status,
+          attempts: attempt,
+          durationMs: Date.now() - startedAt
+        });
+        return response.data;
+      } catch (err) {
+        failure = err;
       }
+
+      let retrying = failure instanceof PrintApiError &&
+        failure.errorType !== 'AbortError' &&
+        failure.errorType !== 'CircuitOpenError' &&
+        attempt < maxAttempts &&
+        policy.retryOn.includes(failure.status);
+
+      // A Retry-After beyond maxDelayMs ends the call; failure.retryAfterMs tells
+      // the caller when to come back
+      const delayMs = retrying ? computeRetryDelay(attempt, policy, failure.retryAfterMs) : null;
+      if (delayMs == null) retrying = false;
+
+      if (retrying) {
+        this.#log('warn', `PrintAPI ${method} ${path} retrying in ${delayMs}ms (attempt ${attempt} failed: ${failure.message})`, {
+          status: failure.status,
+          errorType: failure.errorType,
+          attempt,
+          delayMs
+        });
+        this.#emit('retry', {
+          ...event,
+          attempt,
+          delayMs,
+          status: failure.status,
+          errorType: failure.errorType,
+          error: failure
+        });
+        try {
+          await sleep(delayMs, signal);
+        } catch {
+          failure = abortedError();
+          retrying = false;
+        }
+      }
+
+      if (!retrying) {
+        if (failure instanceof PrintApiError) failure.attempts = attempt;
+        this.#log('error', `PrintAPI ${method} ${path} failed: ${failure.message}`, {
+          status: failure.status,
+          errorType: failure.errorType,
+          attempts: attempt
+        });
+        this.#emit('error', {
+          ...event,
+          status: failure.status ?? null,
+          errorType: failure.errorType ?? failure.name,
+          attempts: attempt,
+          durationMs: Date.now() - startedAt,
+          error: failure
+        });
+        throw failure;
+      }
+    }
+  }
+
+  /**
+   * Run `fn` through the client's circuit breaker, if one is configured.
+   * Aborted calls and errors thrown by middleware do not affect the circuit.
+   * @template T
+   * @param {() => Promise<T>} fn
+   * @returns {Promise<T>}
+   * @throws {PrintApiError} CircuitOpenError while the circuit is open
+   */
+  async #guarded(fn) {
+    const breaker = this.#circuitBreaker;
+    if (!breaker) return fn();
+    const permit = breaker.tryAcquire();
+    if (!permit) {
+      const retryInMs = breaker.remainingCooldownMs;
+      throw new CircuitOpenError(0, 'CircuitOpenError', 'Circuit breaker is open; failing fast', { retryInMs });
+    }
+    try {
+      const result = await fn();
+      breaker.record(permit, null);
+      return result;
+    } catch (err) {
+      const neutral = !(err instanceof PrintApiError) || err.errorType === 'AbortError';
+      breaker.record(permit, err, { neutral });
+      throw err;
+    }
+  }
+
+  /**
+   * Run `fn` under the client's rate limiter, if one is configured.
+   * Time spent queued does not count toward the attempt's timeout.
+   * @template T
+   * @param {AbortSignal} [signal] - Caller's cancellation signal
+   * @param {() => Promise<T>} fn
+   * @returns {Promise<T>}
+   * @throws {PrintApiError} AbortError if cancelled while queued
+   */
+  async #limited(signal, fn) {
+    if (!this.#rateLimiter) return fn();
+    let release;
+    try {
+      release = await this.#rateLimiter.acquire({ signal });
+    } catch {
+      throw abortedError();
     }
+    try {
+      return await fn();
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * Perform a single attempt: run the middleware chain around the HTTP call and
+   * turn a non-2xx result into a PrintApiError.
+   *
+   * The timeout covers the whole chain, including reading the response body.
+   * The chain is raced against the abort so a fetch implementation or
+   * middleware that ignores `signal` still cannot hang the call.
+   *
+   * @param {string} method - HTTP method
+   * @param {string} path - API path
+   * @param {Object} options
+   * @param {Object} [options.query] - Query parameters
+   * @param {Object} [options.body] - Request body (JSON)
+   * @param {AbortSignal} [options.signal] - Caller's cancellation signal
+   * @param {number} [options.timeoutMs] - Timeout for this attempt (0 = none)
+   * @param {number} options.attempt - Attempt number (1-based)
+   * @returns {Promise<ApiResponse>} The successful response
+   * @throws {PrintApiError} On network failure, timeout, abort, unparseable body, or non-2xx response
+   */
+  async #send(method, path, { query, body, signal, timeoutMs, attempt }) {
+    if (signal?.aborted) throw abortedError();
+
+    const controller = new AbortController();
+    /** @type {RequestContext} */
+    const ctx = {
+      method,
+      path,
+      query: { ...query },
+      body,
+      headers: { 'X-API-Key': this.#apiKey },
+      attempt,
+      signal: controller.signal
+    };
+    if (body) ctx.headers['Content-Type'] = 'application/json';
+
+    let timedOut = false;
+    const aborted = new Promise((resolve, reject) => {
+      controller.signal.addEventListener('abort', () => reject(
+        timedOut
+          ? new TimeoutError(0, 'TimeoutError', `Request timed out after ${timeoutMs}ms`)
+          : abortedError()
+      ), { once: true });
+    });
+    aborted.catch(() => {});
+
+    const onAbort = () => controller.abort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+    const timer = timeoutMs > 0
+      ? setTimeout(() => { timedOut = true; controller.abort(); }, timeoutMs)
+      : null;
 
-    const headers = { 'X-API-Key': this.#apiKey };
-    const options = { method, headers };
+    try {
+      const dispatch = async (i) => {
+        const middleware = this.#middleware[i];
+        if (!middleware) return this.#transport(ctx, aborted);
+        return normalizeResponse(await middleware(ctx, () => dispatch(i + 1)));
+      };
+      const response = await Promise.race([dispatch(0), aborted]);
+
+      if (!response.ok) {
+        const { error: errorType, message, ...rest } = response.data ?? {};
+        const error = createApiError(
+          response.status,
+          errorType || `HTTP ${response.status}`,
+          message || 'Unknown error',
+          rest
+        );
+        error.retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+        throw error;
+      }
+
+      return response;
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    }
+  }
 
-    if (body) {
-      headers['Content-Type'] = 'application/json';
-      options.body = JSON.stringify(body);
+  /**
+   * Send the request described by `ctx` over HTTP and parse the JSON body.
+   * @param {RequestContext} ctx - Request context (after middleware changes)
+   * @param {Promise<never>} aborted - Rejects when the attempt is aborted or times out
+   * @returns {Promise<ApiResponse>}
+   * @throws {PrintApiError} On network failure, abort, or unparseable body
+   */
+  async #transport(ctx, aborted) {
+    const url = new URL(this.#baseUrl + ctx.path);
+    for (const [key, value] of Object.entries(ctx.query)) {
+      if (value != null) url.searchParams.set(key, value);
     }
 
+    const options = { method: ctx.method, headers: ctx.headers, signal: ctx.signal };
+    if (ctx.body) options.body = JSON.stringify(ctx.body);
+
+    this.#log('debug', `PrintAPI --> ${ctx.method} ${url}`, {
+      headers: redactHeaders(ctx.headers),
+      body: this.#redactPii ? redactPii(ctx.body) : ctx.body,
+      attempt: ctx.attempt
+    });
+    const startedAt = Date.now();
+
     let response;
     try {
-      response = await fetch(url, options);
+      // Resolve the global lazily so it can be swapped after construction
+      const fetchFn = this.#fetch ?? globalThis.fetch;
+      response = await fetchFn(url, options);
     } catch (err) {
-      throw new PrintApiError(0, 'NetworkError', `Request failed: ${err.message}`);
+      if (ctx.signal.aborted) return aborted;
+      throw new NetworkError(0, 'NetworkError', `Request failed: ${err.message}`);
     }
 
+    const durationMs = Date.now() - startedAt;
+    this.#log('debug', `PrintAPI <-- ${response.status} ${ctx.method} ${ctx.path} (${durationMs}ms)`, {
+      status: response.status,
+      durationMs
+    });
+
     let data;
     try {
       data = await response.json();
     } catch {
-      throw new PrintApiError(
+      if (ctx.signal.aborted) return aborted;
+      throw new ParseError(
         response.status,
         'ParseError',
         `Failed to parse response (HTTP ${response.status})`
       );
     }
 
-    if (!response.ok) {
-      const { error: errorType, message, ...rest } = data;
-      throw new PrintApiError(
-        response.status,
-        errorType || `HTTP ${response.status}`,
-        message || 'Unknown error',
-        rest
-      );
+    return normalizeResponse({ status: response.status, ok: response.ok, headers: response.headers, data });
+  }
+
+  /**
+   * Log validation warnings (far-future datetimes, catalog entries that contradict their SKU,
+   * unknown fields in strict "warn" mode).
+   * @param {string} operation
+   * @param {import('./validate.js').ValidationIssue[]} warnings
+   */
+  #logWarnings(operation, warnings) {
+    for (const warning of warnings) {
+      this.#log('warn', `PrintAPI ${operation}: ${warning.message}`, { path: warning.path, code: warning.code });
     }
+  }
 
-    return data;
+  /**
+   * Check the order's file URLs before submitting.
+   * @param {OrderItem[]} orderItems
+   * @param {import('./preflight.js').PreflightOptions} preflightOptions
+   * @param {AbortSignal} [signal]
+   * @throws {ValidationError} If any file fails its checks
+   * @throws {PrintApiError} With errorType "AbortError" if `signal` is aborted
+   */
+  async #preflight(orderItems, { onReport, ...preflightOptions }, signal) {
+    let report;
+    try {
+      report = await preflightFiles(orderItems, {
+        ...preflightOptions,
+        fetch: this.#fetch ?? globalThis.fetch,
+        signal
+      });
+    } catch (err) {
+      if (signal?.aborted) throw abortedError();
+      throw err;
+    }
+
+    // File URLs are often presigned, so log the field path rather than the URL
+    for (const file of report.files) {
+      this.#log(file.valid ? 'debug' : 'warn', `PrintAPI preflight ${file.path}: ${file.valid ? 'ok' : file.code}`, {
+        status: file.status,
+        contentType: file.contentType,
+        size: file.size
+      });
+    }
+    onReport?.(report);
+    assertValid(report);
+  }
+
+  /**
+   * Download the order's files and check them against their items.
+   * @param {OrderItem[]} orderItems
+   * @param {{ concurrency?: number, maxBytes?: number, onReport?: Function }} inspectOptions
+   * @param {AbortSignal} [signal]
+   * @throws {ValidationError} If a file can't be read or doesn't match its item
+   * @throws {PrintApiError} With errorType "AbortError" if `signal` is aborted
+   */
+  async #inspectPdfs(orderItems, { onReport, ...inspectOptions }, signal) {
+    let report;
+    try {
+      report = await inspectOrderPdfs(orderItems, {
+        ...inspectOptions,
+        fetch: this.#fetch ?? globalThis.fetch,
+        signal
+      });
+    } catch (err) {
+      if (signal?.aborted) throw abortedError();
+      throw err;
+    }
+    onReport?.(report);
+    assertValid(report);
+  }
+
+  /**
+   * Resolve the `catalog` call option to a product list.
+   * @param {PricingOptions} options
+   * @returns {Promise<CatalogProduct[]|Catalog|undefined>} undefined when no catalog check was requested
+   * @throws {Error} If `catalog` is neither an array, a Catalog nor `true`
+   */
+  async #resolveCatalog({ catalog, ...rest }) {
+    if (catalog == null || catalog === false) return undefined;
+    if (catalog === true) return (await this.getCatalog(pickRequestOptions(rest))).catalog;
+    if (!Array.isArray(catalog) && !(catalog instanceof Catalog)) {
+      throw new Error('catalog must be an array of catalog products, a Catalog or true');
+    }
+    return catalog;
+  }
+
+  /**
+   * Add a middleware to the request pipeline. Middleware run in the order they
+   * were added, once per attempt (so retries pass through them again).
+   *
+   * A middleware receives the mutable request context and a `next` function
+   * that sends the request and resolves to the response. It may change the
+   * context before calling `next`, inspect or replace the response afterward,
+   * return a response without calling `next` to short-circuit, or throw.
+   * Non-2xx responses are returned (not thrown) from `next`; they become a
+   * {@link PrintApiError} after the whole chain has run.
+   *
+   * @param {Middleware} middleware
+   * @returns {this} The client, for chaining
+   * @throws {Error} If middleware is not a function
+   *
+   * @example
+   * client.use(async (ctx, next) => {
+   *   ctx.headers['X-Correlation-Id'] = crypto.randomUUID();
+   *   const response = await next();
+   *   console.log(ctx.method, ctx.path, response.status);
+   *   return response;
+   * });
+   */
+  use(middleware) {
+    if (typeof middleware !== 'function') throw new Error('middleware must be a function');
+    this.#middleware.push(middleware);
+    return this;
   }
 
   /**
@@ -244,6 +983,11 @@ export class PrintApiClient {
    *
    * Only requires an API key (no accountId needed for this endpoint).
    *
+   * With `catalogCache` configured, a fresh cached catalog is returned without a request
+   * (see {@link CatalogCache}); `forceRefresh` bypasses it. With `catalogSnapshot`, the
+   * snapshot is returned instead and only `forceRefresh` calls the API.
+   *
+   * @param {CatalogOptions} [options] - Cache bypass, cancellation and timeout options
    * @returns {Promise<CatalogResponse>} Object with a `catalog` array of products
    * @throws {PrintApiError} On API error
    *
@@ -253,8 +997,102 @@ export class PrintApiClient {
    *   console.log(`${product.productName} (${product.sku})`);
    * });
    */
-  async getCatalog() {
-    return this.#request('GET', '/catalog');
+  async getCatalog(options = {}) {
+    if (this.#catalogSnapshot && options.forceRefresh !== true) return this.#snapshotCatalog();
+
+    const requestOptions = pickRequestOptions(options);
+    if (!this.#catalogCache) {
+      return this.#request('GET', '/catalog', { operation: 'getCatalog', ...requestOptions });
+    }
+
+    // Background refreshes outlive this call and shared loads serve other calls too, so they
+    // don't use its signal; this call stops waiting on abort instead
+    if (options.signal?.aborted) throw abortedError();
+    const load = ({ background, shared }) => this.#request('GET', '/catalog', {
+      operation: 'getCatalog',
+      ...(background || shared ? pickRequestOptions({ timeoutMs: options.timeoutMs }) : requestOptions)
+    });
+    const cached = this.#catalogCache.get(`${this.#baseUrl}#${this.#accountId}`, load, {
+      forceRefresh: options.forceRefresh === true,
+      onRefreshError: (err) => this.#log('warn', `PrintAPI catalog refresh failed: ${err.message}`),
+      onStoreError: (err) => this.#log('warn', `PrintAPI catalog cache write failed: ${err.message}`),
+      onChange: ({ previous, catalog, diff }) => {
+        this.#log('info', 'PrintAPI catalog changed', {
+          added: diff.added.length,
+          removed: diff.removed.length,
+          changed: diff.changed.length
+        });
+        this.#emit('catalogChange', { previous, catalog, diff });
+      }
+    });
+    const { response, status } = await raceAbort(cached, options.signal);
+    this.#log('debug', `PrintAPI catalog cache ${status}`);
+    return response;
+  }
+
+  /**
+   * Serve the catalog from `catalogSnapshot`, warning and emitting `catalogSnapshotStale`
+   * once if the snapshot is too old.
+   * @returns {CatalogResponse}
+   */
+  #snapshotCatalog() {
+    const snapshot = this.#catalogSnapshot;
+    const maxAgeMs = this.#catalogSnapshotMaxAgeMs;
+    const now = Date.now();
+    if (!this.#warnedStaleSnapshot && snapshot.isStale(maxAgeMs, now)) {
+      this.#warnedStaleSnapshot = true;
+      const ageMs = snapshot.ageMs(now);
+      const fetchedAt = snapshot.fetchedAt.toISOString();
+      this.#log('warn', `PrintAPI catalog snapshot is ${Math.floor(ageMs / (60 * 60 * 1000))} hours old`, {
+        fetchedAt,
+        maxAgeMs
+      });
+      this.#emit('catalogSnapshotStale', { fetchedAt, ageMs, maxAgeMs });
+    }
+    this.#log('debug', 'PrintAPI catalog served from snapshot');
+    // A copy, like the catalog cache's, so one caller's edits don't reach the next
+    return { catalog: structuredClone(snapshot.catalog.toJSON()) };
+  }
+
+  /**
+   * Fetch the product catalog from the API and save it, with the time it was fetched, to a
+   * JSON file that {@link CatalogSnapshot.load} reads back (e.g. for the `catalogSnapshot`
+   * option of an offline client). Always calls the API, even with `catalogSnapshot` set.
+   *
+   * @param {string} path - File to write; its directory is created if needed
+   * @param {CatalogOptions} [options] - Cancellation and timeout options
+   * @returns {Promise<CatalogSnapshot>} The saved snapshot
+   * @throws {Error} If path is not a non-empty string, or the file can't be written
+   * @throws {PrintApiError} On API error
+   *
+   * @example
+   * await client.exportCatalogSnapshot('./data/catalog-snapshot.json');
+   */
+  async exportCatalogSnapshot(path, options = {}) {
+    if (typeof path !== 'string' || !path.trim()) throw new Error('path must be a non-empty string');
+    const fetchedAt = new Date();
+    const { catalog } = await this.getCatalog({ ...options, forceRefresh: true });
+    const snapshot = new CatalogSnapshot({ catalog, fetchedAt });
+    await snapshot.save(path);
+    return snapshot;
+  }
+
+  /**
+   * Retrieve the product catalog wrapped in a {@link Catalog}, for lookups by SKU, product
+   * type, sizing type, capabilities and custom dimensions. Uses the `catalogCache` like
+   * {@link PrintApiClient#getCatalog}.
+   *
+   * @param {CatalogOptions} [options] - Cache bypass, cancellation and timeout options
+   * @returns {Promise<Catalog>}
+   * @throws {PrintApiError} On API error
+   *
+   * @example
+   * const catalog = await client.loadCatalog();
+   * const newsletters = catalog.byProductType('Newsletter');
+   * await client.checkPricing(items, { catalog });
+   */
+  async loadCatalog(options = {}) {
+    return new Catalog((await this.getCatalog(options)).catalog);
   }
 
   /**
@@ -262,7 +1100,9 @@ export class PrintApiClient {
    * No files or shipping info needed -- just items and quantities.
    *
    * @param {OrderItem[]} orderItems - Items to price
+   * @param {PricingOptions} [options] - Catalog validation, cancellation and timeout options
    * @returns {Promise<PricingResponse>} Pricing breakdown with fees, items, and totals
+   * @throws {ValidationError} If the items are invalid (including against `options.catalog`)
    * @throws {PrintApiError} On API error
    *
    * @example
@@ -271,10 +1111,26 @@ export class PrintApiClient {
    *   { sku: 'LFP_36x24', productType: 'LFP', quantity: 5 }
    * ]);
    * console.log(`Grand total: $${pricing.grandTotal}`);
+   *
+   * @example
+   * // Reject unknown SKUs and unsupported options locally
+   * const { catalog } = await client.getCatalog();
+   * await client.checkPricing(items, { catalog });
    */
-  async checkPricing(orderItems) {
-    validateOrderItems(orderItems);
+  async checkPricing(orderItems, options = {}) {
+    const text = { fieldLimits: this.#fieldLimits, printableOnly: this.#printableOnly };
+    const validation = validatePricing(orderItems, { strict: options.strict ?? this.#strict, ...text });
+    assertValid(validation);
+    this.#logWarnings('checkPricing', validation.warnings);
+    const catalog = await this.#resolveCatalog(options);
+    if (catalog) {
+      const catalogValidation = validatePricing(orderItems, { catalog, ...text });
+      assertValid(catalogValidation);
+      this.#logWarnings('checkPricing', catalogValidation.warnings);
+    }
     return this.#request('POST', '/pricing', {
+      operation: 'checkPricing',
+      ...pickRequestOptions(options),
       body: { accountId: this.#accountId, orderItems }
     });
   }
@@ -287,8 +1143,13 @@ export class PrintApiClient {
    * (with file URLs), and `shippingCustomer`.
    *
    * @param {CreateOrderRequest} orderData - Order details
-   * @returns {Promise<OrderResponse>} Created order with AC order number and pricing
-   * @throws {PrintApiError} On API error (409 if duplicate sourceReferenceOrderNumber)
+   * @param {CreateOrderOptions} [options] - Duplicate handling, normalization, catalog validation,
+   *   cancellation and timeout options
+   * @returns {Promise<OrderResponse|DuplicateOrderResult>} Created order with AC order number and pricing,
+   *   or the existing order when `onDuplicate` is "return-existing" and the order number was already used
+   * @throws {ValidationError} If the order is invalid (including against `options.catalog`)
+   * @throws {PrintApiError} On API error (409 if duplicate sourceReferenceOrderNumber, unless
+   *   `onDuplicate` is "return-existing")
    *
    * @example
    * const order = await client.createOrder({
@@ -305,16 +1166,89 @@ export class PrintApiClient {
    *   }
    * });
    * console.log(`Order created: ${order.acOrderNumber}`);
+   *
+   * @example
+   * // Safe to call again after a timeout: a duplicate resolves to the existing order
+   * const result = await client.createOrder(orderData, { onDuplicate: 'return-existing' });
+   * if (result.duplicate) console.log(`Already submitted as ${result.acOrderNumber}`);
    */
-  async createOrder(orderData) {
-    validateCreateOrderData(orderData);
-    return this.#request('POST', '/order', {
-      body: {
-        ...orderData,
-        accountId: this.#accountId,
-        ...(this.#testMode && { testOrder: true })
-      }
-    });
+  async createOrder(orderData, options = {}) {
+    const {
+      onDuplicate = 'throw',
+      normalize = false,
+      sanitize = false,
+      defaultOrderDatetime = false,
+      preflight = false,
+      inspectPdfs = false
+    } = options;
+    if (onDuplicate !== 'throw' && onDuplicate !== 'return-existing') {
+      throw new Error('onDuplicate must be "throw" or "return-existing"');
+    }
+    if (typeof normalize !== 'boolean' && typeof normalize !== 'function') {
+      throw new Error('normalize must be a boolean or a function');
+    }
+    if (typeof sanitize !== 'boolean' && typeof sanitize !== 'function') {
+      throw new Error('sanitize must be a boolean or a function');
+    }
+    if (typeof preflight !== 'boolean' && (preflight === null || typeof preflight !== 'object')) {
+      throw new Error('preflight must be a boolean or an options object');
+    }
+    if (typeof inspectPdfs !== 'boolean' && (inspectPdfs === null || typeof inspectPdfs !== 'object')) {
+      throw new Error('inspectPdfs must be a boolean or an options object');
+    }
+    if (normalize) {
+      const { order, changes } = normalizeOrder(orderData);
+      orderData = order;
+      if (typeof normalize === 'function') normalize(changes);
+    }
+    if (sanitize) {
+      const { order, changes } = sanitizeOrder(orderData, { fieldLimits: this.#fieldLimits });
+      orderData = order;
+      if (typeof sanitize === 'function') sanitize(changes);
+    }
+    if (defaultOrderDatetime && orderData && typeof orderData === 'object' && orderData.orderDatetime == null) {
+      orderData = { ...orderData, orderDatetime: new Date() };
+    }
+
+    const text = { fieldLimits: this.#fieldLimits, printableOnly: this.#printableOnly };
+    const validation = validateOrder(orderData, { strict: options.strict ?? this.#strict, ...text });
+    assertValid(validation);
+    this.#logWarnings('createOrder', validation.warnings);
+    const catalog = await this.#resolveCatalog(options);
+    if (catalog) {
+      const catalogValidation = validateOrder(orderData, { catalog, ...text });
+      assertValid(catalogValidation);
+      this.#logWarnings('createOrder', catalogValidation.warnings);
+    }
+
+    if (orderData.orderDatetime instanceof Date) {
+      orderData = { ...orderData, orderDatetime: orderData.orderDatetime.toISOString() };
+    }
+    if (preflight) await this.#preflight(orderData.orderItems, preflight === true ? {} : preflight, options.signal);
+    if (inspectPdfs) {
+      await this.#inspectPdfs(orderData.orderItems, inspectPdfs === true ? {} : inspectPdfs, options.signal);
+    }
+
+    const returnExisting = onDuplicate === 'return-existing';
+    try {
+      return await this.#request('POST', '/order', {
+        operation: 'createOrder',
+        ...pickRequestOptions(options),
+        // A repeated submission resolves to the existing order, so retrying is safe
+        idempotent: returnExisting,
+        body: {
+          ...orderData,
+          accountId: this.#accountId,
+          ...(this.#testMode && { testOrder: true })
+        }
+      });
+    } catch (err) {
+      const existingOrderNumber = err instanceof ConflictError ? err.existingOrderNumber : undefined;
+      if (!returnExisting || !existingOrderNumber) throw err;
+
+      const existing = await this.getOrderStatus(existingOrderNumber, pickRequestOptions(options));
+      return { ...existing, duplicate: true };
+    }
   }
 
   /**
@@ -327,6 +1261,7 @@ export class PrintApiClient {
    * Non-shipped orders include `expectedShipDateEstimate`.
    *
    * @param {string} orderNumber - AC order number or your reference number
+   * @param {RequestOptions} [options] - Cancellation and timeout options
    * @returns {Promise<OrderStatusResponse>} Order status with tracking info (if shipped)
    * @throws {PrintApiError} On API error (404 if order not found)
    *
@@ -338,9 +1273,11 @@ export class PrintApiClient {
    *   console.log(`Expected ship date: ${status.expectedShipDateEstimate}`);
    * }
    */
-  async getOrderStatus(orderNumber) {
+  async getOrderStatus(orderNumber, options = {}) {
     validateOrderNumber(orderNumber);
     return this.#request('GET', '/orderstatus', {
+      operation: 'getOrderStatus',
+      ...pickRequestOptions(options),
       query: { accountId: this.#accountId, orderNumber }
     });
   }
@@ -354,6 +1291,7 @@ export class PrintApiClient {
    * Accepts either an AC order number or your source reference number.
    *
    * @param {string} orderNumber - AC order number or your reference number
+   * @param {RequestOptions} [options] - Cancellation and timeout options
    * @returns {Promise<CancelOrderResponse>} Cancellation confirmation
    * @throws {PrintApiError} On API error (400 if order is not in Pending status)
    *
@@ -361,9 +1299,12 @@ export class PrintApiClient {
    * const result = await client.cancelOrder('ATEST-0000001');
    * console.log(result.orderStatus); // "Cancelled"
    */
-  async cancelOrder(orderNumber) {
+  async cancelOrder(orderNumber, options = {}) {
     validateOrderNumber(orderNumber);
     return this.#request('POST', '/cancelorder', {
+      operation: 'cancelOrder',
+      ...pickRequestOptions(options),
+      idempotent: false,
       body: { accountId: this.#accountId, orderNumber }
     });
   }
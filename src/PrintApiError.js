@@ -29,5 +29,11 @@ export class PrintApiError extends Error {
     this.errorType = errorType;
     /** @type {Object} Additional error details (e.g. existingOrderNumber on 409) */
     this.details = details;
+    /** @type {number} Number of attempts made, including retries */
+    this.attempts = 1;
+    /** @type {number|null} Server-requested delay from the Retry-After header, in ms */
+    this.retryAfterMs = null;
+    /** @type {boolean} Whether repeating the same call may succeed (set by subclasses) */
+    this.retryable = false;
   }
 }
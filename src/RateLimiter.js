@@ -0,0 +1,146 @@
+/**
+ * Client-side request limiter combining a token bucket (requests per second)
+ * with a cap on in-flight requests. Callers that exceed either limit are
+ * queued in FIFO order instead of being rejected.
+ *
+ * Pass the same instance to several clients to share one budget, e.g. all
+ * clients that use the same API key.
+ *
+ * @example
+ * import { PrintApiClient, RateLimiter } from '@activityconnection/printapi-sdk';
+ *
+ * const limiter = new RateLimiter({ requestsPerSecond: 4, maxConcurrent: 2 });
+ * const a = new PrintApiClient({ apiKey, accountId: '1234', rateLimit: limiter });
+ * const b = new PrintApiClient({ apiKey, accountId: '5678', rateLimit: limiter });
+ */
+export class RateLimiter {
+  #ratePerMs;
+  #capacity;
+  #tokens;
+  #lastRefill;
+  #maxConcurrent;
+  #inFlight = 0;
+  #queue = [];
+  #timer = null;
+
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.requestsPerSecond=Infinity] - Sustained request rate
+   * @param {number} [options.burst] - Requests allowed back-to-back before the rate applies
+   *   (defaults to requestsPerSecond, at least 1)
+   * @param {number} [options.maxConcurrent=Infinity] - Maximum requests in flight at once
+   * @throws {Error} If an option is not a positive number
+   */
+  constructor({ requestsPerSecond = Infinity, burst, maxConcurrent = Infinity } = {}) {
+    if (typeof requestsPerSecond !== 'number' || !(requestsPerSecond > 0)) {
+      throw new Error('requestsPerSecond must be a positive number');
+    }
+    if (typeof maxConcurrent !== 'number' || !(maxConcurrent >= 1)) {
+      throw new Error('maxConcurrent must be a number of at least 1');
+    }
+    const capacity = burst ?? Math.max(1, Math.floor(requestsPerSecond));
+    if (typeof capacity !== 'number' || !(capacity >= 1)) {
+      throw new Error('burst must be a number of at least 1');
+    }
+
+    this.#ratePerMs = requestsPerSecond / 1000;
+    this.#capacity = capacity;
+    this.#tokens = capacity;
+    this.#lastRefill = Date.now();
+    this.#maxConcurrent = maxConcurrent;
+  }
+
+  /** @type {number} Requests currently holding a slot */
+  get inFlight() {
+    return this.#inFlight;
+  }
+
+  /** @type {number} Callers waiting for a slot */
+  get pending() {
+    return this.#queue.length;
+  }
+
+  /**
+   * Wait for a slot. Resolves with a `release` function that must be called
+   * when the request finishes (calling it more than once is harmless).
+   *
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Removes the caller from the queue when aborted
+   * @returns {Promise<() => void>} Resolves with the release function
+   * @throws {*} The signal's abort reason if aborted while queued
+   */
+  acquire({ signal } = {}) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) return reject(signal.reason);
+
+      const waiter = { resolve, signal, onAbort: null };
+      if (signal) {
+        waiter.onAbort = () => {
+          const index = this.#queue.indexOf(waiter);
+          if (index !== -1) this.#queue.splice(index, 1);
+          reject(signal.reason);
+          this.#drain();
+        };
+        signal.addEventListener('abort', waiter.onAbort, { once: true });
+      }
+
+      this.#queue.push(waiter);
+      this.#drain();
+    });
+  }
+
+  /**
+   * Run `fn` once a slot is available, releasing the slot when it settles.
+   *
+   * @template T
+   * @param {() => Promise<T>} fn
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Removes the caller from the queue when aborted
+   * @returns {Promise<T>}
+   */
+  async schedule(fn, options) {
+    const release = await this.acquire(options);
+    try {
+      return await fn();
+    } finally {
+      release();
+    }
+  }
+
+  #refill() {
+    const now = Date.now();
+    if (this.#ratePerMs === Infinity) {
+      this.#tokens = this.#capacity;
+    } else {
+      this.#tokens = Math.min(this.#capacity, this.#tokens + (now - this.#lastRefill) * this.#ratePerMs);
+    }
+    this.#lastRefill = now;
+  }
+
+  #drain() {
+    clearTimeout(this.#timer);
+    this.#timer = null;
+    this.#refill();
+
+    while (this.#queue.length && this.#inFlight < this.#maxConcurrent && this.#tokens >= 1) {
+      const waiter = this.#queue.shift();
+      waiter.signal?.removeEventListener('abort', waiter.onAbort);
+      this.#tokens -= 1;
+      this.#inFlight++;
+
+      let released = false;
+      waiter.resolve(() => {
+        if (released) return;
+        released = true;
+        this.#inFlight--;
+        this.#drain();
+      });
+    }
+
+    // Blocked only on tokens: wake up when the next one is due
+    if (this.#queue.length && this.#inFlight < this.#maxConcurrent) {
+      const wait = Math.ceil((1 - this.#tokens) / this.#ratePerMs);
+      this.#timer = setTimeout(() => this.#drain(), wait);
+    }
+  }
+}
@@ -0,0 +1,119 @@
+import { Catalog } from './Catalog.js';
+
+// Fields that decide whether an order for a SKU is still valid
+export const CAPABILITY_FIELDS = [
+  'productType', 'sizingType', 'duplex', 'staple', 'flat', 'customSize',
+  'longEdgeMinDimension', 'longEdgeMaxDimension', 'shortEdgeMinDimension', 'shortEdgeMaxDimension'
+];
+
+/**
+ * @typedef {Object} FieldChange
+ * @property {string} field - Product field (e.g. "staple")
+ * @property {*} from - Previous value (undefined if the field was added)
+ * @property {*} to - Current value (undefined if the field was removed)
+ */
+
+/**
+ * @typedef {Object} ProductChange
+ * @property {string} sku
+ * @property {import('./PrintApiClient.js').CatalogProduct} previous
+ * @property {import('./PrintApiClient.js').CatalogProduct} current
+ * @property {FieldChange[]} fields - Every field that differs
+ */
+
+/**
+ * @typedef {Object} CatalogDiff
+ * @property {import('./PrintApiClient.js').CatalogProduct[]} added - Products only in the current catalog
+ * @property {import('./PrintApiClient.js').CatalogProduct[]} removed - Products only in the previous catalog
+ * @property {ProductChange[]} changed - Products in both whose fields differ
+ * @property {boolean} hasChanges - Whether anything was added, removed or changed
+ */
+
+/**
+ * @typedef {Object} AffectedSku
+ * @property {string} sku
+ * @property {'removed'|'capabilities_changed'} reason
+ * @property {FieldChange[]} fields - The changed capability fields (empty when removed)
+ */
+
+function productsOf(catalog, label) {
+  const products = catalog instanceof Catalog ? catalog.products : catalog;
+  if (!Array.isArray(products)) throw new Error(`${label} must be an array of catalog products or a Catalog`);
+  return products;
+}
+
+function isEqual(a, b) {
+  if (a === b) return true;
+  if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') return false;
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function diffFields(previous, current) {
+  const fields = [...new Set([...Object.keys(previous), ...Object.keys(current)])];
+  return fields
+    .filter((field) => !isEqual(previous[field], current[field]))
+    .map((field) => ({ field, from: previous[field], to: current[field] }));
+}
+
+/**
+ * Compare two catalog snapshots, keyed by SKU.
+ *
+ * @param {import('./PrintApiClient.js').CatalogProduct[]|Catalog} previous - The older snapshot
+ * @param {import('./PrintApiClient.js').CatalogProduct[]|Catalog} current - The newer snapshot
+ * @returns {CatalogDiff} Added and changed products in `current` order, removed ones in `previous` order
+ * @throws {Error} If either snapshot is not an array or Catalog
+ *
+ * @example
+ * const diff = diffCatalogs(savedCatalog, (await client.getCatalog()).catalog);
+ * for (const { sku, fields } of diff.changed) {
+ *   console.log(sku, fields.map((f) => `${f.field}: ${f.from} -> ${f.to}`).join(', '));
+ * }
+ */
+export function diffCatalogs(previous, current) {
+  const before = new Map(productsOf(previous, 'previous').map((product) => [product.sku, product]));
+  const after = new Map(productsOf(current, 'current').map((product) => [product.sku, product]));
+
+  const added = [...after.values()].filter((product) => !before.has(product.sku));
+  const removed = [...before.values()].filter((product) => !after.has(product.sku));
+  const changed = [];
+  for (const [sku, product] of after) {
+    if (!before.has(sku)) continue;
+    const fields = diffFields(before.get(sku), product);
+    if (fields.length > 0) changed.push({ sku, previous: before.get(sku), current: product, fields });
+  }
+
+  return {
+    added,
+    removed,
+    changed,
+    hasChanges: added.length > 0 || removed.length > 0 || changed.length > 0
+  };
+}
+
+/**
+ * Pick the SKUs from `skus` that a catalog change breaks: removed products, and
+ * products whose capabilities (CAPABILITY_FIELDS, e.g. `staple` or the custom-size
+ * limits) changed. Other changes, such as a new description, are ignored.
+ *
+ * @param {CatalogDiff} diff - From diffCatalogs
+ * @param {Iterable<string>} skus - SKUs your saved orders or listings depend on
+ * @returns {AffectedSku[]} In `skus` order; unaffected SKUs are left out
+ *
+ * @example
+ * const affected = affectedSkus(diff, savedOrders.flatMap((o) => o.orderItems.map((i) => i.sku)));
+ * for (const { sku, reason } of affected) alertMerchandising(sku, reason);
+ */
+export function affectedSkus(diff, skus) {
+  const removed = new Set(diff.removed.map((product) => product.sku));
+  const changed = new Map(diff.changed.map((change) => [change.sku, change]));
+  const affected = [];
+  for (const sku of new Set(skus)) {
+    if (removed.has(sku)) {
+      affected.push({ sku, reason: 'removed', fields: [] });
+      continue;
+    }
+    const fields = changed.get(sku)?.fields.filter(({ field }) => CAPABILITY_FIELDS.includes(field)) ?? [];
+    if (fields.length > 0) affected.push({ sku, reason: 'capabilities_changed', fields });
+  }
+  return affected;
+}
@@ -0,0 +1,151 @@
+import { PrintApiError } from './PrintApiError.js';
+
+/**
+ * Thrown by client-side validation before any request is made.
+ *
+ * Deliberately not a {@link PrintApiError}: it means the SDK rejected the
+ * input locally, not that the API returned an error.
+ *
+ * @example
+ * try {
+ *   await client.createOrder(orderData);
+ * } catch (err) {
+ *   if (err instanceof ValidationError) {
+ *     console.log(err.path);    // "orderItems[0].quantity"
+ *     console.log(err.message); // "orderItems[0].quantity must be an integer between 1 and 1000"
+ *     console.log(err.issues);  // every problem found, not just the first
+ *   }
+ * }
+ */
+export class ValidationError extends Error {
+  /**
+   * @param {string} message - Human-readable description of the problem
+   * @param {string} path - Path to the offending field (e.g. "shippingCustomer.state")
+   * @param {Object} [options]
+   * @param {string} [options.code] - Issue code (e.g. "required", "out_of_range")
+   * @param {import('./validate.js').ValidationIssue[]} [options.issues] - All problems found
+   */
+  constructor(message, path, { code, issues } = {}) {
+    super(message);
+    this.name = 'ValidationError';
+    /** @type {string} Path to the offending field */
+    this.path = path;
+    /** @type {string|undefined} Issue code of the first problem */
+    this.code = code;
+    /** @type {import('./validate.js').ValidationIssue[]} All problems found, first one included */
+    this.issues = issues ?? [{ path, code, message }];
+  }
+}
+
+/** 401 - the API key is missing or invalid. */
+export class AuthenticationError extends PrintApiError {
+  constructor(...args) {
+    super(...args);
+    this.name = 'AuthenticationError';
+  }
+}
+
+/** 403 - the account ID does not match the key, or a permission (e.g. test orders) is missing. */
+export class PermissionError extends PrintApiError {
+  constructor(...args) {
+    super(...args);
+    this.name = 'PermissionError';
+  }
+}
+
+/** 404 - the order (or other resource) does not exist. */
+export class NotFoundError extends PrintApiError {
+  constructor(...args) {
+    super(...args);
+    this.name = 'NotFoundError';
+  }
+}
+
+/** 409 - the sourceReferenceOrderNumber is already in use. */
+export class ConflictError extends PrintApiError {
+  constructor(...args) {
+    super(...args);
+    this.name = 'ConflictError';
+  }
+
+  /** @type {string|undefined} AC order number of the order that already uses the reference number */
+  get existingOrderNumber() {
+    return this.details.existingOrderNumber;
+  }
+}
+
+/** 429 - too many requests. Check `retryAfterMs` for the server's requested delay. */
+export class RateLimitError extends PrintApiError {
+  constructor(...args) {
+    super(...args);
+    this.name = 'RateLimitError';
+    this.retryable = true;
+  }
+}
+
+/** 5xx - the API failed to process the request. */
+export class ServerError extends PrintApiError {
+  constructor(...args) {
+    super(...args);
+    this.name = 'ServerError';
+    this.retryable = true;
+  }
+}
+
+/** Status 0 - no HTTP response was received (connection refused, DNS failure, reset). */
+export class NetworkError extends PrintApiError {
+  constructor(...args) {
+    super(...args);
+    this.name = 'NetworkError';
+    this.retryable = true;
+  }
+}
+
+/** Status 0 - the attempt exceeded `timeoutMs`. Not a NetworkError, so timeouts can be told apart. */
+export class TimeoutError extends PrintApiError {
+  constructor(...args) {
+    super(...args);
+    this.name = 'TimeoutError';
+    this.retryable = true;
+  }
+}
+
+/** The response body was not valid JSON (e.g. an HTML error page from a proxy). */
+export class ParseError extends PrintApiError {
+  constructor(...args) {
+    super(...args);
+    this.name = 'ParseError';
+    this.retryable = this.status >= 500;
+  }
+}
+
+/** Status 0 - the client's circuit breaker is open and the call was not sent. */
+export class CircuitOpenError extends PrintApiError {
+  constructor(...args) {
+    super(...args);
+    this.name = 'CircuitOpenError';
+  }
+}
+
+/**
+ * Create the PrintApiError subclass matching an HTTP error response.
+ * Statuses without a dedicated class (e.g. 400) produce a plain PrintApiError.
+ *
+ * @param {number} status - HTTP status code
+ * @param {string} errorType - Error type from the API
+ * @param {string} message - Error message from the API
+ * @param {Object} [details] - Additional error fields
+ * @returns {PrintApiError}
+ */
+export function createApiError(status, errorType, message, details) {
+  switch (status) {
+    case 401: return new AuthenticationError(status, errorType, message, details);
+    case 403: return new PermissionError(status, errorType, message, details);
+    case 404: return new NotFoundError(status, errorType, message, details);
+    case 409: return new ConflictError(status, errorType, message, details);
+    case 429: return new RateLimitError(status, errorType, message, details);
+    default:
+      if (status >= 500) return new ServerError(status, errorType, message, details);
+      return new PrintApiError(status, errorType, message, details);
+  }
+}
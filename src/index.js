@@ -1,2 +1,40 @@
 export { PrintApiClient } from './PrintApiClient.js';
 export { PrintApiError } from './PrintApiError.js';
+export {
+  ValidationError,
+  AuthenticationError,
+  PermissionError,
+  NotFoundError,
+  ConflictError,
+  RateLimitError,
+  ServerError,
+  NetworkError,
+  TimeoutError,
+  ParseError,
+  CircuitOpenError
+} from './errors.js';
+export { validateOrder, validatePricing, FIELD_LIMITS } from './validate.js';
+export { normalizeCustomer, normalizeOrder, sanitizeOrder } from './normalize.js';
+export { preflightFiles } from './preflight.js';
+export { inspectPdf, inspectOrderPdfs, validateItemPdfs } from './pdf.js';
+export {
+  createOrderRequestSchema,
+  pricingRequestSchema,
+  orderItemSchema,
+  pricingItemSchema,
+  shippingCustomerSchema,
+  billingCustomerSchema,
+  catalogProductSchema,
+  pricingResponseSchema,
+  orderResponseSchema,
+  orderStatusResponseSchema,
+  cancelOrderResponseSchema
+} from './schemas.js';
+export { RateLimiter } from './RateLimiter.js';
+export { CircuitBreaker } from './CircuitBreaker.js';
+export { Catalog } from './Catalog.js';
+export { diffCatalogs, affectedSkus, CAPABILITY_FIELDS } from './catalogDiff.js';
+export { parseSku, buildSku, skuConflicts } from './sku.js';
+export { CatalogCache, MemoryCatalogStorage, FileCatalogStorage } from './CatalogCache.js';
+export { CatalogSnapshot } from './CatalogSnapshot.js';
+export { instrumentOpenTelemetry } from './telemetry.js';
@@ -0,0 +1,26 @@
+import { writeFile, rename, mkdir, rm } from 'node:fs/promises';
+import { dirname } from 'node:path';
+import { randomUUID } from 'node:crypto';
+
+/**
+ * Write a value to a JSON file, replacing it atomically: the JSON is written to a
+ * temporary file next to `path`, then renamed over it. Each call uses its own
+ * temporary file, so concurrent writes (from this or another process) never see
+ * each other's partial output; the last rename wins. The directory is created if needed.
+ *
+ * @param {string} path
+ * @param {*} value - Serialized with JSON.stringify
+ * @param {number} [space] - Indentation passed to JSON.stringify
+ * @returns {Promise<void>}
+ */
+export async function writeJsonFile(path, value, space) {
+  const tmp = `${path}.${process.pid}.${randomUUID()}.tmp`;
+  await mkdir(dirname(path), { recursive: true });
+  try {
+    await writeFile(tmp, JSON.stringify(value, null, space));
+    await rename(tmp, path);
+  } catch (err) {
+    await rm(tmp, { force: true });
+    throw err;
+  }
+}
@@ -0,0 +1,237 @@
+import { isPrintableChar, resolveFieldLimits } from './validate.js';
+
+const STATE_NAMES = new Map([
+  ['alabama', 'AL'], ['alaska', 'AK'], ['arizona', 'AZ'], ['arkansas', 'AR'],
+  ['california', 'CA'], ['colorado', 'CO'], ['connecticut', 'CT'], ['delaware', 'DE'],
+  ['district of columbia', 'DC'], ['florida', 'FL'], ['georgia', 'GA'], ['hawaii', 'HI'],
+  ['idaho', 'ID'], ['illinois', 'IL'], ['indiana', 'IN'], ['iowa', 'IA'],
+  ['kansas', 'KS'], ['kentucky', 'KY'], ['louisiana', 'LA'], ['maine', 'ME'],
+  ['maryland', 'MD'], ['massachusetts', 'MA'], ['michigan', 'MI'], ['minnesota', 'MN'],
+  ['mississippi', 'MS'], ['missouri', 'MO'], ['montana', 'MT'], ['nebraska', 'NE'],
+  ['nevada', 'NV'], ['new hampshire', 'NH'], ['new jersey', 'NJ'], ['new mexico', 'NM'],
+  ['new york', 'NY'], ['north carolina', 'NC'], ['north dakota', 'ND'], ['ohio', 'OH'],
+  ['oklahoma', 'OK'], ['oregon', 'OR'], ['pennsylvania', 'PA'], ['rhode island', 'RI'],
+  ['south carolina', 'SC'], ['south dakota', 'SD'], ['tennessee', 'TN'], ['texas', 'TX'],
+  ['utah', 'UT'], ['vermont', 'VT'], ['virginia', 'VA'], ['washington', 'WA'],
+  ['west virginia', 'WV'], ['wisconsin', 'WI'], ['wyoming', 'WY']
+]);
+
+const TEXT_FIELDS = ['firstName', 'lastName', 'company', 'address1', 'address2', 'address3', 'city'];
+
+// Replacements for unprintable characters that Unicode decomposition doesn't reduce to Latin-1
+const TRANSLITERATIONS = new Map([
+  ['\u2018', "'"], ['\u2019', "'"], ['\u201A', "'"], ['\u2032', "'"],
+  ['\u201C', '"'], ['\u201D', '"'], ['\u201E', '"'], ['\u2033', '"'],
+  ['\u2010', '-'], ['\u2011', '-'], ['\u2012', '-'], ['\u2013', '-'], ['\u2014', '-'], ['\u2212', '-'],
+  ['\u2026', '...'], ['\u2022', '-'], ['\u20AC', 'EUR'], ['\u2122', 'TM'],
+  ['\u0152', 'OE'], ['\u0153', 'oe'], ['\u0141', 'L'], ['\u0142', 'l'],
+  ['\u0110', 'D'], ['\u0111', 'd'], ['\u0131', 'i'], ['\t', ' ']
+]);
+const EMAIL_LIST_FIELDS = ['shipmentTrackingEmail', 'billingInvoiceEmails'];
+const CUSTOMER_KEYS = ['shippingCustomer', 'billingCustomer'];
+
+/**
+ * @typedef {Object} NormalizationChange
+ * @property {string} path - Field that was changed (e.g. "shippingCustomer.state")
+ * @property {string} from - Original value
+ * @property {string} to - Normalized value
+ */
+
+/**
+ * @typedef {Object} NormalizedCustomer
+ * @property {Object} customer - Normalized copy of the customer
+ * @property {NormalizationChange[]} changes - What was changed, in field order
+ */
+
+/**
+ * @typedef {Object} NormalizedOrder
+ * @property {Object} order - Copy of the order with normalized customers
+ * @property {NormalizationChange[]} changes - What was changed, in field order
+ */
+
+function normalizeState(value) {
+  const trimmed = value.trim();
+  if (/^[a-z]{2}$/i.test(trimmed)) return trimmed.toUpperCase();
+  const name = trimmed.toLowerCase().replace(/\./g, '').replace(/\s+/g, ' ');
+  return STATE_NAMES.get(name) ?? trimmed;
+}
+
+function normalizeZip(value) {
+  const trimmed = value.trim();
+  const match = /^(\d{5})(?:[\s-]?(\d{4}))?$/.exec(trimmed);
+  if (!match) return trimmed;
+  return match[2] ? `${match[1]}-${match[2]}` : match[1];
+}
+
+function normalizePhone(value) {
+  const trimmed = value.trim();
+  // Only rewrite values made of digits and common separators; leave extensions etc. alone
+  if (!/^[\d\s().+-]+$/.test(trimmed)) return trimmed;
+  let digits = trimmed.replace(/\D/g, '');
+  if (digits.length === 11 && digits.startsWith('1')) digits = digits.slice(1);
+  if (digits.length !== 10) return trimmed;
+  return `${digits.slice(0, 3)}-${digits.slice(3, 6)}-${digits.slice(6)}`;
+}
+
+function normalizeEmail(value) {
+  return value.trim().toLowerCase();
+}
+
+/**
+ * Replace one unprintable character: a known transliteration, else its Unicode
+ * decomposition without accents ("ą" -> "a", "ﬁ" -> "fi"), else nothing.
+ * @param {string} char
+ * @param {string} field
+ * @returns {string}
+ */
+function transliterate(char, field) {
+  if (TRANSLITERATIONS.has(char)) return TRANSLITERATIONS.get(char);
+  if (/\s/.test(char)) return ' ';
+  return [...char.normalize('NFKD')].filter((c) => isPrintableChar(c, field)).join('');
+}
+
+/**
+ * Make a free-text value printable and cut it to `limit` characters.
+ * @param {string} value
+ * @param {string} field - Field name, for the allowed characters
+ * @param {number|null} limit - Maximum length, or null for none
+ * @returns {string}
+ */
+function sanitizeText(value, field, limit) {
+  let chars = [...value];
+  if (chars.some((char) => !isPrintableChar(char, field))) {
+    const replaced = chars.map((char) => (isPrintableChar(char, field) ? char : transliterate(char, field)));
+    chars = [...replaced.join('').replace(/ {2,}/g, ' ').trim()];
+  }
+  if (limit != null && chars.length > limit) chars = [...chars.slice(0, limit).join('').trimEnd()];
+  return chars.join('');
+}
+
+/**
+ * Normalize a shipping or billing customer before validation.
+ *
+ * - Trims name, company, address and city fields
+ * - Converts full state names to codes and upper-cases codes ("Oregon", "or " -> "OR")
+ * - Formats ZIP and ZIP+4 ("972011234" -> "97201-1234")
+ * - Formats 10-digit US phone numbers as "555-123-4567" (a leading +1 or 1 is dropped)
+ * - Trims and lower-cases email addresses
+ *
+ * Non-string values and values that don't match a known format are left as-is
+ * (other than trimming) for validation to report. The input is not modified.
+ *
+ * @param {Object} customer - shippingCustomer or billingCustomer
+ * @param {string} [label='customer'] - Path prefix used in the reported changes
+ * @returns {NormalizedCustomer}
+ *
+ * @example
+ * const { customer, changes } = normalizeCustomer({ state: 'Oregon', zip: '972011234' }, 'shippingCustomer');
+ * // customer: { state: 'OR', zip: '97201-1234' }
+ * // changes:  [{ path: 'shippingCustomer.state', from: 'Oregon', to: 'OR' }, ...]
+ */
+export function normalizeCustomer(customer, label = 'customer') {
+  if (!customer || typeof customer !== 'object' || Array.isArray(customer)) {
+    return { customer, changes: [] };
+  }
+
+  const result = { ...customer };
+  const changes = [];
+  const apply = (field, fn) => {
+    const from = customer[field];
+    if (typeof from !== 'string') return;
+    const to = fn(from);
+    if (to === from) return;
+    result[field] = to;
+    changes.push({ path: `${label}.${field}`, from, to });
+  };
+
+  for (const field of TEXT_FIELDS) apply(field, (v) => v.trim());
+  apply('email', normalizeEmail);
+  apply('phone', normalizePhone);
+  apply('state', normalizeState);
+  apply('zip', normalizeZip);
+
+  for (const field of EMAIL_LIST_FIELDS) {
+    const emails = customer[field];
+    if (!Array.isArray(emails)) continue;
+    result[field] = emails.map((from, i) => {
+      if (typeof from !== 'string') return from;
+      const to = normalizeEmail(from);
+      if (to !== from) changes.push({ path: `${label}.${field}[${i}]`, from, to });
+      return to;
+    });
+  }
+
+  return { customer: result, changes };
+}
+
+/**
+ * Normalize `shippingCustomer` and `billingCustomer` of a createOrder payload.
+ * See {@link normalizeCustomer} for the rules. The input is not modified.
+ *
+ * @param {Object} orderData - The order data
+ * @returns {NormalizedOrder}
+ */
+export function normalizeOrder(orderData) {
+  if (!orderData || typeof orderData !== 'object') return { order: orderData, changes: [] };
+
+  const order = { ...orderData };
+  const changes = [];
+  for (const key of CUSTOMER_KEYS) {
+    if (orderData[key] == null) continue;
+    const normalized = normalizeCustomer(orderData[key], key);
+    order[key] = normalized.customer;
+    changes.push(...normalized.changes);
+  }
+  return { order, changes };
+}
+
+/**
+ * Make the free-text fields of a createOrder payload printable and, with
+ * `fieldLimits`, short enough instead of rejecting them: customer names, company, address lines and city, and
+ * item `notes`.
+ *
+ * - Unprintable characters are transliterated ("Łukasz" -> "Lukasz", curly quotes -> straight
+ *   quotes, "—" -> "-") or removed (emoji, control characters)
+ * - Values longer than their limit are cut to it
+ *
+ * Non-string values are left for validation to report. The input is not modified.
+ *
+ * @param {Object} orderData - The order data
+ * @param {Object} [options]
+ * @param {import('./validate.js').FieldLimits} [options.fieldLimits=false] - Cut values to these
+ *   limits (`true` for FIELD_LIMITS); no values are cut without it
+ * @returns {NormalizedOrder}
+ * @throws {Error} If `fieldLimits` is invalid
+ *
+ * @example
+ * const { order, changes } = sanitizeOrder(orderData, { fieldLimits: { address1: 35 } });
+ * // changes: [{ path: 'shippingCustomer.company', from: 'Café ☕ Co', to: 'Café Co' }]
+ */
+export function sanitizeOrder(orderData, { fieldLimits } = {}) {
+  const limits = resolveFieldLimits(fieldLimits);
+  if (!orderData || typeof orderData !== 'object') return { order: orderData, changes: [] };
+
+  const changes = [];
+  const sanitizeFields = (obj, fields, label) => {
+    if (!obj || typeof obj !== 'object' || Array.isArray(obj)) return obj;
+    const result = { ...obj };
+    for (const field of fields) {
+      const from = obj[field];
+      if (typeof from !== 'string') continue;
+      const to = sanitizeText(from, field, limits[field]);
+      if (to === from) continue;
+      result[field] = to;
+      changes.push({ path: `${label}.${field}`, from, to });
+    }
+    return result;
+  };
+
+  const order = { ...orderData };
+  if (Array.isArray(orderData.orderItems)) {
+    order.orderItems = orderData.orderItems.map((item, i) => sanitizeFields(item, ['notes'], `orderItems[${i}]`));
+  }
+  for (const key of CUSTOMER_KEYS) {
+    if (orderData[key] != null) order[key] = sanitizeFields(orderData[key], TEXT_FIELDS, key);
+  }
+  return { order, changes };
+}
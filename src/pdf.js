@@ -0,0 +1,450 @@
+import { readFile, stat } from 'node:fs/promises';
+import { inflateSync } from 'node:zlib';
+import { mapLimit } from './preflight.js';
+import { parseSku } from './sku.js';
+
+const POINTS_PER_INCH = 72;
+
+// Page sizes within this many inches of the expected size are accepted
+const SIZE_TOLERANCE_IN = 0.1;
+
+const DEFAULT_MAX_BYTES = 100 * 1024 * 1024;
+
+/**
+ * @typedef {Object} PdfPage
+ * @property {number} width - Displayed width in inches (after /Rotate)
+ * @property {number} height - Displayed height in inches (after /Rotate)
+ */
+
+/**
+ * @typedef {Object} PdfInfo
+ * @property {number} pageCount - Number of pages
+ * @property {PdfPage[]} pages - Size of each page, in order
+ */
+
+/**
+ * @typedef {Object} InspectPdfOptions
+ * @property {typeof fetch} [fetch] - Fetch implementation for URL sources (default: global `fetch`)
+ * @property {AbortSignal} [signal] - Cancels a download
+ * @property {number} [maxBytes=104857600] - Refuse to download or read files larger than this
+ */
+
+// -- Reading -----------------------------------------------------------------
+
+async function download(url, { fetch: fetchImpl, signal, maxBytes }) {
+  const fetchFn = fetchImpl ?? globalThis.fetch;
+  const response = await fetchFn(String(url), { signal });
+  if (!response.ok) {
+    response.body?.cancel().catch(() => {});
+    throw new Error(`download failed (HTTP ${response.status})`);
+  }
+
+  const declared = Number(response.headers.get('content-length'));
+  if (declared > maxBytes) {
+    response.body?.cancel().catch(() => {});
+    throw new Error(`file is larger than ${maxBytes} bytes`);
+  }
+
+  const chunks = [];
+  let size = 0;
+  const reader = response.body.getReader();
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    size += value.length;
+    if (size > maxBytes) {
+      reader.cancel().catch(() => {});
+      throw new Error(`file is larger than ${maxBytes} bytes`);
+    }
+    chunks.push(value);
+  }
+  return Buffer.concat(chunks);
+}
+
+async function readSource(source, options) {
+  if (source instanceof Uint8Array) return Buffer.from(source.buffer, source.byteOffset, source.byteLength);
+  if (source instanceof ArrayBuffer) return Buffer.from(source);
+  if (source instanceof URL || (typeof source === 'string' && /^https?:\/\//i.test(source))) {
+    return download(source, options);
+  }
+  if (typeof source === 'string') {
+    // Check the size first so an oversized file is never loaded into memory
+    if ((await stat(source)).size > options.maxBytes) throw new Error(`file is larger than ${options.maxBytes} bytes`);
+    return readFile(source);
+  }
+  throw new Error('source must be a file path, URL, Buffer or Uint8Array');
+}
+
+// -- Parsing -----------------------------------------------------------------
+
+/**
+ * Return the top level of a dictionary body with nested dictionaries and
+ * strings blanked out, so key lookups can't match inside them.
+ * @param {string} body - Object body starting with "<<"
+ * @returns {string}
+ */
+function topLevel(body) {
+  let out = '';
+  let depth = 0;
+  for (let i = 0; i < body.length; i++) {
+    const c = body[i];
+    if (c === '(') {
+      // Literal string: skip to the matching ")" (strings may nest and escape)
+      let parens = 1;
+      while (++i < body.length && parens > 0) {
+        if (body[i] === '\\') i++;
+        else if (body[i] === '(') parens++;
+        else if (body[i] === ')') parens--;
+      }
+      i--;
+      continue;
+    }
+    if (c === '<' && body[i + 1] === '<') {
+      depth++;
+      i++;
+      if (depth === 1) out += '<<';
+      continue;
+    }
+    if (c === '>' && body[i + 1] === '>') {
+      depth--;
+      i++;
+      if (depth === 0) {
+        out += '>>';
+        break;
+      }
+      continue;
+    }
+    if (depth === 1) out += c;
+  }
+  return out;
+}
+
+function getName(dict, key) {
+  return new RegExp(`/${key}\\s*/([A-Za-z0-9]+)`).exec(dict)?.[1];
+}
+
+function getRef(dict, key) {
+  const match = new RegExp(`/${key}\\s+(\\d+)\\s+\\d+\\s+R`).exec(dict);
+  return match ? Number(match[1]) : undefined;
+}
+
+/**
+ * Read a number entry, following an indirect reference ("/Length 12 0 R").
+ * @param {string} dict
+ * @param {string} key
+ * @param {(num: number) => string|undefined} [resolve] - Body of object `num`
+ * @returns {number|undefined}
+ */
+function getNumber(dict, key, resolve) {
+  const match = new RegExp(`/${key}\\s+(-?\\d*\\.?\\d+)(?![\\d.])(?!\\s+\\d+\\s+R)`).exec(dict);
+  if (match) return Number(match[1]);
+  const ref = getRef(dict, key);
+  const value = ref == null ? undefined : resolve?.(ref)?.trim();
+  return value && /^-?\d*\.?\d+$/.test(value) ? Number(value) : undefined;
+}
+
+/**
+ * Find the body of an uncompressed object by number, e.g. a stream's /Length,
+ * which may come after the stream.
+ * @param {string} text - Whole file as latin1
+ * @returns {(num: number) => string|undefined}
+ */
+function objectLookup(text) {
+  return (num) => new RegExp(`(?:^|\\D)${num}\\s+\\d+\\s+obj\\b([\\s\\S]*?)endobj`).exec(text)?.[1];
+}
+
+function parseNumbers(text) {
+  return (text.match(/-?\d*\.?\d+/g) ?? []).map(Number);
+}
+
+/**
+ * Read the raw bytes of a stream object.
+ * @param {string} text - Whole file as latin1
+ * @param {number} start - Index of the "stream" keyword
+ * @param {number} end - Index of the "endstream" keyword
+ * @param {string} dict - The stream's dictionary (top level)
+ * @returns {Buffer}
+ */
+function streamData(text, start, end, dict) {
+  let from = start + 'stream'.length;
+  if (text[from] === '\r') from++;
+  if (text[from] === '\n') from++;
+  const length = getNumber(dict, 'Length', objectLookup(text));
+  const to = length != null && from + length <= end ? from + length : end;
+  return Buffer.from(text.slice(from, to), 'latin1');
+}
+
+/**
+ * Add the objects packed in an object stream (/Type /ObjStm) to `objects`.
+ */
+function expandObjectStream(objects, dict, data, resolve) {
+  if (!/\/FlateDecode\b/.test(dict) || /\/DecodeParms\b/.test(dict)) return;
+  let decoded;
+  try {
+    decoded = inflateSync(data).toString('latin1');
+  } catch {
+    return;
+  }
+  const count = getNumber(dict, 'N', resolve) ?? 0;
+  const first = getNumber(dict, 'First', resolve) ?? 0;
+  const header = parseNumbers(decoded.slice(0, first));
+  for (let i = 0; i < count; i++) {
+    const num = header[i * 2];
+    const start = first + header[i * 2 + 1];
+    const end = i + 1 < count ? first + header[i * 2 + 3] : decoded.length;
+    objects.set(num, decoded.slice(start, end).trim());
+  }
+}
+
+/**
+ * Collect every object body in the file, in file order, so objects from
+ * incremental updates replace earlier versions.
+ * @param {string} text - Whole file as latin1
+ * @returns {Map<number, string>}
+ */
+function readObjects(text) {
+  const objects = new Map();
+  const header = /(\d+)\s+\d+\s+obj\b/g;
+  let match;
+  while ((match = header.exec(text))) {
+    const start = match.index + match[0].length;
+    let endobj = text.indexOf('endobj', start);
+    if (endobj === -1) break;
+
+    const streamAt = text.indexOf('stream', start);
+    let body = text.slice(start, endobj).trim();
+    if (streamAt !== -1 && streamAt < endobj) {
+      const endstream = text.indexOf('endstream', streamAt);
+      if (endstream !== -1) {
+        endobj = text.indexOf('endobj', endstream);
+        if (endobj === -1) break;
+        const dict = topLevel(text.slice(start, streamAt));
+        body = dict;
+        if (getName(dict, 'Type') === 'ObjStm') {
+          expandObjectStream(objects, dict, streamData(text, streamAt, endstream, dict), objectLookup(text));
+        }
+      }
+    }
+    objects.set(Number(match[1]), body);
+    header.lastIndex = endobj;
+  }
+  return objects;
+}
+
+function readBox(dict, objects) {
+  const inline = /\/MediaBox\s*\[([^\]]*)\]/.exec(dict);
+  if (inline) return parseNumbers(inline[1]);
+  const ref = getRef(dict, 'MediaBox');
+  if (ref == null || !objects.has(ref)) return undefined;
+  return parseNumbers(objects.get(ref).replace(/[[\]]/g, ''));
+}
+
+function toPage(box, rotate, userUnit) {
+  const [x1, y1, x2, y2] = box;
+  let width = Math.abs(x2 - x1) * userUnit / POINTS_PER_INCH;
+  let height = Math.abs(y2 - y1) * userUnit / POINTS_PER_INCH;
+  if (Math.abs(rotate) % 180 === 90) [width, height] = [height, width];
+  return { width: Math.round(width * 100) / 100, height: Math.round(height * 100) / 100 };
+}
+
+/**
+ * Walk the page tree from the catalog, inheriting MediaBox and Rotate.
+ * @returns {PdfPage[]|undefined} undefined if the tree can't be followed
+ */
+function readPageTree(text, objects) {
+  const roots = [...text.matchAll(/\/Root\s+(\d+)\s+\d+\s+R/g)];
+  const root = roots.length ? objects.get(Number(roots[roots.length - 1][1])) : undefined;
+  const pagesRef = root && getRef(topLevel(root), 'Pages');
+  if (pagesRef == null) return undefined;
+
+  const pages = [];
+  const visited = new Set();
+  const resolve = (ref) => objects.get(ref);
+  const walk = (num, inherited) => {
+    if (visited.has(num) || !objects.has(num)) throw new Error('broken page tree');
+    visited.add(num);
+    const dict = topLevel(objects.get(num));
+    const state = {
+      box: readBox(dict, objects) ?? inherited.box,
+      rotate: getNumber(dict, 'Rotate', resolve) ?? inherited.rotate
+    };
+
+    const kids = /\/Kids\s*\[([^\]]*)\]/.exec(dict);
+    if (getName(dict, 'Type') === 'Pages' || (kids && getName(dict, 'Type') !== 'Page')) {
+      for (const ref of (kids?.[1] ?? '').matchAll(/(\d+)\s+\d+\s+R/g)) walk(Number(ref[1]), state);
+      return;
+    }
+    if (!state.box || state.box.length < 4) throw new Error('page has no MediaBox');
+    pages.push(toPage(state.box, state.rotate, getNumber(dict, 'UserUnit', resolve) ?? 1));
+  };
+
+  try {
+    walk(pagesRef, { box: undefined, rotate: 0 });
+  } catch {
+    return undefined;
+  }
+  return pages;
+}
+
+/**
+ * Fallback when the page tree can't be followed: every /Type /Page object,
+ * in object-number order.
+ */
+function scanPages(objects) {
+  const pages = [];
+  for (const num of [...objects.keys()].sort((a, b) => a - b)) {
+    const dict = topLevel(objects.get(num));
+    if (getName(dict, 'Type') !== 'Page') continue;
+    const box = readBox(dict, objects);
+    if (box?.length >= 4) {
+      const resolve = (ref) => objects.get(ref);
+      pages.push(toPage(box, getNumber(dict, 'Rotate', resolve) ?? 0, getNumber(dict, 'UserUnit', resolve) ?? 1));
+    }
+  }
+  return pages;
+}
+
+/**
+ * Parse page count and page sizes from PDF bytes.
+ * @param {Buffer} data
+ * @returns {PdfInfo}
+ * @throws {Error} If the data is not a PDF, is encrypted, or has no pages
+ */
+export function parsePdf(data) {
+  const text = data.toString('latin1');
+  if (!text.slice(0, 1024).includes('%PDF-')) throw new Error('not a PDF (missing %PDF- header)');
+  if (/\/Encrypt\s+(?:\d+\s+\d+\s+R|<<)/.test(text)) throw new Error('encrypted PDFs are not supported');
+
+  const objects = readObjects(text);
+  const pages = readPageTree(text, objects) ?? scanPages(objects);
+  if (pages.length === 0) throw new Error('no pages found');
+  return { pageCount: pages.length, pages };
+}
+
+/**
+ * Read the page count and page sizes of a PDF.
+ *
+ * Dependency-free: handles classic and compressed (object stream) files,
+ * inherited MediaBox, /Rotate and /UserUnit. Encrypted PDFs are not supported.
+ *
+ * @param {string|URL|Buffer|Uint8Array|ArrayBuffer} source - Local file path, HTTP(S) URL, or file contents
+ * @param {InspectPdfOptions} [options]
+ * @returns {Promise<PdfInfo>}
+ * @throws {Error} If the file can't be read or parsed
+ *
+ * @example
+ * const { pageCount, pages } = await inspectPdf('./newsletter.pdf');
+ * console.log(pageCount, `${pages[0].width} x ${pages[0].height} in`);
+ */
+export async function inspectPdf(source, { fetch: fetchImpl, signal, maxBytes = DEFAULT_MAX_BYTES } = {}) {
+  return parsePdf(await readSource(source, { fetch: fetchImpl, signal, maxBytes }));
+}
+
+// -- Validation --------------------------------------------------------------
+
+function sameSize(page, [long, short]) {
+  const pageLong = Math.max(page.width, page.height);
+  const pageShort = Math.min(page.width, page.height);
+  return Math.abs(pageLong - Math.max(long, short)) <= SIZE_TOLERANCE_IN &&
+    Math.abs(pageShort - Math.min(long, short)) <= SIZE_TOLERANCE_IN;
+}
+
+/**
+ * Check an item's inspected PDFs against its SKU, `staple` flag and LFP size.
+ *
+ * - SKUs ending in a page count (e.g. "TAB_2D_16P") need exactly that many
+ *   pages across the item's files
+ * - `staple: true` needs more than 4 pages
+ * - LFP items need every page to match the SKU size ("LFP_36x24") or
+ *   `longEdge` x `shortEdge` for "LFP_CS", in either orientation
+ *
+ * @param {import('./PrintApiClient.js').OrderItem} item
+ * @param {PdfInfo[]} pdfs - One entry per file in `item.files`, in order
+ * @param {Object} [options]
+ * @param {string} [options.path='orderItems[0]'] - Path of the item, used in issue paths
+ * @returns {import('./validate.js').ValidationResult}
+ */
+export function validateItemPdfs(item, pdfs, { path = 'orderItems[0]' } = {}) {
+  const issues = [];
+  const add = (issuePath, code, problem) => issues.push({ path: issuePath, code, message: `${issuePath} ${problem}` });
+  const totalPages = pdfs.reduce((sum, pdf) => sum + pdf.pageCount, 0);
+
+  const sku = parseSku(item.sku);
+  const expectedPages = sku?.pageCount;
+  if (expectedPages != null && totalPages !== expectedPages) {
+    add(`${path}.files`, 'page_count_mismatch',
+      `contain ${totalPages} ${totalPages === 1 ? 'page' : 'pages'}, but ${item.sku} needs ${expectedPages}`);
+  }
+
+  if (item.staple === true && totalPages <= 4) {
+    add(`${path}.staple`, 'unsupported_option', `requires more than 4 pages (the files have ${totalPages})`);
+  }
+
+  const size = sku?.customSize ? [item.longEdge, item.shortEdge]
+    : sku?.longEdge != null ? [sku.longEdge, sku.shortEdge] : undefined;
+  if (size && size.every((n) => typeof n === 'number' && n > 0)) {
+    pdfs.forEach((pdf, j) => {
+      const index = pdf.pages.findIndex((page) => !sameSize(page, size));
+      if (index === -1) return;
+      const page = pdf.pages[index];
+      add(`${path}.files[${j}]`, 'size_mismatch',
+        `page ${index + 1} is ${page.width} x ${page.height} in, but ${item.sku} needs ${size[0]} x ${size[1]} in`);
+    });
+  }
+
+  return { valid: issues.length === 0, issues, warnings: [] };
+}
+
+/**
+ * @typedef {Object} OrderPdfReport
+ * @property {boolean} valid - Whether every file was read and matched its item
+ * @property {import('./validate.js').ValidationIssue[]} issues - Unreadable files ("invalid_pdf")
+ *   and mismatches ("page_count_mismatch", "unsupported_option", "size_mismatch")
+ * @property {import('./validate.js').ValidationIssue[]} warnings - Always empty; for symmetry with validateOrder
+ * @property {Array<{ path: string, url: string } & Partial<PdfInfo>>} files - What was read from each file
+ */
+
+/**
+ * Download and inspect every file on a set of order items, then check each
+ * item with {@link validateItemPdfs}.
+ *
+ * @param {import('./PrintApiClient.js').OrderItem[]} orderItems
+ * @param {InspectPdfOptions & { concurrency?: number }} [options] - `concurrency` defaults to 2
+ * @returns {Promise<OrderPdfReport>}
+ * @throws {Error} If concurrency is not a positive integer
+ * @throws {*} The signal's reason if `signal` is aborted
+ */
+export async function inspectOrderPdfs(orderItems, { concurrency = 2, signal, ...options } = {}) {
+  if (!Number.isInteger(concurrency) || concurrency < 1) throw new Error('concurrency must be a positive integer');
+  const items = Array.isArray(orderItems) ? orderItems : [];
+  const entries = [];
+  items.forEach((item, i) => {
+    (Array.isArray(item?.files) ? item.files : []).forEach((url, j) => {
+      entries.push({ i, path: `orderItems[${i}].files[${j}]`, url });
+    });
+  });
+
+  const results = await mapLimit(entries, concurrency, async ({ url }) => {
+    try {
+      return await inspectPdf(url, { ...options, signal });
+    } catch (err) {
+      if (signal?.aborted) throw signal.reason;
+      return { error: err.message };
+    }
+  });
+
+  const issues = [];
+  const files = entries.map(({ path, url }, k) => {
+    const { error, ...info } = results[k];
+    if (error) issues.push({ path, code: 'invalid_pdf', message: `${path} could not be read as a PDF (${error})` });
+    return { path, url, ...info };
+  });
+
+  items.forEach((item, i) => {
+    const own = entries.map((entry, k) => (entry.i === i ? results[k] : null)).filter(Boolean);
+    if (own.length === 0 || own.some((result) => result.error)) return;
+    issues.push(...validateItemPdfs(item, own, { path: `orderItems[${i}]` }).issues);
+  });
+
+  return { valid: issues.length === 0, issues, warnings: [], files };
+}
@@ -0,0 +1,244 @@
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+
+// Statuses some file hosts return for HEAD even though GET works (e.g. presigned
+// URLs signed for GET only); these fall back to a ranged GET
+const HEAD_UNSUPPORTED = new Set([403, 405, 501]);
+
+const PDF_MAGIC = '%PDF-';
+
+/**
+ * @typedef {Object} PreflightOptions
+ * @property {number} [concurrency=4] - Files checked at the same time
+ * @property {number} [timeoutMs=10000] - Timeout for each file (including redirects)
+ * @property {number} [maxBytes] - Reject files larger than this (no limit by default)
+ * @property {number} [maxRedirects=5] - Redirects to follow; 0 rejects any redirect.
+ *   Redirects to non-HTTPS URLs are always rejected.
+ * @property {(report: PreflightReport) => void} [onReport] - Receives the per-file results
+ *   (createOrder only; called before the order is submitted or rejected)
+ */
+
+/**
+ * @typedef {Object} FileCheck
+ * @property {string} path - Field path (e.g. "orderItems[0].files[1]")
+ * @property {string} url - The file URL as given
+ * @property {boolean} valid - Whether the file passed every check
+ * @property {number} [status] - Final HTTP status (absent if the host could not be reached)
+ * @property {string|null} [contentType] - Content-Type of the final response
+ * @property {number|null} [size] - File size in bytes, when the host reports it
+ * @property {string} [finalUrl] - URL after redirects
+ * @property {number} [redirects] - Number of redirects followed
+ * @property {string} [code] - Why the check failed: "unreachable", "timeout", "too_many_redirects",
+ *   "insecure_redirect", "empty_file", "too_large" or "invalid_content_type"
+ * @property {string} [message] - Human-readable failure, starting with the path
+ */
+
+/**
+ * @typedef {Object} PreflightReport
+ * @property {boolean} valid - Whether every file passed
+ * @property {FileCheck[]} files - One entry per file, in order
+ * @property {import('./validate.js').ValidationIssue[]} issues - Failed checks as validation issues
+ * @property {import('./validate.js').ValidationIssue[]} warnings - Always empty; for symmetry with validateOrder
+ */
+
+class PreflightFailure extends Error {
+  constructor(code, problem, fields = {}) {
+    super(problem);
+    this.code = code;
+    this.fields = fields;
+  }
+}
+
+function isPdfType(contentType) {
+  return typeof contentType === 'string' && contentType.toLowerCase().split(';')[0].trim() === 'application/pdf';
+}
+
+/**
+ * Total size from Content-Range ("bytes 0-1023/48213") or Content-Length.
+ * @param {Response} response
+ * @returns {number|null}
+ */
+function responseSize(response) {
+  const range = /\/(\d+)\s*$/.exec(response.headers.get('content-range') ?? '');
+  if (range) return Number(range[1]);
+  if (response.status === 206) return null;
+  const length = response.headers.get('content-length');
+  return length != null && /^\d+$/.test(length) ? Number(length) : null;
+}
+
+/**
+ * Read the first chunk of a body and release the rest.
+ * @param {Response} response
+ * @returns {Promise<string>}
+ */
+async function readPrefix(response) {
+  const reader = response.body?.getReader();
+  if (!reader) return '';
+  try {
+    const { value } = await reader.read();
+    return value ? String.fromCharCode(...value.subarray(0, PDF_MAGIC.length)) : '';
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+}
+
+/**
+ * Fetch a URL, following HTTPS redirects manually so each hop can be checked.
+ * @returns {Promise<{ response: Response, finalUrl: string, redirects: number }>}
+ * @throws {PreflightFailure} On a non-HTTPS redirect or too many redirects
+ */
+async function fetchFollowing(fetchFn, url, init, maxRedirects) {
+  let current = url;
+  for (let redirects = 0; ; redirects++) {
+    const response = await fetchFn(current, { ...init, redirect: 'manual' });
+    const location = response.headers.get('location');
+    if (!REDIRECT_STATUSES.has(response.status) || !location) {
+      return { response, finalUrl: current, redirects };
+    }
+    response.body?.cancel().catch(() => {});
+
+    if (redirects >= maxRedirects) {
+      throw new PreflightFailure('too_many_redirects', maxRedirects === 0
+        ? `redirects (HTTP ${response.status}), which is not allowed`
+        : `redirected more than ${maxRedirects} times`);
+    }
+    const next = new URL(location, current).href;
+    if (!next.startsWith('https://')) {
+      throw new PreflightFailure('insecure_redirect', 'redirects to a non-HTTPS URL');
+    }
+    current = next;
+  }
+}
+
+/**
+ * Check one file: HEAD first, then a ranged GET if HEAD is refused or
+ * doesn't identify the file as a PDF.
+ */
+async function checkFile(url, { fetchFn, timeoutMs, maxBytes, maxRedirects, signal }) {
+  const controller = new AbortController();
+  const onAbort = () => controller.abort();
+  signal?.addEventListener('abort', onAbort, { once: true });
+  let timedOut = false;
+  const timer = timeoutMs > 0 ? setTimeout(() => { timedOut = true; controller.abort(); }, timeoutMs) : null;
+  const init = { signal: controller.signal };
+
+  try {
+    let result = await fetchFollowing(fetchFn, url, { ...init, method: 'HEAD' }, maxRedirects);
+    let { response } = result;
+    let sniffed = false;
+
+    if (HEAD_UNSUPPORTED.has(response.status) || (response.ok && !isPdfType(response.headers.get('content-type')))) {
+      result = await fetchFollowing(fetchFn, url, {
+        ...init,
+        method: 'GET',
+        headers: { Range: `bytes=0-${PDF_MAGIC.length - 1}` }
+      }, maxRedirects);
+      response = result.response;
+      sniffed = response.ok && (await readPrefix(response)) === PDF_MAGIC;
+    }
+
+    const contentType = response.headers.get('content-type');
+    const fields = {
+      status: response.status,
+      contentType,
+      size: responseSize(response),
+      finalUrl: result.finalUrl,
+      redirects: result.redirects
+    };
+
+    if (!response.ok) {
+      response.body?.cancel().catch(() => {});
+      throw new PreflightFailure('unreachable', `could not be fetched (HTTP ${response.status})`, fields);
+    }
+    if (fields.size === 0) throw new PreflightFailure('empty_file', 'is empty', fields);
+    if (maxBytes != null && fields.size > maxBytes) {
+      throw new PreflightFailure('too_large', `is ${fields.size} bytes, over the ${maxBytes}-byte limit`, fields);
+    }
+    if (!isPdfType(contentType) && !sniffed) {
+      throw new PreflightFailure('invalid_content_type', `is not a PDF (Content-Type: ${contentType ?? 'none'})`, fields);
+    }
+    return { valid: true, ...fields };
+  } catch (err) {
+    if (signal?.aborted) throw signal.reason;
+    if (err instanceof PreflightFailure) return { valid: false, ...err.fields, code: err.code, problem: err.message };
+    if (timedOut) return { valid: false, code: 'timeout', problem: `did not respond within ${timeoutMs}ms` };
+    return { valid: false, code: 'unreachable', problem: `could not be fetched (${err.message})` };
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+  }
+}
+
+/**
+ * Run `fn` over `items` with at most `limit` calls in flight.
+ * @template T, R
+ * @param {T[]} items
+ * @param {number} limit
+ * @param {(item: T) => Promise<R>} fn
+ * @returns {Promise<R[]>}
+ */
+export async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Check that every file URL on a set of order items can be fetched and is a PDF.
+ *
+ * Each file gets a HEAD request (falling back to a 5-byte ranged GET when HEAD is
+ * refused or the Content-Type is not `application/pdf`, in which case the
+ * content is sniffed for the PDF header). Redirects are followed only to HTTPS
+ * URLs. Repeated URLs are fetched once.
+ *
+ * Never throws for a bad file; failures are reported in the result.
+ *
+ * @param {import('./PrintApiClient.js').OrderItem[]} orderItems - Items whose `files` to check
+ * @param {PreflightOptions & { fetch?: typeof fetch, signal?: AbortSignal }} [options]
+ * @returns {Promise<PreflightReport>}
+ * @throws {*} The signal's reason if `signal` is aborted
+ *
+ * @example
+ * const report = await preflightFiles(orderData.orderItems, { maxBytes: 100 * 1024 * 1024 });
+ * for (const file of report.files.filter((f) => !f.valid)) console.log(file.message);
+ */
+export async function preflightFiles(orderItems, {
+  fetch: fetchImpl,
+  signal,
+  concurrency = 4,
+  timeoutMs = 10000,
+  maxBytes,
+  maxRedirects = 5
+} = {}) {
+  if (!Number.isInteger(concurrency) || concurrency < 1) throw new Error('concurrency must be a positive integer');
+  if (signal?.aborted) throw signal.reason;
+
+  const entries = [];
+  (Array.isArray(orderItems) ? orderItems : []).forEach((item, i) => {
+    (Array.isArray(item?.files) ? item.files : []).forEach((url, j) => {
+      entries.push({ path: `orderItems[${i}].files[${j}]`, url });
+    });
+  });
+
+  const fetchFn = fetchImpl ?? globalThis.fetch;
+  const urls = [...new Set(entries.map((entry) => entry.url))];
+  const checks = await mapLimit(urls, concurrency, (url) =>
+    checkFile(url, { fetchFn, timeoutMs, maxBytes, maxRedirects, signal }));
+  const byUrl = new Map(urls.map((url, i) => [url, checks[i]]));
+
+  const files = entries.map(({ path, url }) => {
+    const { problem, ...result } = byUrl.get(url);
+    return { path, url, ...result, ...(problem && { message: `${path} ${problem}` }) };
+  });
+  const issues = files
+    .filter((file) => !file.valid)
+    .map(({ path, code, message }) => ({ path, code, message }));
+
+  return { valid: issues.length === 0, files, issues, warnings: [] };
+}
@@ -0,0 +1,50 @@
+const REDACTED = '[REDACTED]';
+
+const SECRET_HEADERS = new Set(['x-api-key', 'authorization']);
+
+// Contact and address fields on shippingCustomer / billingCustomer
+const PII_FIELDS = new Set([
+  'email', 'phone', 'address1', 'address2', 'address3', 'zip',
+  'shipmentTrackingEmail', 'billingInvoiceEmails'
+]);
+
+const CUSTOMER_KEYS = ['shippingCustomer', 'billingCustomer'];
+
+/**
+ * Return a copy of a headers object with credentials masked.
+ * @param {Object<string, string>} headers
+ * @returns {Object<string, string>}
+ */
+export function redactHeaders(headers) {
+  const result = {};
+  for (const [name, value] of Object.entries(headers ?? {})) {
+    result[name] = SECRET_HEADERS.has(name.toLowerCase()) ? REDACTED : value;
+  }
+  return result;
+}
+
+/**
+ * Return a copy of a request body with customer contact details masked.
+ * Only `shippingCustomer` and `billingCustomer` are touched; everything else
+ * is returned as-is.
+ *
+ * @param {Object} [body]
+ * @returns {Object|undefined}
+ */
+export function redactPii(body) {
+  if (!body || typeof body !== 'object') return body;
+
+  let result = body;
+  for (const key of CUSTOMER_KEYS) {
+    const customer = body[key];
+    if (!customer || typeof customer !== 'object') continue;
+
+    const masked = {};
+    for (const [field, value] of Object.entries(customer)) {
+      masked[field] = PII_FIELDS.has(field) && value != null ? REDACTED : value;
+    }
+    if (result === body) result = { ...body };
+    result[key] = masked;
+  }
+  return result;
+}
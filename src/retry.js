@@ -0,0 +1,92 @@
+/**
+ * Default retry policy. Status 0 covers network failures (no HTTP response).
+ */
+export const DEFAULT_RETRY = Object.freeze({
+  maxAttempts: 3,
+  baseDelayMs: 500,
+  maxDelayMs: 30000,
+  jitter: true,
+  retryOn: Object.freeze([0, 429, 500, 502, 503, 504]),
+  retryNonIdempotent: false
+});
+
+/**
+ * Resolve the `retry` client option into a full policy.
+ *
+ * `undefined`/`false` disables retries (a single attempt), `true` uses
+ * {@link DEFAULT_RETRY}, and an object overrides individual defaults.
+ *
+ * @param {boolean|Object} [retry]
+ * @returns {typeof DEFAULT_RETRY}
+ */
+export function resolveRetryPolicy(retry) {
+  if (!retry) return { ...DEFAULT_RETRY, maxAttempts: 1 };
+  const policy = { ...DEFAULT_RETRY, ...(retry === true ? {} : retry) };
+  if (!Number.isInteger(policy.maxAttempts) || policy.maxAttempts < 1) {
+    throw new Error('retry.maxAttempts must be a positive integer');
+  }
+  if (!Array.isArray(policy.retryOn)) {
+    throw new Error('retry.retryOn must be an array of HTTP status codes');
+  }
+  return policy;
+}
+
+/**
+ * Parse a `Retry-After` header value into milliseconds.
+ * Accepts either delta-seconds ("120") or an HTTP date.
+ *
+ * @param {string|null|undefined} value - Raw header value
+ * @param {number} [now=Date.now()] - Current time, for HTTP-date values
+ * @returns {number|null} Delay in ms, or null if absent/unparseable
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value == null || String(value).trim() === '') return null;
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) return Number(text) * 1000;
+  const date = Date.parse(text);
+  if (Number.isNaN(date)) return null;
+  return Math.max(0, date - now);
+}
+
+/**
+ * Compute the delay before the next attempt.
+ *
+ * Uses exponential backoff (`baseDelayMs * 2^(attempt-1)`), with optional full
+ * jitter, capped at `maxDelayMs`. A `Retry-After` value from the server takes
+ * precedence over the computed backoff; if it is longer than `maxDelayMs`, the
+ * call should not be retried at all, since retrying early would only be refused again.
+ *
+ * @param {number} attempt - The attempt that just failed (1-based)
+ * @param {typeof DEFAULT_RETRY} policy
+ * @param {number|null} [retryAfterMs] - Server-provided delay, if any
+ * @returns {number|null} Delay in ms, or null if the server asked to wait longer than `maxDelayMs`
+ */
+export function computeRetryDelay(attempt, policy, retryAfterMs = null) {
+  if (retryAfterMs != null) {
+    return retryAfterMs > policy.maxDelayMs ? null : Math.round(retryAfterMs);
+  }
+  let delay = policy.baseDelayMs * 2 ** (attempt - 1);
+  if (policy.jitter) delay = Math.random() * delay;
+  return Math.min(Math.round(delay), policy.maxDelayMs);
+}
+
+/**
+ * Wait for the given number of milliseconds.
+ * @param {number} ms
+ * @param {AbortSignal} [signal] - Rejects early with `signal.reason` when aborted
+ * @returns {Promise<void>}
+ */
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
@@ -0,0 +1,306 @@
+import {
+  VALID_STATES,
+  VALID_PRODUCT_TYPES,
+  MIN_QUANTITY,
+  MAX_QUANTITY,
+  MAX_TRACKING_EMAILS,
+  MIN_PHONE_LENGTH,
+  ISO_DATETIME_PATTERN,
+  MAX_FILES_BY_PRODUCT
+} from './validate.js';
+
+// JSON Schema (draft 2020-12) versions of the request and response typedefs in
+// PrintApiClient.js. Request schemas apply the same rules as validate.js and are
+// built from its constants, so the two cannot drift apart.
+
+const DRAFT = 'https://json-schema.org/draft/2020-12/schema';
+const ID_PREFIX = 'urn:activityconnection:printapi:';
+
+// validate.js trims before checking for emptiness; "\S" is the schema equivalent
+const nonEmptyString = { type: 'string', pattern: '\\S' };
+
+// Free-text fields: like validate.js without the opt-in `fieldLimits` and `printableOnly`,
+// any length and characters are allowed
+const text = { type: 'string' };
+
+// Same loose check as validate.js: contains "@" and "."
+const email = { type: 'string', pattern: '^(?=.*@)(?=.*\\.)' };
+
+// validate.js upper-cases state codes before looking them up
+const caseInsensitive = (code) => [...code].map((c) => `[${c}${c.toLowerCase()}]`).join('');
+// A SKU parseSku reads as one of the sizing types: "LFP_36x24", "lfp_cs" (case-insensitive, no empty segments)
+const skuOfSizingType = (...types) => `^(?:${types.map(caseInsensitive).join('|')})(?:_[^_]+)+$`;
+
+const stateCode = {
+  type: 'string',
+  description: '2-letter US state code, lower 48 + DC (case-insensitive)',
+  pattern: `^(?:${[...VALID_STATES].map(caseInsensitive).join('|')})$`
+};
+
+const fee = {
+  type: 'object',
+  required: ['name', 'amount'],
+  properties: {
+    name: { type: 'string', description: 'Fee name (e.g. "Shipping Fee - Standard")' },
+    amount: { type: 'number', description: 'Fee amount in dollars' }
+  }
+};
+
+const pricedItem = {
+  type: 'object',
+  required: ['id', 'quantity', 'unitCost', 'subtotal', 'sku'],
+  properties: {
+    id: { type: 'integer', description: 'Sequential item ID (1-based)' },
+    quantity: { type: 'integer' },
+    unitCost: { type: 'number', description: 'Cost per unit in dollars' },
+    subtotal: { type: 'number', description: 'quantity x unitCost' },
+    sku: { type: 'string' },
+    product: { type: 'string', description: 'Product type (present in order response)' },
+    stapleFee: { type: 'number', description: 'Per-item staple fee if applicable' }
+  }
+};
+
+const pricingTotals = {
+  fees: { type: 'array', items: fee },
+  totalFees: { type: 'number' },
+  items: { type: 'array', items: pricedItem },
+  totalItemCost: { type: 'number', description: 'Sum of all item subtotals (before fees)' },
+  grandTotal: { type: 'number', description: 'Total cost including all items and fees' }
+};
+
+const orderNumbers = {
+  acOrderNumber: { type: 'string', description: 'Activity Connection order number (e.g. "ATEST-0000001")' },
+  sourceReferenceOrderNumber: { type: 'string', description: 'Your original order number' }
+};
+
+const testOrder = { type: 'boolean', description: 'Present and true if this is a test order' };
+
+/**
+ * Build an order item schema.
+ * @param {boolean} requireFiles - createOrder items need files, checkPricing items do not
+ */
+function orderItem(requireFiles) {
+  const positiveEdge = { type: 'number', exclusiveMinimum: 0 };
+  return {
+    type: 'object',
+    required: ['sku', 'productType', 'quantity', ...(requireFiles ? ['files'] : [])],
+    properties: {
+      sku: { ...nonEmptyString, description: 'Product SKU from catalog (e.g. "TAB_2D_16P", "LFP_CS")' },
+      productType: { enum: [...VALID_PRODUCT_TYPES] },
+      quantity: { type: 'integer', minimum: MIN_QUANTITY, maximum: MAX_QUANTITY },
+      files: {
+        type: 'array',
+        description: 'HTTPS file URLs',
+        ...(requireFiles && { minItems: 1 }),
+        uniqueItems: true,
+        items: { type: 'string', pattern: '^https://' }
+      },
+      longEdge: { type: 'number', description: 'Long edge in inches (required when sku is "LFP_CS")' },
+      shortEdge: { type: 'number', description: 'Short edge in inches (required when sku is "LFP_CS")' },
+      staple: { type: 'boolean', description: 'Staple the item (Newsletter with >4 pages only)' },
+      flat: { type: 'boolean', description: 'Ship flat/unfolded (TAB Calendar only)' },
+      notes: { ...text, description: 'Production notes for this item' }
+    },
+    if: { required: ['sku'], properties: { sku: { const: 'LFP_CS' } } },
+    then: {
+      required: ['longEdge', 'shortEdge'],
+      properties: { longEdge: positiveEdge, shortEdge: positiveEdge }
+    },
+    // The product option rules JSON Schema can express; longEdge >= shortEdge and
+    // the SKU page counts are only checked by validate.js
+    allOf: [
+      {
+        if: { required: ['staple'], properties: { staple: { const: true } } },
+        then: { properties: { productType: { const: 'Newsletter' } } }
+      },
+      {
+        if: { required: ['flat'], properties: { flat: { const: true } } },
+        then: { properties: { productType: { const: 'Calendar' }, sku: { pattern: skuOfSizingType('TAB') } } }
+      },
+      {
+        if: { required: ['sku'], properties: { sku: { pattern: skuOfSizingType('LFP') } } },
+        then: { properties: { productType: { const: 'LFP' } } }
+      },
+      {
+        if: { required: ['sku'], properties: { sku: { pattern: skuOfSizingType('LTR', 'TAB') } } },
+        then: { properties: { productType: { not: { const: 'LFP' } } } }
+      },
+      ...Object.entries(MAX_FILES_BY_PRODUCT).map(([productType, maxItems]) => ({
+        if: { required: ['productType'], properties: { productType: { const: productType } } },
+        then: { properties: { files: { maxItems } } }
+      }))
+    ]
+  };
+}
+
+/**
+ * Build a customer schema.
+ * @param {'shipping'|'billing'} kind
+ */
+function customer(kind) {
+  const contact = {
+    firstName: nonEmptyString,
+    lastName: nonEmptyString,
+    company: text,
+    email,
+    phone: { ...nonEmptyString, minLength: MIN_PHONE_LENGTH },
+    address1: nonEmptyString,
+    address2: text,
+    address3: text,
+    city: nonEmptyString,
+    state: stateCode,
+    zip: nonEmptyString
+  };
+  const required = ['firstName', 'lastName', 'email', 'phone', 'address1', 'city', 'state', 'zip'];
+
+  if (kind === 'shipping') {
+    return {
+      type: 'object',
+      required: [...required, 'shipmentTrackingEmail'],
+      properties: {
+        ...contact,
+        shipmentTrackingEmail: { type: 'array', minItems: 1, maxItems: MAX_TRACKING_EMAILS, items: email }
+      }
+    };
+  }
+  return {
+    type: 'object',
+    required,
+    properties: {
+      ...contact,
+      billingInvoiceEmails: { type: 'array', items: email }
+    }
+  };
+}
+
+/**
+ * Wrap a schema as a standalone draft 2020-12 document.
+ * @param {string} name - Last segment of the `$id`
+ * @param {string} title
+ * @param {Object} schema
+ * @returns {Object}
+ */
+function document(name, title, schema) {
+  return { $schema: DRAFT, $id: `${ID_PREFIX}${name}`, title, ...schema };
+}
+
+/** An item passed to `createOrder` (files required). */
+export const orderItemSchema = document('order-item', 'OrderItem', orderItem(true));
+
+/** An item passed to `checkPricing` (files optional). */
+export const pricingItemSchema = document('pricing-item', 'PricingItem', orderItem(false));
+
+/** `shippingCustomer` of a createOrder request. */
+export const shippingCustomerSchema = document('shipping-customer', 'ShippingCustomer', customer('shipping'));
+
+/** `billingCustomer` of a createOrder request. */
+export const billingCustomerSchema = document('billing-customer', 'BillingCustomer', customer('billing'));
+
+/** The `orderData` argument of `createOrder` (accountId is injected by the client). */
+export const createOrderRequestSchema = document('create-order-request', 'CreateOrderRequest', {
+  type: 'object',
+  required: ['orderDatetime', 'sourceReferenceOrderNumber', 'orderItems', 'shippingCustomer'],
+  properties: {
+    accountId: { type: 'string' },
+    orderDatetime: {
+      type: 'string',
+      format: 'date-time',
+      pattern: ISO_DATETIME_PATTERN,
+      description: 'ISO 8601 datetime with timezone of when the order was placed'
+    },
+    sourceReferenceOrderNumber: { ...nonEmptyString, description: 'Your unique order number' },
+    orderItems: { type: 'array', minItems: 1, items: orderItem(true) },
+    shippingCustomer: customer('shipping'),
+    sourceSystemBilling: { type: 'boolean', default: true },
+    billingCustomer: { description: 'Required, and checked, only when sourceSystemBilling is false' },
+    testOrder: { type: 'boolean', default: false }
+  },
+  // validate.js ignores billingCustomer unless sourceSystemBilling is false
+  if: { required: ['sourceSystemBilling'], properties: { sourceSystemBilling: { const: false } } },
+  then: { required: ['billingCustomer'], properties: { billingCustomer: customer('billing') } }
+});
+
+/** The body sent by `checkPricing` (accountId is injected by the client). */
+export const pricingRequestSchema = document('pricing-request', 'PricingRequest', {
+  type: 'object',
+  required: ['orderItems'],
+  properties: {
+    accountId: { type: 'string' },
+    orderItems: { type: 'array', minItems: 1, items: orderItem(false) }
+  }
+});
+
+/** One entry of the `getCatalog` response. */
+export const catalogProductSchema = document('catalog-product', 'CatalogProduct', {
+  type: 'object',
+  required: [
+    'id', 'productName', 'sku', 'sizingType', 'productType',
+    'duplex', 'staple', 'flat', 'customSize'
+  ],
+  properties: {
+    id: { type: 'integer' },
+    productName: { type: 'string' },
+    shortDescription: { type: 'string' },
+    description: { type: 'string' },
+    sku: { type: 'string' },
+    sizingType: { enum: ['LTR', 'TAB', 'LFP'] },
+    productType: { enum: [...VALID_PRODUCT_TYPES] },
+    productCategory: { type: 'string' },
+    duplex: { type: 'boolean' },
+    staple: { type: 'boolean' },
+    flat: { type: 'boolean' },
+    customSize: { type: 'boolean' },
+    longEdgeMinDimension: { type: 'number' },
+    longEdgeMaxDimension: { type: 'number' },
+    shortEdgeMinDimension: { type: 'number' },
+    shortEdgeMaxDimension: { type: 'number' },
+    updatedAt: { type: 'string', format: 'date-time' }
+  }
+});
+
+/** Response of `checkPricing`. */
+export const pricingResponseSchema = document('pricing-response', 'PricingResponse', {
+  type: 'object',
+  required: ['fees', 'totalFees', 'items', 'totalItemCost', 'grandTotal'],
+  properties: pricingTotals
+});
+
+/** Response of `createOrder`. */
+export const orderResponseSchema = document('order-response', 'OrderResponse', {
+  type: 'object',
+  required: ['acOrderNumber', 'sourceReferenceOrderNumber', 'items', 'grandTotal', 'expectedShipDateEstimate'],
+  properties: {
+    ...orderNumbers,
+    ...pricingTotals,
+    expectedShipDateEstimate: { type: 'string', format: 'date' },
+    testOrder
+  }
+});
+
+/** Response of `getOrderStatus`. */
+export const orderStatusResponseSchema = document('order-status-response', 'OrderStatusResponse', {
+  type: 'object',
+  required: ['acOrderNumber', 'sourceReferenceOrderNumber', 'orderStatus', 'orderDate'],
+  properties: {
+    ...orderNumbers,
+    orderStatus: { enum: ['Pending', 'Received', 'Production', 'QC', 'Shipped', 'Cancelled'] },
+    orderDate: { type: 'string', format: 'date-time' },
+    expectedShipDateEstimate: { type: 'string', format: 'date', description: 'When not shipped' },
+    shippedDate: { type: 'string', format: 'date-time', description: 'When shipped' },
+    shipmentProvider: { type: 'string', description: 'Carrier name, e.g. "USPS" (when shipped)' },
+    trackingNumbers: { type: 'array', items: { type: 'string' }, description: 'When shipped' },
+    testOrder
+  }
+});
+
+/** Response of `cancelOrder`. */
+export const cancelOrderResponseSchema = document('cancel-order-response', 'CancelOrderResponse', {
+  type: 'object',
+  required: ['message', 'acOrderNumber', 'sourceReferenceOrderNumber', 'orderStatus'],
+  properties: {
+    message: { type: 'string' },
+    ...orderNumbers,
+    orderStatus: { const: 'Cancelled' },
+    testOrder
+  }
+});
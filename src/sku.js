@@ -0,0 +1,158 @@
+export const SIZING_TYPES = ['LTR', 'TAB', 'LFP'];
+
+const SIDES = /^([12])D$/i;
+const PAGES = /^(\d+)P$/i;
+const DIMENSIONS = /^(\d+(?:\.\d+)?)x(\d+(?:\.\d+)?)$/i;
+const CUSTOM_SIZE = /^CS$/i;
+const VARIANT = /^[A-Z0-9]+(?:_[A-Z0-9]+)*$/i;
+
+/**
+ * What a SKU encodes. Fields the SKU doesn't encode are left out.
+ * @typedef {Object} ParsedSku
+ * @property {string} sku - The SKU as given
+ * @property {'LTR'|'TAB'|'LFP'} sizingType - Size category, from the first segment
+ * @property {boolean} [duplex] - `true` for "2D" (double-sided), `false` for "1D"
+ * @property {number} [pageCount] - From a "<N>P" segment ("TAB_2D_16P" -> 16)
+ * @property {number} [longEdge] - From a "<W>x<H>" segment, in inches ("LFP_36x24" -> 36)
+ * @property {number} [shortEdge] - From a "<W>x<H>" segment, in inches ("LFP_36x24" -> 24)
+ * @property {boolean} customSize - `true` for a "CS" segment ("LFP_CS"): the item sets its own dimensions
+ * @property {string} [variant] - Remaining segments, e.g. "CAL" for "TAB_CAL"
+ */
+
+/**
+ * A field of a catalog product or order item that disagrees with what its SKU encodes.
+ * @typedef {Object} SkuConflict
+ * @property {'sizingType'|'productType'|'customSize'|'duplex'} field
+ * @property {*} actual - The field's value
+ * @property {string} problem - Rest of an issue message (e.g. 'must be "LFP" for LFP_36x24')
+ */
+
+/**
+ * Decode a SKU into its sizing type, sides, page count, dimensions and custom-size flag.
+ *
+ * @param {string} sku - e.g. "TAB_2D_16P", "LFP_36x24", "LFP_CS"
+ * @returns {ParsedSku|undefined} undefined if the SKU doesn't start with a sizing type
+ *   ("LTR_", "TAB_" or "LFP_") or has an empty segment
+ *
+ * @example
+ * parseSku('TAB_2D_16P'); // { sku: 'TAB_2D_16P', sizingType: 'TAB', duplex: true, pageCount: 16, customSize: false }
+ * parseSku('LFP_36x24');  // { sku: 'LFP_36x24', sizingType: 'LFP', longEdge: 36, shortEdge: 24, customSize: false }
+ * parseSku('LFP_CS');     // { sku: 'LFP_CS', sizingType: 'LFP', customSize: true }
+ */
+export function parseSku(sku) {
+  if (typeof sku !== 'string') return undefined;
+  const [sizing, ...segments] = sku.split('_');
+  const sizingType = sizing.toUpperCase();
+  if (!SIZING_TYPES.includes(sizingType) || segments.length === 0 || segments.includes('')) return undefined;
+
+  const parsed = { sku, sizingType, customSize: false };
+  const variant = [];
+  for (const segment of segments) {
+    let match;
+    if (parsed.duplex === undefined && (match = SIDES.exec(segment))) {
+      parsed.duplex = match[1] === '2';
+    } else if (parsed.pageCount === undefined && (match = PAGES.exec(segment)) && Number(match[1]) > 0) {
+      parsed.pageCount = Number(match[1]);
+    } else if (parsed.longEdge === undefined && (match = DIMENSIONS.exec(segment)) &&
+      Number(match[1]) > 0 && Number(match[2]) > 0) {
+      parsed.longEdge = Math.max(Number(match[1]), Number(match[2]));
+      parsed.shortEdge = Math.min(Number(match[1]), Number(match[2]));
+    } else if (!parsed.customSize && CUSTOM_SIZE.test(segment)) {
+      parsed.customSize = true;
+    } else {
+      variant.push(segment);
+    }
+  }
+  if (variant.length > 0) parsed.variant = variant.join('_');
+  return parsed;
+}
+
+/**
+ * Build a SKU from its parts, in the order sizing type, sides, variant, page count,
+ * then dimensions (long edge first) or "CS". The inverse of {@link parseSku}.
+ *
+ * @param {Object} parts
+ * @param {'LTR'|'TAB'|'LFP'} parts.sizingType
+ * @param {boolean} [parts.duplex] - Adds "2D" or "1D"
+ * @param {string} [parts.variant] - Adds e.g. "CAL"
+ * @param {number} [parts.pageCount] - Adds "<N>P"
+ * @param {number} [parts.longEdge] - With `shortEdge`, adds "<long>x<short>"
+ * @param {number} [parts.shortEdge]
+ * @param {boolean} [parts.customSize] - Adds "CS"
+ * @returns {string}
+ * @throws {Error} If a part is invalid, or the parts don't form a SKU that parses back to them
+ *
+ * @example
+ * buildSku({ sizingType: 'TAB', duplex: true, pageCount: 16 }); // "TAB_2D_16P"
+ * buildSku({ sizingType: 'LFP', longEdge: 24, shortEdge: 36 }); // "LFP_36x24"
+ * buildSku({ sizingType: 'LFP', customSize: true });            // "LFP_CS"
+ */
+export function buildSku({ sizingType, duplex, variant, pageCount, longEdge, shortEdge, customSize } = {}) {
+  if (!SIZING_TYPES.includes(sizingType)) throw new Error(`sizingType must be one of: ${SIZING_TYPES.join(', ')}`);
+  if (duplex != null && typeof duplex !== 'boolean') throw new Error('duplex must be a boolean');
+  if (variant != null && (typeof variant !== 'string' || !VARIANT.test(variant))) {
+    throw new Error('variant must be letters and digits (e.g. "CAL")');
+  }
+  if (pageCount != null && (!Number.isInteger(pageCount) || pageCount <= 0)) {
+    throw new Error('pageCount must be a positive integer');
+  }
+  const hasDimensions = longEdge != null || shortEdge != null;
+  if (hasDimensions && !(longEdge > 0 && shortEdge > 0)) {
+    throw new Error('longEdge and shortEdge must be given together as positive numbers');
+  }
+  if (customSize != null && typeof customSize !== 'boolean') throw new Error('customSize must be a boolean');
+  if (customSize && hasDimensions) throw new Error('customSize SKUs do not encode dimensions');
+
+  const segments = [sizingType];
+  if (duplex != null) segments.push(duplex ? '2D' : '1D');
+  if (variant != null) segments.push(variant);
+  if (pageCount != null) segments.push(`${pageCount}P`);
+  if (hasDimensions) segments.push(`${Math.max(longEdge, shortEdge)}x${Math.min(longEdge, shortEdge)}`);
+  if (customSize) segments.push('CS');
+  if (segments.length === 1) throw new Error('a SKU needs at least one part besides sizingType');
+
+  // A variant like "2D" or "CS" would be read back as another part
+  const sku = segments.join('_');
+  if (variant != null && parseSku(sku).variant !== variant) {
+    throw new Error(`variant "${variant}" would be read as another part of the SKU`);
+  }
+  return sku;
+}
+
+/**
+ * Compare a catalog product or order item with what its SKU encodes. Only fields that
+ * are set are checked:
+ *
+ * - `sizingType` must match the SKU's first segment
+ * - `productType` must be "LFP" exactly when the sizing type is LFP
+ * - `customSize` must be true exactly when the SKU has a "CS" segment
+ * - `duplex` must match a "1D" or "2D" segment
+ *
+ * @param {{ sku: string, sizingType?: string, productType?: string, customSize?: boolean, duplex?: boolean }} product
+ * @returns {SkuConflict[]} Empty if the fields agree, or the SKU encodes nothing ({@link parseSku} returns undefined)
+ *
+ * @example
+ * skuConflicts({ sku: 'LFP_36x24', sizingType: 'TAB', productType: 'LFP' });
+ * // [{ field: 'sizingType', actual: 'TAB', problem: 'must be "LFP" for LFP_36x24' }]
+ */
+export function skuConflicts(product) {
+  const parsed = parseSku(product?.sku);
+  if (!parsed) return [];
+  const { sku, sizingType } = parsed;
+  const conflicts = [];
+  const add = (field, problem) => conflicts.push({ field, actual: product[field], problem });
+
+  if (typeof product.sizingType === 'string' && product.sizingType !== sizingType) {
+    add('sizingType', `must be "${sizingType}" for ${sku}`);
+  }
+  if (typeof product.productType === 'string' && (product.productType === 'LFP') !== (sizingType === 'LFP')) {
+    add('productType', sizingType === 'LFP' ? `must be "LFP" for ${sku}` : `must not be "LFP" for ${sku}`);
+  }
+  if (typeof product.customSize === 'boolean' && product.customSize !== parsed.customSize) {
+    add('customSize', `must be ${parsed.customSize} for ${sku}`);
+  }
+  if (typeof product.duplex === 'boolean' && parsed.duplex !== undefined && product.duplex !== parsed.duplex) {
+    add('duplex', `must be ${parsed.duplex} for ${sku}`);
+  }
+  return conflicts;
+}
@@ -0,0 +1,87 @@
+// Numeric values from the OpenTelemetry API, inlined to avoid a dependency
+const SPAN_KIND_CLIENT = 2;
+const SPAN_STATUS_OK = 1;
+const SPAN_STATUS_ERROR = 2;
+
+/**
+ * Create a span for every PrintApiClient call using an OpenTelemetry tracer.
+ *
+ * Works with any object implementing the `startSpan` method of the
+ * OpenTelemetry `Tracer` interface (e.g. `trace.getTracer('printapi')` from
+ * `@opentelemetry/api`); the SDK itself does not depend on OpenTelemetry.
+ *
+ * Each call becomes one CLIENT span named after the operation (e.g.
+ * "PrintAPI createOrder"). Retries are recorded as span events.
+ *
+ * @param {import('./PrintApiClient.js').PrintApiClient} client
+ * @param {Object} tracer - OpenTelemetry Tracer
+ * @param {Object} [options]
+ * @param {string} [options.spanPrefix='PrintAPI'] - Prefix for span names
+ * @returns {() => void} Stops instrumenting the client (open spans are left as-is)
+ *
+ * @example
+ * import { trace } from '@opentelemetry/api';
+ * import { instrumentOpenTelemetry } from '@activityconnection/printapi-sdk';
+ *
+ * instrumentOpenTelemetry(client, trace.getTracer('printapi'));
+ */
+export function instrumentOpenTelemetry(client, tracer, { spanPrefix = 'PrintAPI' } = {}) {
+  if (!tracer || typeof tracer.startSpan !== 'function') {
+    throw new Error('tracer must implement startSpan()');
+  }
+
+  const spans = new Map();
+
+  const onStart = (event) => {
+    const span = tracer.startSpan(`${spanPrefix} ${event.operation}`, {
+      kind: SPAN_KIND_CLIENT,
+      attributes: {
+        'http.request.method': event.method,
+        'url.path': event.path,
+        'printapi.operation': event.operation
+      }
+    });
+    spans.set(event.requestId, span);
+  };
+
+  const onRetry = (event) => {
+    spans.get(event.requestId)?.addEvent('retry', {
+      'printapi.attempt': event.attempt,
+      'printapi.retry_delay_ms': event.delayMs,
+      'http.response.status_code': event.status,
+      'error.type': event.errorType
+    });
+  };
+
+  const onResponse = (event) => {
+    const span = spans.get(event.requestId);
+    if (!span) return;
+    spans.delete(event.requestId);
+    span.setAttributes({
+      'http.response.status_code': event.status,
+      'printapi.attempts': event.attempts
+    });
+    span.setStatus({ code: SPAN_STATUS_OK });
+    span.end();
+  };
+
+  const onError = (event) => {
+    const span = spans.get(event.requestId);
+    if (!span) return;
+    spans.delete(event.requestId);
+    span.setAttributes({
+      ...(event.status != null && { 'http.response.status_code': event.status }),
+      'error.type': event.errorType,
+      'printapi.attempts': event.attempts
+    });
+    span.recordException(event.error);
+    span.setStatus({ code: SPAN_STATUS_ERROR, message: event.error.message });
+    span.end();
+  };
+
+  client.on('start', onStart).on('retry', onRetry).on('response', onResponse).on('error', onError);
+
+  return () => {
+    client.off('start', onStart).off('retry', onRetry).off('response', onResponse).off('error', onError);
+  };
+}
@@ -1,5 +1,9 @@
+import { ValidationError } from './errors.js';
+import { Catalog } from './Catalog.js';
+import { parseSku, skuConflicts } from './sku.js';
+
 // Lower 48 US states + DC (excludes AK, HI)
-const VALID_STATES = new Set([
+export const VALID_STATES = new Set([
   'AL', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DC', 'DE', 'FL', 'GA',
   'ID', 'IL', 'IN', 'IA', 'KS', 'KY', 'LA', 'ME', 'MD', 'MA',
   'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ', 'NM',
@@ -7,7 +11,100 @@ const VALID_STATES = new Set([
   'TN', 'TX', 'UT', 'VT', 'VA', 'WA', 'WV', 'WI', 'WY'
 ]);
 
-const VALID_PRODUCT_TYPES = new Set(['Newsletter', 'Calendar', 'Flyer', 'LFP']);
+export const VALID_PRODUCT_TYPES = new Set(['Newsletter', 'Calendar', 'Flyer', 'LFP']);
+
+export const MIN_QUANTITY = 1;
+export const MAX_QUANTITY = 1000;
+export const MAX_TRACKING_EMAILS = 3;
+
+// Most files an item of each product type can have (a flyer is one sheet, a poster one page)
+export const MAX_FILES_BY_PRODUCT = { Flyer: 2, LFP: 1 };
+
+// Fewest pages a stapled newsletter can have
+export const MIN_STAPLE_PAGES = 5;
+
+// Shortest accepted phone number, in characters
+export const MIN_PHONE_LENGTH = 10;
+
+// Suggested maximum lengths, in characters, of free-text fields that end up on labels and
+// production tickets. These are not API limits, so they only apply when the caller opts in
+// with the `fieldLimits` option (`true`, or per-field overrides).
+export const FIELD_LIMITS = Object.freeze({
+  firstName: 50,
+  lastName: 50,
+  company: 60,
+  address1: 60,
+  address2: 60,
+  address3: 60,
+  city: 40,
+  notes: 500
+});
+const NO_FIELD_LIMITS = Object.freeze(Object.fromEntries(Object.keys(FIELD_LIMITS).map((field) => [field, null])));
+
+// Characters that print on a shipping label: printable ASCII and Latin-1 (accents, "ñ", "ß").
+// With `printableOnly`, emoji, control characters and other scripts are rejected. notes may
+// also contain line breaks.
+const PRINTABLE_CHAR = /[\u0020-\u007E\u00A0-\u00FF]/u;
+const MULTILINE_FIELDS = new Set(['notes']);
+const CUSTOMER_TEXT_FIELDS = ['firstName', 'lastName', 'company', 'address1', 'address2', 'address3', 'city'];
+
+// ISO 8601 / RFC 3339 datetime with a required timezone ("Z" or "+hh:mm")
+export const ISO_DATETIME_PATTERN = '^\\d{4}-\\d{2}-\\d{2}T\\d{2}:\\d{2}(?::\\d{2}(?:\\.\\d+)?)?(?:Z|[+-]\\d{2}:\\d{2})$';
+const ISO_DATETIME = new RegExp(ISO_DATETIME_PATTERN);
+const LOCAL_DATETIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?$/;
+
+// orderDatetime further ahead than this is probably a timezone or data-entry mistake
+export const MAX_FUTURE_ORDER_MS = 24 * 60 * 60 * 1000;
+
+// Fields the API understands, used by strict mode to catch typos
+const CONTACT_KEYS = [
+  'firstName', 'lastName', 'company', 'email', 'phone',
+  'address1', 'address2', 'address3', 'city', 'state', 'zip'
+];
+export const KNOWN_KEYS = {
+  order: [
+    'accountId', 'orderDatetime', 'sourceReferenceOrderNumber', 'orderItems',
+    'shippingCustomer', 'sourceSystemBilling', 'billingCustomer', 'testOrder'
+  ],
+  orderItem: ['sku', 'productType', 'quantity', 'files', 'longEdge', 'shortEdge', 'staple', 'flat', 'notes'],
+  shippingCustomer: [...CONTACT_KEYS, 'shipmentTrackingEmail'],
+  billingCustomer: [...CONTACT_KEYS, 'billingInvoiceEmails']
+};
+
+/**
+ * @typedef {Object} ValidationIssue
+ * @property {string} path - Path to the offending field (e.g. "orderItems[2].quantity")
+ * @property {string} code - Machine-readable problem: "required", "invalid_type", "invalid_value",
+ *   "out_of_range", "invalid_format", "unknown_sku", "unsupported_option" or "unknown_key";
+ *   warnings use "far_future", "catalog_mismatch" (and "unknown_key" in strict "warn" mode)
+ * @property {string} message - Human-readable message, starting with the path
+ */
+
+/**
+ * Opt in to maximum lengths of free-text fields: `true` applies FIELD_LIMITS; an object applies
+ * FIELD_LIMITS with per-field overrides (a number replaces the limit, `null` removes it).
+ * `false` or omitted checks no lengths.
+ * @typedef {boolean|Partial<Record<keyof typeof FIELD_LIMITS, number|null>>} FieldLimits
+ */
+
+/**
+ * @typedef {Object} ValidateOptions
+ * @property {import('./PrintApiClient.js').CatalogProduct[]|Catalog} [catalog] - Also check each item
+ *   against the catalog: the SKU exists, `productType` matches, `staple`/`flat` are supported and
+ *   custom dimensions are within the product's limits
+ * @property {boolean|'warn'} [strict=false] - Report fields the API does not know (e.g. `stapled`):
+ *   `true` as issues, "warn" as warnings
+ * @property {FieldLimits} [fieldLimits=false] - Check the maximum lengths in FIELD_LIMITS, with overrides
+ * @property {boolean} [printableOnly=false] - Also reject free-text characters that can't be printed
+ *   on a shipping label (anything but printable ASCII and Latin-1, and line breaks in `notes`)
+ */
+
+/**
+ * @typedef {Object} ValidationResult
+ * @property {boolean} valid - true when there are no issues
+ * @property {ValidationIssue[]} issues - Every problem found, in field order
+ * @property {ValidationIssue[]} warnings - Suspicious but accepted values (e.g. a far-future orderDatetime)
+ */
 
 function isEmail(v) {
   return typeof v === 'string' && v.includes('@') && v.includes('.');
@@ -21,144 +118,593 @@ function isState(v) {
   return typeof v === 'string' && VALID_STATES.has(v.toUpperCase());
 }
 
-function requireString(val, label) {
+function isObject(v) {
+  return v != null && typeof v === 'object' && !Array.isArray(v);
+}
+
+function isPositive(v) {
+  return typeof v === 'number' && v > 0;
+}
+
+function skuPageCount(sku) {
+  return parseSku(sku)?.pageCount;
+}
+
+/**
+ * Whether a character can be printed in the given field.
+ * @param {string} char - A single code point
+ * @param {string} field - Field name (line breaks are allowed in multi-line fields)
+ * @returns {boolean}
+ */
+export function isPrintableChar(char, field) {
+  return PRINTABLE_CHAR.test(char) || (MULTILINE_FIELDS.has(field) && (char === '\n' || char === '\r'));
+}
+
+/**
+ * Resolve the `fieldLimits` option to a limit (or null) per field.
+ * @param {FieldLimits} [fieldLimits]
+ * @returns {Record<string, number|null>}
+ * @throws {Error} If fieldLimits is not a boolean or object, a field is not limited, or a limit
+ *   is not a positive integer or null
+ */
+export function resolveFieldLimits(fieldLimits) {
+  if (fieldLimits == null || fieldLimits === false) return NO_FIELD_LIMITS;
+  if (fieldLimits === true) return FIELD_LIMITS;
+  if (!isObject(fieldLimits)) throw new Error('fieldLimits must be true, false or an object');
+  for (const [field, limit] of Object.entries(fieldLimits)) {
+    if (!Object.hasOwn(FIELD_LIMITS, field)) {
+      throw new Error(`fieldLimits.${field} is not supported (use one of: ${Object.keys(FIELD_LIMITS).join(', ')})`);
+    }
+    if (limit !== null && (!Number.isInteger(limit) || limit < 1)) {
+      throw new Error(`fieldLimits.${field} must be a positive integer or null`);
+    }
+  }
+  return { ...FIELD_LIMITS, ...fieldLimits };
+}
+
+/**
+ * Resolve the free-text options shared by validateOrder and validatePricing.
+ * @returns {{ limits: Record<string, number|null>, printableOnly: boolean }}
+ * @throws {Error} If fieldLimits is invalid or printableOnly is not a boolean
+ */
+function resolveTextOptions(fieldLimits, printableOnly) {
+  if (typeof printableOnly !== 'boolean') throw new Error('printableOnly must be a boolean');
+  return { limits: resolveFieldLimits(fieldLimits), printableOnly };
+}
+
+/**
+ * Record an issue for the field at `path`.
+ * @param {ValidationIssue[]} issues
+ * @param {string} path - Field path, also used as the start of the message
+ * @param {string} code - Issue code
+ * @param {string} problem - Rest of the message (e.g. "must be a non-empty string")
+ */
+function addIssue(issues, path, code, problem) {
+  issues.push({ path, code, message: `${path} ${problem}` });
+}
+
+/**
+ * Record an issue unless `val` is a non-empty string.
+ * @returns {boolean} Whether the value was valid
+ */
+function requireString(issues, val, label) {
   if (typeof val !== 'string' || val.trim() === '') {
-    throw new Error(`${label} must be a non-empty string`);
+    addIssue(issues, label, 'required', 'must be a non-empty string');
+    return false;
+  }
+  return true;
+}
+
+/**
+ * @param {ValidationIssue[]} issues
+ * @param {ValidationIssue[]} [warnings]
+ * @returns {ValidationResult}
+ */
+function toResult(issues, warnings = []) {
+  return { valid: issues.length === 0, issues, warnings };
+}
+
+/**
+ * Check orderDatetime: a valid Date, or an ISO 8601 string with a timezone.
+ * @param {ValidationIssue[]} issues
+ * @param {ValidationIssue[]} warnings
+ * @param {*} value
+ */
+function collectDatetimeIssues(issues, warnings, value) {
+  const label = 'orderDatetime';
+  let time;
+
+  if (value instanceof Date) {
+    time = value.getTime();
+    if (Number.isNaN(time)) {
+      addIssue(issues, label, 'invalid_value', 'must be a valid Date');
+      return;
+    }
+  } else {
+    if (!requireString(issues, value, label)) return;
+    if (LOCAL_DATETIME.test(value)) {
+      addIssue(issues, label, 'invalid_format', 'must include a timezone (e.g. "Z" or "-07:00")');
+      return;
+    }
+    time = Date.parse(value);
+    if (!ISO_DATETIME.test(value) || Number.isNaN(time) || !isRealDate(value)) {
+      addIssue(issues, label, 'invalid_format', 'must be an ISO 8601 datetime (e.g. "2024-01-15T10:30:00Z")');
+      return;
+    }
+  }
+
+  if (time - Date.now() > MAX_FUTURE_ORDER_MS) {
+    addIssue(warnings, label, 'far_future', 'is more than 24 hours in the future');
+  }
+}
+
+// Date.parse rolls impossible days over (2024-02-30 -> March 1) instead of failing
+function isRealDate(value) {
+  const [year, month, day] = value.slice(0, 10).split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+/**
+ * @typedef {Object} ItemRule
+ * @property {string} field - Item field the issue is reported on
+ * @property {string} code - Issue code
+ * @property {(item: Object) => boolean} when - Whether the rule applies; rules only apply
+ *   once the fields they read have passed the structural checks
+ * @property {(item: Object) => boolean} check - Whether the item satisfies the rule
+ * @property {string|((item: Object) => string)} problem - Rest of the message when it does not
+ */
+
+/**
+ * Cross-field product option rules, checked in order after the structural checks.
+ * Add new rules here rather than in collectOrderItemIssues.
+ * @type {ItemRule[]}
+ */
+const ITEM_RULES = [
+  {
+    field: 'productType',
+    code: 'invalid_value',
+    when: (item) => VALID_PRODUCT_TYPES.has(item.productType),
+    check: (item) => skuConflicts({ sku: item.sku, productType: item.productType }).length === 0,
+    problem: (item) => skuConflicts({ sku: item.sku, productType: item.productType })[0].problem
+  },
+  {
+    field: 'staple',
+    code: 'unsupported_option',
+    when: (item) => item.staple === true && VALID_PRODUCT_TYPES.has(item.productType),
+    check: (item) => item.productType === 'Newsletter',
+    problem: 'is only available for Newsletter items'
+  },
+  {
+    field: 'staple',
+    code: 'unsupported_option',
+    when: (item) => item.staple === true && item.productType === 'Newsletter' && skuPageCount(item.sku) != null,
+    check: (item) => skuPageCount(item.sku) >= MIN_STAPLE_PAGES,
+    problem: (item) => `requires more than ${MIN_STAPLE_PAGES - 1} pages (${item.sku} has ${skuPageCount(item.sku)})`
+  },
+  {
+    field: 'flat',
+    code: 'unsupported_option',
+    when: (item) => item.flat === true && VALID_PRODUCT_TYPES.has(item.productType),
+    check: (item) => item.productType === 'Calendar' && parseSku(item.sku)?.sizingType === 'TAB',
+    problem: 'is only available for TAB Calendar items'
+  },
+  {
+    field: 'shortEdge',
+    code: 'out_of_range',
+    when: (item) => item.sku === 'LFP_CS' && isPositive(item.longEdge) && isPositive(item.shortEdge),
+    check: (item) => item.shortEdge <= item.longEdge,
+    problem: 'must not be greater than longEdge'
+  },
+  {
+    field: 'files',
+    code: 'invalid_value',
+    when: (item) => Array.isArray(item.files),
+    check: (item) => new Set(item.files).size === item.files.length,
+    problem: 'must not list the same file more than once'
+  },
+  {
+    field: 'files',
+    code: 'out_of_range',
+    when: (item) => Array.isArray(item.files) && MAX_FILES_BY_PRODUCT[item.productType] != null,
+    check: (item) => item.files.length <= MAX_FILES_BY_PRODUCT[item.productType],
+    problem: (item) => `must have at most ${MAX_FILES_BY_PRODUCT[item.productType]} ` +
+      `file${MAX_FILES_BY_PRODUCT[item.productType] === 1 ? '' : 's'} for ${item.productType} items`
+  },
+  {
+    field: 'files',
+    code: 'out_of_range',
+    when: (item) => Array.isArray(item.files) && skuPageCount(item.sku) != null,
+    check: (item) => item.files.length <= skuPageCount(item.sku),
+    problem: (item) => `has ${item.files.length} files, but ${item.sku} has only ${skuPageCount(item.sku)} pages`
+  }
+];
+
+/**
+ * Apply ITEM_RULES to one item.
+ * @param {ValidationIssue[]} issues
+ * @param {Object} item
+ * @param {string} prefix - Path of the item (e.g. "orderItems[0]")
+ */
+function collectRuleIssues(issues, item, prefix) {
+  for (const rule of ITEM_RULES) {
+    if (!rule.when(item) || rule.check(item)) continue;
+    const problem = typeof rule.problem === 'function' ? rule.problem(item) : rule.problem;
+    addIssue(issues, `${prefix}.${rule.field}`, rule.code, problem);
+  }
+}
+
+/**
+ * Index a catalog by SKU.
+ * @param {import('./PrintApiClient.js').CatalogProduct[]|Catalog} [catalog]
+ * @returns {Map<string, import('./PrintApiClient.js').CatalogProduct>|undefined}
+ * @throws {Error} If catalog is given but is not an array or Catalog
+ */
+function indexCatalog(catalog) {
+  if (catalog == null) return undefined;
+  const products = catalog instanceof Catalog ? catalog.products : catalog;
+  if (!Array.isArray(products)) throw new Error('catalog must be an array of catalog products');
+  return new Map(products.map((product) => [product.sku, product]));
+}
+
+/**
+ * Record an issue if a custom dimension is outside the product's limits.
+ * Missing or non-positive values are already reported by the structural checks.
+ */
+function checkEdge(issues, value, min, max, path, sku) {
+  if (typeof value !== 'number' || value <= 0) return;
+  if ((min != null && value < min) || (max != null && value > max)) {
+    const range = min != null && max != null ? `between ${min} and ${max}`
+      : min != null ? `at least ${min}` : `at most ${max}`;
+    addIssue(issues, path, 'out_of_range', `must be ${range} inches for ${sku}`);
+  }
+}
+
+/**
+ * Check one item against its catalog entry. A catalog entry that contradicts its own
+ * SKU is the catalog's problem, not the caller's, so it is only a warning.
+ * @param {ValidationIssue[]} issues
+ * @param {ValidationIssue[]} warnings
+ * @param {import('./PrintApiClient.js').OrderItem} item
+ * @param {string} prefix - Path of the item (e.g. "orderItems[0]")
+ * @param {Map<string, import('./PrintApiClient.js').CatalogProduct>} products - Catalog by SKU
+ */
+function collectCatalogIssues(issues, warnings, item, prefix, products) {
+  if (typeof item.sku !== 'string' || item.sku.trim() === '') return;
+
+  const product = products.get(item.sku);
+  if (!product) {
+    addIssue(issues, `${prefix}.sku`, 'unknown_sku', `"${item.sku}" is not in the catalog`);
+    return;
+  }
+
+  const conflict = skuConflicts(product)[0];
+  if (conflict) {
+    addIssue(warnings, `${prefix}.sku`, 'catalog_mismatch',
+      `does not match its catalog entry (${conflict.field} ${conflict.problem}, not ${JSON.stringify(conflict.actual)})`);
+  }
+
+  // Fields already rejected by ITEM_RULES are not reported twice
+  const reported = (path) => issues.some((issue) => issue.path === path);
+  if (VALID_PRODUCT_TYPES.has(item.productType) && item.productType !== product.productType &&
+    !reported(`${prefix}.productType`)) {
+    addIssue(issues, `${prefix}.productType`, 'invalid_value', `must be "${product.productType}" for ${item.sku}`);
+  }
+
+  for (const option of ['staple', 'flat']) {
+    const path = `${prefix}.${option}`;
+    if (item[option] === true && !product[option] && !reported(path)) {
+      addIssue(issues, path, 'unsupported_option', `is not supported by ${item.sku}`);
+    }
+  }
+
+  if (product.customSize) {
+    checkEdge(issues, item.longEdge, product.longEdgeMinDimension, product.longEdgeMaxDimension,
+      `${prefix}.longEdge`, item.sku);
+    checkEdge(issues, item.shortEdge, product.shortEdgeMinDimension, product.shortEdgeMaxDimension,
+      `${prefix}.shortEdge`, item.sku);
   }
 }
 
 /**
- * Validate an array of order items.
- * @param {Array} items - The order items to validate
- * @param {Object} [options]
- * @param {boolean} [options.requireFiles=false] - Whether files are required on each item
+ * Check the length and, with `printableOnly`, the characters of free-text fields.
+ * Missing or non-string values are left to the other checks.
+ * @param {ValidationIssue[]} issues
+ * @param {Object} obj - Customer or order item
+ * @param {string[]} fields - Fields of `obj` to check
+ * @param {string} prefix - Path of `obj`
+ * @param {{ limits: Record<string, number|null>, printableOnly: boolean }} text - Limits from
+ *   resolveFieldLimits and whether to reject unprintable characters
  */
-export function validateOrderItems(items, { requireFiles = false } = {}) {
+function collectTextIssues(issues, obj, fields, prefix, { limits, printableOnly }) {
+  for (const field of fields) {
+    const value = obj[field];
+    if (typeof value !== 'string') continue;
+    const path = `${prefix}.${field}`;
+    const chars = [...value];
+
+    const limit = limits[field];
+    if (limit != null && chars.length > limit) {
+      addIssue(issues, path, 'out_of_range', `must be at most ${limit} characters (has ${chars.length})`);
+    }
+
+    const bad = printableOnly && chars.find((char) => !isPrintableChar(char, field));
+    if (bad) {
+      const codePoint = bad.codePointAt(0).toString(16).toUpperCase().padStart(4, '0');
+      addIssue(issues, path, 'invalid_format', `contains a character that cannot be printed (U+${codePoint})`);
+    }
+  }
+}
+
+function collectOrderItemIssues(issues, warnings, items, { requireFiles = false, products, text } = {}) {
   if (!Array.isArray(items) || items.length === 0) {
-    throw new Error('orderItems must be a non-empty array');
+    addIssue(issues, 'orderItems', 'required', 'must be a non-empty array');
+    return;
   }
 
   for (let i = 0; i < items.length; i++) {
     const item = items[i];
     const prefix = `orderItems[${i}]`;
 
-    if (!item || typeof item !== 'object' || Array.isArray(item)) {
-      throw new Error(`${prefix} must be an object`);
+    if (!isObject(item)) {
+      addIssue(issues, prefix, 'invalid_type', 'must be an object');
+      continue;
     }
 
-    requireString(item.sku, `${prefix}.sku`);
+    requireString(issues, item.sku, `${prefix}.sku`);
 
     if (!VALID_PRODUCT_TYPES.has(item.productType)) {
-      throw new Error(`${prefix}.productType must be one of: Newsletter, Calendar, Flyer, LFP`);
+      addIssue(issues, `${prefix}.productType`, 'invalid_value', 'must be one of: Newsletter, Calendar, Flyer, LFP');
     }
 
-    if (!Number.isInteger(item.quantity) || item.quantity < 1 || item.quantity > 1000) {
-      throw new Error(`${prefix}.quantity must be an integer between 1 and 1000`);
+    if (!Number.isInteger(item.quantity) || item.quantity < MIN_QUANTITY || item.quantity > MAX_QUANTITY) {
+      addIssue(issues, `${prefix}.quantity`, 'out_of_range', `must be an integer between ${MIN_QUANTITY} and ${MAX_QUANTITY}`);
     }
 
     if (item.sku === 'LFP_CS') {
-      if (typeof item.longEdge !== 'number' || item.longEdge <= 0) {
-        throw new Error(`${prefix}.longEdge is required for LFP_CS and must be a positive number`);
+      if (!isPositive(item.longEdge)) {
+        addIssue(issues, `${prefix}.longEdge`, 'required', 'is required for LFP_CS and must be a positive number');
       }
-      if (typeof item.shortEdge !== 'number' || item.shortEdge <= 0) {
-        throw new Error(`${prefix}.shortEdge is required for LFP_CS and must be a positive number`);
+      if (!isPositive(item.shortEdge)) {
+        addIssue(issues, `${prefix}.shortEdge`, 'required', 'is required for LFP_CS and must be a positive number');
       }
     }
 
     if (requireFiles) {
       if (!Array.isArray(item.files) || item.files.length === 0) {
-        throw new Error(`${prefix}.files must be a non-empty array of HTTPS URLs`);
-      }
-      for (let j = 0; j < item.files.length; j++) {
-        if (!isHttpsUrl(item.files[j])) {
-          throw new Error(`${prefix}.files[${j}] must be an HTTPS URL`);
+        addIssue(issues, `${prefix}.files`, 'required', 'must be a non-empty array of HTTPS URLs');
+      } else {
+        for (let j = 0; j < item.files.length; j++) {
+          if (!isHttpsUrl(item.files[j])) {
+            addIssue(issues, `${prefix}.files[${j}]`, 'invalid_format', 'must be an HTTPS URL');
+          }
         }
       }
     }
+
+    if (item.notes != null && typeof item.notes !== 'string') {
+      addIssue(issues, `${prefix}.notes`, 'invalid_type', 'must be a string');
+    }
+    collectTextIssues(issues, item, ['notes'], prefix, text);
+
+    collectRuleIssues(issues, item, prefix);
+    if (products) collectCatalogIssues(issues, warnings, item, prefix, products);
   }
 }
 
-/**
- * Validate a customer object (shipping or billing).
- * @param {Object} customer - The customer object
- * @param {string} label - "shippingCustomer" or "billingCustomer"
- */
-export function validateCustomer(customer, label) {
-  if (!customer || typeof customer !== 'object') {
-    throw new Error(`${label} is required`);
+function collectCustomerIssues(issues, customer, label, text) {
+  if (!isObject(customer)) {
+    addIssue(issues, label, 'required', 'is required');
+    return;
   }
 
-  requireString(customer.firstName, `${label}.firstName`);
-  requireString(customer.lastName, `${label}.lastName`);
-  requireString(customer.address1, `${label}.address1`);
-  requireString(customer.city, `${label}.city`);
-  requireString(customer.zip, `${label}.zip`);
-  requireString(customer.phone, `${label}.phone`);
+  requireString(issues, customer.firstName, `${label}.firstName`);
+  requireString(issues, customer.lastName, `${label}.lastName`);
+  requireString(issues, customer.address1, `${label}.address1`);
+  requireString(issues, customer.city, `${label}.city`);
+  requireString(issues, customer.zip, `${label}.zip`);
 
-  if (typeof customer.phone !== 'string' || customer.phone.length <= 9) {
-    throw new Error(`${label}.phone must be a string with more than 9 characters`);
+  if (requireString(issues, customer.phone, `${label}.phone`) && customer.phone.length < MIN_PHONE_LENGTH) {
+    addIssue(issues, `${label}.phone`, 'invalid_format', `must be a string with more than ${MIN_PHONE_LENGTH - 1} characters`);
   }
 
+  collectTextIssues(issues, customer, CUSTOMER_TEXT_FIELDS, label, text);
+
   if (!isEmail(customer.email)) {
-    throw new Error(`${label}.email must be a valid email address`);
+    addIssue(issues, `${label}.email`, 'invalid_format', 'must be a valid email address');
   }
 
   if (!isState(customer.state)) {
-    throw new Error(`${label}.state must be a 2-letter US state code (lower 48 + DC)`);
+    addIssue(issues, `${label}.state`, 'invalid_value', 'must be a 2-letter US state code (lower 48 + DC)');
   }
 
   if (label === 'shippingCustomer') {
-    if (!Array.isArray(customer.shipmentTrackingEmail) ||
-        customer.shipmentTrackingEmail.length < 1 ||
-        customer.shipmentTrackingEmail.length > 3) {
-      throw new Error(`${label}.shipmentTrackingEmail must be an array of 1-3 email addresses`);
-    }
-    for (let i = 0; i < customer.shipmentTrackingEmail.length; i++) {
-      if (!isEmail(customer.shipmentTrackingEmail[i])) {
-        throw new Error(`${label}.shipmentTrackingEmail[${i}] must be a valid email address`);
+    const emails = customer.shipmentTrackingEmail;
+    if (!Array.isArray(emails) || emails.length < 1 || emails.length > MAX_TRACKING_EMAILS) {
+      addIssue(issues, `${label}.shipmentTrackingEmail`, 'out_of_range', `must be an array of 1-${MAX_TRACKING_EMAILS} email addresses`);
+    } else {
+      for (let i = 0; i < emails.length; i++) {
+        if (!isEmail(emails[i])) {
+          addIssue(issues, `${label}.shipmentTrackingEmail[${i}]`, 'invalid_format', 'must be a valid email address');
+        }
       }
     }
   }
 
   if (label === 'billingCustomer' && customer.billingInvoiceEmails != null) {
-    if (!Array.isArray(customer.billingInvoiceEmails)) {
-      throw new Error(`${label}.billingInvoiceEmails must be an array of email addresses`);
-    }
-    for (let i = 0; i < customer.billingInvoiceEmails.length; i++) {
-      if (!isEmail(customer.billingInvoiceEmails[i])) {
-        throw new Error(`${label}.billingInvoiceEmails[${i}] must be a valid email address`);
+    const emails = customer.billingInvoiceEmails;
+    if (!Array.isArray(emails)) {
+      addIssue(issues, `${label}.billingInvoiceEmails`, 'invalid_type', 'must be an array of email addresses');
+    } else {
+      for (let i = 0; i < emails.length; i++) {
+        if (!isEmail(emails[i])) {
+          addIssue(issues, `${label}.billingInvoiceEmails[${i}]`, 'invalid_format', 'must be a valid email address');
+        }
       }
     }
   }
 }
 
-/**
- * Validate the full createOrder payload.
- * @param {Object} orderData - The order data
- */
-export function validateCreateOrderData(orderData) {
-  if (!orderData || typeof orderData !== 'object') {
-    throw new Error('orderData must be an object');
+function collectOrderIssues(issues, warnings, orderData, { products, text }) {
+  if (!isObject(orderData)) {
+    addIssue(issues, 'orderData', 'invalid_type', 'must be an object');
+    return;
   }
 
-  requireString(orderData.orderDatetime, 'orderDatetime');
-  requireString(orderData.sourceReferenceOrderNumber, 'sourceReferenceOrderNumber');
+  collectDatetimeIssues(issues, warnings, orderData.orderDatetime);
+  requireString(issues, orderData.sourceReferenceOrderNumber, 'sourceReferenceOrderNumber');
 
-  validateOrderItems(orderData.orderItems, { requireFiles: true });
-  validateCustomer(orderData.shippingCustomer, 'shippingCustomer');
+  collectOrderItemIssues(issues, warnings, orderData.orderItems, { requireFiles: true, products, text });
+  collectCustomerIssues(issues, orderData.shippingCustomer, 'shippingCustomer', text);
 
   if (orderData.sourceSystemBilling === false) {
     if (!orderData.billingCustomer) {
-      throw new Error('billingCustomer is required when sourceSystemBilling is false');
+      addIssue(issues, 'billingCustomer', 'required', 'is required when sourceSystemBilling is false');
+    } else {
+      collectCustomerIssues(issues, orderData.billingCustomer, 'billingCustomer', text);
+    }
+  }
+}
+
+/**
+ * Levenshtein edit distance between two strings.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Find the known key closest to a misspelled one.
+ * @param {string} key
+ * @param {string[]} known
+ * @returns {string|undefined} The suggestion, or undefined if nothing is close
+ */
+function suggestKey(key, known) {
+  const maxDistance = Math.max(2, Math.floor(key.length / 4));
+  let best;
+  let bestDistance = Infinity;
+  for (const candidate of known) {
+    const distance = editDistance(key.toLowerCase(), candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
     }
-    validateCustomer(orderData.billingCustomer, 'billingCustomer');
   }
+  return bestDistance <= maxDistance ? best : undefined;
+}
+
+function checkKeys(sink, obj, known, prefix) {
+  if (!isObject(obj)) return;
+  for (const key of Object.keys(obj)) {
+    if (known.includes(key)) continue;
+    const path = prefix ? `${prefix}.${key}` : key;
+    const suggestion = suggestKey(key, known);
+    addIssue(sink, path, 'unknown_key',
+      `is not a known field${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`);
+  }
+}
+
+function collectItemKeyIssues(sink, items) {
+  if (!Array.isArray(items)) return;
+  items.forEach((item, i) => checkKeys(sink, item, KNOWN_KEYS.orderItem, `orderItems[${i}]`));
+}
+
+/**
+ * Pick where strict-mode findings go.
+ * @returns {ValidationIssue[]|undefined} undefined when strict mode is off
+ * @throws {Error} If strict is not a boolean or "warn"
+ */
+function strictSink(strict, issues, warnings) {
+  if (strict === 'warn') return warnings;
+  if (strict === true) return issues;
+  if (strict === false || strict == null) return undefined;
+  throw new Error('strict must be true, false or "warn"');
+}
+
+/**
+ * Check a full createOrder payload and report every problem at once.
+ * Applies the same rules as `createOrder`, without throwing.
+ *
+ * @param {Object} orderData - The order data
+ * @param {ValidateOptions} [options]
+ * @returns {ValidationResult}
+ * @throws {Error} If `catalog` is given but is not an array, or `strict`, `fieldLimits` or `printableOnly` is invalid
+ *
+ * @example
+ * const { valid, issues } = validateOrder(formData, { catalog, strict: true });
+ * for (const issue of issues) showFieldError(issue.path, issue.message);
+ */
+export function validateOrder(orderData, { catalog, strict, fieldLimits, printableOnly = false } = {}) {
+  const issues = [];
+  const warnings = [];
+  const sink = strictSink(strict, issues, warnings);
+  collectOrderIssues(issues, warnings, orderData, {
+    products: indexCatalog(catalog),
+    text: resolveTextOptions(fieldLimits, printableOnly)
+  });
+
+  if (sink && isObject(orderData)) {
+    checkKeys(sink, orderData, KNOWN_KEYS.order, '');
+    collectItemKeyIssues(sink, orderData.orderItems);
+    checkKeys(sink, orderData.shippingCustomer, KNOWN_KEYS.shippingCustomer, 'shippingCustomer');
+    checkKeys(sink, orderData.billingCustomer, KNOWN_KEYS.billingCustomer, 'billingCustomer');
+  }
+  return toResult(issues, warnings);
+}
+
+/**
+ * Check checkPricing items and report every problem at once.
+ * Applies the same rules as `checkPricing` (files are not required), without throwing.
+ *
+ * @param {Array} orderItems - The order items
+ * @param {ValidateOptions} [options]
+ * @returns {ValidationResult}
+ * @throws {Error} If `catalog` is given but is not an array, or `strict`, `fieldLimits` or `printableOnly` is invalid
+ */
+export function validatePricing(orderItems, { catalog, strict, fieldLimits, printableOnly = false } = {}) {
+  const issues = [];
+  const warnings = [];
+  const sink = strictSink(strict, issues, warnings);
+  collectOrderItemIssues(issues, warnings, orderItems, {
+    products: indexCatalog(catalog),
+    text: resolveTextOptions(fieldLimits, printableOnly)
+  });
+  if (sink) collectItemKeyIssues(sink, orderItems);
+  return toResult(issues, warnings);
+}
+
+/**
+ * Throw the first issue of a failed validation as a ValidationError.
+ * The full issue list is available on the error's `issues` property.
+ *
+ * @param {ValidationResult} result - Result from validateOrder / validatePricing
+ * @throws {ValidationError} If the result has any issues
+ */
+export function assertValid({ issues }) {
+  if (issues.length === 0) return;
+  const [first] = issues;
+  throw new ValidationError(first.message, first.path, { code: first.code, issues });
 }
 
 /**
  * Validate an order number string.
  * @param {string} orderNumber
+ * @throws {ValidationError} If orderNumber is not a non-empty string
  */
 export function validateOrderNumber(orderNumber) {
-  requireString(orderNumber, 'orderNumber');
+  const issues = [];
+  requireString(issues, orderNumber, 'orderNumber');
+  assertValid(toResult(issues));
 }
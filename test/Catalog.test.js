@@ -0,0 +1,75 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Catalog } from '../src/Catalog.js';
+import { validatePricing } from '../src/validate.js';
+
+const products = [
+  { sku: 'TAB_2D_16P', sizingType: 'TAB', productType: 'Newsletter', duplex: true, staple: true, flat: false, customSize: false },
+  { sku: 'TAB_1D', sizingType: 'TAB', productType: 'Calendar', duplex: false, staple: false, flat: true, customSize: false },
+  { sku: 'LTR_2D', sizingType: 'LTR', productType: 'Flyer', duplex: true, staple: false, flat: false, customSize: false },
+  { sku: 'LFP_36x24', sizingType: 'LFP', productType: 'LFP', duplex: false, staple: false, flat: false, customSize: false },
+  {
+    sku: 'LFP_CS', sizingType: 'LFP', productType: 'LFP', duplex: false, staple: false, flat: false, customSize: true,
+    longEdgeMinDimension: 12, longEdgeMaxDimension: 120, shortEdgeMinDimension: 8, shortEdgeMaxDimension: 48
+  }
+];
+const skus = (list) => list.map((product) => product.sku);
+
+describe('Catalog', () => {
+  const catalog = new Catalog(products);
+
+  it('finds products by SKU', () => {
+    assert.equal(catalog.findBySku('LTR_2D'), products[2]);
+    assert.equal(catalog.findBySku('NOPE'), undefined);
+  });
+
+  it('filters by product type and sizing type', () => {
+    assert.deepEqual(skus(catalog.byProductType('LFP')), ['LFP_36x24', 'LFP_CS']);
+    assert.deepEqual(skus(catalog.bySizingType('TAB')), ['TAB_2D_16P', 'TAB_1D']);
+    assert.deepEqual(catalog.byProductType('Poster'), []);
+  });
+
+  it('filters by capabilities, ignoring omitted flags', () => {
+    assert.deepEqual(skus(catalog.withCapabilities({ duplex: true })), ['TAB_2D_16P', 'LTR_2D']);
+    assert.deepEqual(skus(catalog.withCapabilities({ duplex: true, staple: false })), ['LTR_2D']);
+    assert.deepEqual(skus(catalog.withCapabilities({ flat: true })), ['TAB_1D']);
+    assert.equal(catalog.withCapabilities({}).length, products.length);
+  });
+
+  it('rejects unknown or non-boolean capabilities', () => {
+    assert.throws(() => catalog.withCapabilities({ stapled: true }), {
+      message: 'stapled is not a capability (use one of: duplex, staple, flat, customSize)'
+    });
+    assert.throws(() => catalog.withCapabilities({ staple: 'yes' }), { message: 'staple must be a boolean' });
+  });
+
+  it('checks custom dimensions against custom-size products', () => {
+    assert.equal(catalog.supportsDimensions(48, 36), true);
+    assert.equal(catalog.supportsDimensions(48, 36, { sku: 'LFP_CS' }), true);
+    assert.equal(catalog.supportsDimensions(48, 36, { sku: 'LFP_36x24' }), false);
+    assert.equal(catalog.supportsDimensions(121, 36), false);
+    assert.equal(catalog.supportsDimensions(48, 6), false);
+    assert.equal(catalog.supportsDimensions(36, 48), false);
+    assert.equal(catalog.supportsDimensions(-1, 10), false);
+    assert.deepEqual(skus(catalog.productsForDimensions(120, 48)), ['LFP_CS']);
+  });
+
+  it('is read-only, iterable and serializes to the product array', () => {
+    const source = [...products];
+    const wrapped = new Catalog(source);
+    source.pop();
+    assert.equal(wrapped.size, products.length);
+    assert.throws(() => wrapped.products.push({}));
+    assert.deepEqual(skus([...wrapped]), skus(products));
+    assert.deepEqual(JSON.parse(JSON.stringify(wrapped)), products);
+  });
+
+  it('can be passed to catalog validation', () => {
+    const { issues } = validatePricing([{ sku: 'LFP_48x36', productType: 'LFP', quantity: 1 }], { catalog });
+    assert.deepEqual(issues.map((i) => i.code), ['unknown_sku']);
+  });
+
+  it('requires an array', () => {
+    assert.throws(() => new Catalog({ catalog: [] }), { message: 'products must be an array of catalog products' });
+  });
+});
@@ -0,0 +1,201 @@
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, readFile, writeFile, readdir } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { CatalogCache, MemoryCatalogStorage, FileCatalogStorage } from '../src/CatalogCache.js';
+
+const product = (sku, updatedAt = '2024-01-01T00:00:00Z') => ({ sku, productType: 'Newsletter', updatedAt });
+const response = (...skus) => ({ catalog: skus.map((sku) => product(sku)) });
+const HOUR = 60 * 60 * 1000;
+
+describe('CatalogCache', () => {
+  it('loads on a miss and serves fresh entries without loading', async () => {
+    const cache = new CatalogCache({ ttlMs: HOUR });
+    const load = mock.fn(async () => response('TAB_2D_16P'));
+
+    assert.deepEqual(await cache.get('k', load), { response: response('TAB_2D_16P'), status: 'miss' });
+    assert.deepEqual(await cache.get('k', load), { response: response('TAB_2D_16P'), status: 'hit' });
+    assert.equal(load.mock.calls.length, 1);
+    assert.deepEqual(load.mock.calls[0].arguments[0], { background: false, shared: true });
+  });
+
+  it('loads once for concurrent misses on the same key', async () => {
+    let finishLoad;
+    const loaded = new Promise((resolve) => { finishLoad = resolve; });
+    const load = mock.fn(async () => {
+      await loaded;
+      return response('A');
+    });
+    const storage = { get: async () => undefined, set: mock.fn(async () => {}) };
+    const cache = new CatalogCache({ storage });
+
+    const calls = [cache.get('k', load), cache.get('k', load), cache.get('k', load)];
+    finishLoad();
+    const results = await Promise.all(calls);
+    assert.equal(load.mock.calls.length, 1);
+    assert.equal(storage.set.mock.calls.length, 1);
+    assert.deepEqual(results.map((r) => r.status), ['miss', 'miss', 'miss']);
+    assert.ok(results.every((r) => r.response.catalog[0].sku === 'A'));
+  });
+
+  it('returns the loaded catalog when storing it fails', async () => {
+    const storage = { get: () => undefined, set: async () => { throw new Error('EROFS: read-only file system'); } };
+    const cache = new CatalogCache({ storage });
+    const onStoreError = mock.fn();
+    const { response: result, status } = await cache.get('k', async () => response('A'), { onStoreError });
+    assert.equal(status, 'miss');
+    assert.equal(result.catalog[0].sku, 'A');
+    assert.equal(onStoreError.mock.calls[0].arguments[0].message, 'EROFS: read-only file system');
+  });
+
+  it('keeps entries per key', async () => {
+    const cache = new CatalogCache();
+    const load = mock.fn(async () => response('A'));
+    await cache.get('account-1', load);
+    await cache.get('account-2', load);
+    assert.equal(load.mock.calls.length, 2);
+  });
+
+  it('waits for a fresh catalog once an entry is past ttlMs', async () => {
+    const storage = new MemoryCatalogStorage();
+    storage.set('k', { fetchedAt: Date.now() - 2 * HOUR, response: response('OLD') });
+    const cache = new CatalogCache({ ttlMs: HOUR, storage });
+
+    const { response: result, status } = await cache.get('k', async () => response('NEW'));
+    assert.equal(status, 'miss');
+    assert.equal(result.catalog[0].sku, 'NEW');
+  });
+
+  it('serves stale entries while one background refresh runs', async () => {
+    const storage = new MemoryCatalogStorage();
+    storage.set('k', { fetchedAt: Date.now() - 2 * HOUR, response: response('OLD') });
+    const cache = new CatalogCache({ ttlMs: HOUR, staleWhileRevalidateMs: 24 * HOUR, storage });
+    let finishRefresh;
+    const refreshed = new Promise((resolve) => { finishRefresh = resolve; });
+    const load = mock.fn(async () => {
+      await refreshed;
+      return response('NEW');
+    });
+
+    const first = await cache.get('k', load);
+    const second = await cache.get('k', load);
+    assert.equal(first.status, 'stale');
+    assert.equal(second.status, 'stale');
+    assert.equal(second.response.catalog[0].sku, 'OLD');
+    finishRefresh();
+    await cache.settled();
+
+    assert.equal(load.mock.calls.length, 1);
+    assert.deepEqual(load.mock.calls[0].arguments[0], { background: true, shared: false });
+    assert.deepEqual(await cache.get('k', load), { response: response('NEW'), status: 'hit' });
+  });
+
+  it('reports background refresh failures and keeps the stale entry', async () => {
+    const storage = new MemoryCatalogStorage();
+    storage.set('k', { fetchedAt: Date.now() - 2 * HOUR, response: response('OLD') });
+    const cache = new CatalogCache({ ttlMs: HOUR, staleWhileRevalidateMs: 24 * HOUR, storage });
+    const onRefreshError = mock.fn();
+
+    await cache.get('k', async () => { throw new Error('offline'); }, { onRefreshError });
+    await cache.settled();
+    assert.equal(onRefreshError.mock.calls[0].arguments[0].message, 'offline');
+    assert.equal((await cache.get('k', mock.fn())).response.catalog[0].sku, 'OLD');
+  });
+
+  it('forceRefresh loads even when the entry is fresh', async () => {
+    const cache = new CatalogCache();
+    await cache.get('k', async () => response('OLD'));
+    const { response: result, status } = await cache.get('k', async () => response('NEW'), { forceRefresh: true });
+    assert.equal(status, 'refresh');
+    assert.equal(result.catalog[0].sku, 'NEW');
+  });
+
+  it('calls onChange with a diff when a SKU is added or removed or a product changes', async () => {
+    const onChange = mock.fn();
+    const cache = new CatalogCache({ onChange });
+    const refresh = (res) => cache.get('k', async () => res, { forceRefresh: true });
+
+    await refresh(response('A', 'B'));
+    await refresh(response('A', 'B'));
+    assert.equal(onChange.mock.calls.length, 0);
+
+    await refresh(response('A', 'C'));
+    await refresh({ catalog: [product('A', '2024-06-01T00:00:00Z'), product('C')] });
+    assert.equal(onChange.mock.calls.length, 2);
+    const { key, previous, catalog } = onChange.mock.calls[0].arguments[0];
+    assert.equal(key, 'k');
+    assert.deepEqual(previous.map((p) => p.sku), ['A', 'B']);
+    assert.deepEqual(catalog.map((p) => p.sku), ['A', 'C']);
+    assert.deepEqual(onChange.mock.calls[0].arguments[0].diff.removed, [product('B')]);
+    assert.deepEqual(onChange.mock.calls[1].arguments[0].diff.changed[0].fields, [
+      { field: 'updatedAt', from: '2024-01-01T00:00:00Z', to: '2024-06-01T00:00:00Z' }
+    ]);
+  });
+
+  it('does not share cached objects with callers', async () => {
+    const cache = new CatalogCache();
+    const { response: first } = await cache.get('k', async () => response('A'));
+    first.catalog.pop();
+    assert.equal((await cache.get('k', mock.fn())).response.catalog.length, 1);
+  });
+
+  it('rejects invalid options', () => {
+    assert.throws(() => new CatalogCache({ ttlMs: -1 }), { message: 'ttlMs must be a non-negative number' });
+    assert.throws(() => new CatalogCache({ staleWhileRevalidateMs: 'soon' }), {
+      message: 'staleWhileRevalidateMs must be a non-negative number'
+    });
+    assert.throws(() => new CatalogCache({ storage: {} }), { message: 'storage must have get and set methods' });
+    assert.throws(() => new CatalogCache({ onChange: true }), { message: 'onChange must be a function' });
+  });
+});
+
+describe('FileCatalogStorage', () => {
+  it('persists entries across instances and creates the directory', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'printapi-catalog-'));
+    try {
+      const path = join(dir, 'cache', 'catalog.json');
+      const entry = { fetchedAt: 1700000000000, response: response('A') };
+      await new FileCatalogStorage(path).set('k', entry);
+      await new FileCatalogStorage(path).set('other', entry);
+
+      assert.deepEqual(await new FileCatalogStorage(path).get('k'), entry);
+      const file = JSON.parse(await readFile(path, 'utf8'));
+      assert.equal(file.version, 1);
+      assert.deepEqual(Object.keys(file.entries), ['k', 'other']);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('keeps every entry when writes overlap', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'printapi-catalog-'));
+    try {
+      const path = join(dir, 'catalog.json');
+      const storage = new FileCatalogStorage(path);
+      const keys = ['a', 'b', 'c', 'd', 'e'];
+      await Promise.all(keys.map((key) => storage.set(key, { fetchedAt: 1700000000000, response: response(key) })));
+
+      assert.deepEqual(Object.keys(JSON.parse(await readFile(path, 'utf8')).entries).sort(), keys);
+      assert.deepEqual(await readdir(dir), ['catalog.json']);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('treats a missing or corrupt file as empty', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'printapi-catalog-'));
+    try {
+      const path = join(dir, 'catalog.json');
+      assert.equal(await new FileCatalogStorage(path).get('k'), undefined);
+      await writeFile(path, '{not json');
+      assert.equal(await new FileCatalogStorage(path).get('k'), undefined);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('requires a path', () => {
+    assert.throws(() => new FileCatalogStorage(''), { message: 'path must be a non-empty string' });
+  });
+});
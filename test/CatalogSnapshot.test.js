@@ -0,0 +1,86 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, readFile, writeFile, readdir } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { CatalogSnapshot } from '../src/CatalogSnapshot.js';
+import { Catalog } from '../src/Catalog.js';
+
+const products = [
+  { sku: 'TAB_2D_16P', sizingType: 'TAB', productType: 'Newsletter' },
+  { sku: 'LFP_CS', sizingType: 'LFP', productType: 'LFP', customSize: true }
+];
+
+describe('CatalogSnapshot', () => {
+  it('wraps the catalog and reports its age', () => {
+    const snapshot = new CatalogSnapshot({ catalog: products, fetchedAt: '2024-01-01T00:00:00Z' });
+    assert.ok(snapshot.catalog instanceof Catalog);
+    assert.equal(snapshot.catalog.findBySku('LFP_CS'), products[1]);
+    assert.equal(snapshot.fetchedAt.toISOString(), '2024-01-01T00:00:00.000Z');
+    assert.equal(snapshot.ageMs(Date.parse('2024-01-02T00:00:00Z')), 24 * 60 * 60 * 1000);
+    assert.equal(snapshot.isStale(12 * 60 * 60 * 1000, Date.parse('2024-01-02T00:00:00Z')), true);
+    assert.equal(snapshot.isStale(24 * 60 * 60 * 1000, Date.parse('2024-01-02T00:00:00Z')), false);
+  });
+
+  it('saves a versioned file and loads it back', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'printapi-snapshot-'));
+    try {
+      const path = join(dir, 'data', 'catalog.json');
+      await new CatalogSnapshot({ catalog: new Catalog(products), fetchedAt: 1704067200000 }).save(path);
+
+      assert.deepEqual(JSON.parse(await readFile(path, 'utf8')), {
+        version: 1,
+        fetchedAt: '2024-01-01T00:00:00.000Z',
+        catalog: products
+      });
+      const loaded = await CatalogSnapshot.load(path);
+      assert.deepEqual(loaded.catalog.products, products);
+      assert.equal(loaded.fetchedAt.getTime(), 1704067200000);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('survives overlapping saves to the same file', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'printapi-snapshot-'));
+    try {
+      const path = join(dir, 'catalog.json');
+      const snapshots = [1, 2, 3].map((day) => new CatalogSnapshot({ catalog: products, fetchedAt: `2024-01-0${day}T00:00:00Z` }));
+      await Promise.all(snapshots.map((snapshot) => snapshot.save(path)));
+
+      const loaded = await CatalogSnapshot.load(path);
+      assert.ok(snapshots.some((snapshot) => snapshot.fetchedAt.getTime() === loaded.fetchedAt.getTime()));
+      assert.deepEqual(await readdir(dir), ['catalog.json']);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('rejects files that are missing, not snapshots or another version', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'printapi-snapshot-'));
+    try {
+      const path = join(dir, 'catalog.json');
+      await assert.rejects(() => CatalogSnapshot.load(path), { message: new RegExp(`^Could not load catalog snapshot ${path}: ENOENT`) });
+
+      await writeFile(path, JSON.stringify({ catalog: products }));
+      await assert.rejects(() => CatalogSnapshot.load(path), {
+        message: `Could not load catalog snapshot ${path}: not a catalog snapshot (expected version, fetchedAt and catalog)`
+      });
+
+      await writeFile(path, JSON.stringify({ version: 2, fetchedAt: '2024-01-01T00:00:00Z', catalog: products }));
+      await assert.rejects(() => CatalogSnapshot.load(path), {
+        message: `Could not load catalog snapshot ${path}: unsupported catalog snapshot version 2 (expected 1)`
+      });
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('rejects invalid arguments', async () => {
+    assert.throws(() => new CatalogSnapshot({ catalog: {} }), {
+      message: 'catalog must be an array of catalog products or a Catalog'
+    });
+    assert.throws(() => new CatalogSnapshot({ catalog: [], fetchedAt: 'yesterday' }), { message: 'fetchedAt must be a valid date' });
+    await assert.rejects(() => new CatalogSnapshot({ catalog: [] }).save(''), { message: 'path must be a non-empty string' });
+  });
+});
@@ -0,0 +1,133 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { CircuitBreaker } from '../src/CircuitBreaker.js';
+import { PrintApiError } from '../src/PrintApiError.js';
+
+const serverError = () => new PrintApiError(503, 'Service Unavailable', 'down');
+const networkError = () => new PrintApiError(0, 'NetworkError', 'Request failed: ECONNRESET');
+const notFound = () => new PrintApiError(404, 'Not Found', 'Order not found');
+
+/** Run one call through the breaker, recording the given outcome. */
+function call(breaker, error = null, options) {
+  const permit = breaker.tryAcquire();
+  assert.ok(permit);
+  breaker.record(permit, error, options);
+}
+
+describe('CircuitBreaker', () => {
+  it('validates its options', () => {
+    assert.throws(() => new CircuitBreaker({ failureThreshold: 0 }), { message: /failureThreshold/ });
+    assert.throws(() => new CircuitBreaker({ cooldownMs: -1 }), { message: /cooldownMs/ });
+  });
+
+  it('starts closed', () => {
+    const breaker = new CircuitBreaker();
+    assert.equal(breaker.state, 'closed');
+    assert.equal(breaker.remainingCooldownMs, 0);
+  });
+
+  it('opens after failureThreshold consecutive failures', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 3 });
+    call(breaker, serverError());
+    call(breaker, networkError());
+    assert.equal(breaker.state, 'closed');
+    call(breaker, serverError());
+    assert.equal(breaker.state, 'open');
+    assert.equal(breaker.tryAcquire(), null);
+    assert.ok(breaker.remainingCooldownMs > 0);
+  });
+
+  it('resets the count on success and ignores 4xx responses', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 2 });
+    call(breaker, serverError());
+    call(breaker, null);
+    call(breaker, serverError());
+    call(breaker, notFound());
+    call(breaker, serverError());
+    assert.equal(breaker.state, 'closed');
+  });
+
+  it('does not count neutral outcomes', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 1 });
+    call(breaker, new PrintApiError(0, 'AbortError', 'Request aborted'), { neutral: true });
+    assert.equal(breaker.state, 'closed');
+  });
+
+  it('half-opens after the cooldown and allows a single trial call', async () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 1, cooldownMs: 10 });
+    call(breaker, serverError());
+    await new Promise(resolve => setTimeout(resolve, 15));
+    assert.equal(breaker.state, 'half-open');
+    assert.deepEqual(breaker.tryAcquire(), { trial: true });
+    assert.equal(breaker.tryAcquire(), null);
+  });
+
+  it('lets only the trial call decide a half-open circuit', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 1, cooldownMs: 0 });
+    const early = breaker.tryAcquire();
+    call(breaker, serverError());
+    assert.equal(breaker.state, 'half-open');
+    const trial = breaker.tryAcquire();
+    assert.equal(trial.trial, true);
+
+    // A call from before the circuit opened finishes first: it neither decides nor frees the trial
+    breaker.record(early, null);
+    assert.equal(breaker.state, 'half-open');
+    assert.equal(breaker.tryAcquire(), null);
+
+    breaker.record(trial, null);
+    assert.equal(breaker.state, 'closed');
+  });
+
+  it('requires the permit from tryAcquire', () => {
+    assert.throws(() => new CircuitBreaker().record(null), { message: 'permit must be the object returned by tryAcquire' });
+  });
+
+  it('closes when the trial succeeds', async () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 1, cooldownMs: 0 });
+    call(breaker, serverError());
+    call(breaker, null);
+    assert.equal(breaker.state, 'closed');
+  });
+
+  it('reopens when the trial fails', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 5, cooldownMs: 0 });
+    for (let i = 0; i < 5; i++) call(breaker, serverError());
+    assert.equal(breaker.state, 'half-open');
+    breaker.record(breaker.tryAcquire(), serverError());
+    // cooldownMs 0 means the reopened circuit is immediately eligible again
+    assert.equal(breaker.state, 'half-open');
+  });
+
+  it('notifies listeners of every state change', () => {
+    const changes = [];
+    const breaker = new CircuitBreaker({
+      failureThreshold: 1,
+      cooldownMs: 0,
+      onStateChange: (state, previous) => changes.push(`${previous}->${state}`)
+    });
+    call(breaker, serverError());
+    call(breaker, null);
+    assert.deepEqual(changes, ['closed->open', 'open->half-open', 'half-open->closed']);
+  });
+
+  it('supports removing listeners and a custom failure test', () => {
+    const changes = [];
+    const breaker = new CircuitBreaker({ failureThreshold: 1, isFailure: err => err.status === 429 });
+    const off = breaker.onStateChange(state => changes.push(state));
+    call(breaker, serverError());
+    assert.equal(breaker.state, 'closed');
+    off();
+    call(breaker, new PrintApiError(429, 'Too Many Requests', 'Slow down'));
+    assert.equal(breaker.state, 'open');
+    assert.deepEqual(changes, []);
+  });
+
+  it('reset() closes the circuit', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 1 });
+    call(breaker, serverError());
+    breaker.reset();
+    assert.equal(breaker.state, 'closed');
+    assert.deepEqual(breaker.tryAcquire(), { trial: false });
+  });
+});
@@ -1,17 +1,40 @@
 import { describe, it, beforeEach, afterEach, mock } from 'node:test';
 import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
 import { PrintApiClient } from '../src/PrintApiClient.js';
 import { PrintApiError } from '../src/PrintApiError.js';
+import { RateLimiter } from '../src/RateLimiter.js';
+import { CircuitBreaker } from '../src/CircuitBreaker.js';
+import { CatalogCache } from '../src/CatalogCache.js';
+import { Catalog } from '../src/Catalog.js';
+import { CatalogSnapshot } from '../src/CatalogSnapshot.js';
+import {
+  ValidationError,
+  AuthenticationError,
+  PermissionError,
+  NotFoundError,
+  ConflictError,
+  RateLimitError,
+  ServerError,
+  NetworkError,
+  TimeoutError,
+  ParseError,
+  CircuitOpenError
+} from '../src/errors.js';
+import * as sdk from '../src/index.js';
 
 // ---------------------------------------------------------------------------
 // Helpers
 // ---------------------------------------------------------------------------
 
 /** Create a mock fetch Response object. */
-function mockResponse(body, { status = 200, ok = true } = {}) {
+function mockResponse(body, { status = 200, ok = true, headers = {} } = {}) {
   return {
     ok,
     status,
+    headers: new Headers(headers),
     json: async () => body
   };
 }
@@ -84,6 +107,58 @@ describe('PrintApiError', () => {
     assert.ok(err.stack);
     assert.ok(err.stack.includes('PrintApiError'));
   });
+
+  it('defaults retryable to false', () => {
+    assert.equal(new PrintApiError(400, 'Bad Request', 'nope').retryable, false);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Error subclasses
+// ---------------------------------------------------------------------------
+
+describe('error subclasses', () => {
+  it('are all exported from the package entry point', () => {
+    for (const ErrorClass of [
+      ValidationError, AuthenticationError, PermissionError, NotFoundError, ConflictError,
+      RateLimitError, ServerError, NetworkError, TimeoutError, ParseError, CircuitOpenError
+    ]) {
+      assert.equal(sdk[ErrorClass.name], ErrorClass);
+    }
+  });
+
+  it('keeps API errors instanceof PrintApiError with their own name', () => {
+    const err = new ConflictError(409, 'Conflict', 'Duplicate', { existingOrderNumber: 'ATEST-0000001' });
+    assert.ok(err instanceof PrintApiError);
+    assert.ok(err instanceof Error);
+    assert.equal(err.name, 'ConflictError');
+    assert.equal(err.existingOrderNumber, 'ATEST-0000001');
+  });
+
+  it('marks transient failures as retryable', () => {
+    assert.equal(new RateLimitError(429, 'Too Many Requests', 'x').retryable, true);
+    assert.equal(new ServerError(503, 'Service Unavailable', 'x').retryable, true);
+    assert.equal(new NetworkError(0, 'NetworkError', 'x').retryable, true);
+    assert.equal(new TimeoutError(0, 'TimeoutError', 'x').retryable, true);
+    assert.equal(new ParseError(502, 'ParseError', 'x').retryable, true);
+    assert.equal(new ParseError(200, 'ParseError', 'x').retryable, false);
+    assert.equal(new NotFoundError(404, 'Not Found', 'x').retryable, false);
+    assert.equal(new CircuitOpenError(0, 'CircuitOpenError', 'x').retryable, false);
+  });
+
+  it('keeps TimeoutError separate from NetworkError', () => {
+    const err = new TimeoutError(0, 'TimeoutError', 'x');
+    assert.ok(err instanceof PrintApiError);
+    assert.ok(!(err instanceof NetworkError));
+  });
+
+  it('keeps ValidationError separate from PrintApiError', () => {
+    const err = new ValidationError('orderNumber must be a non-empty string', 'orderNumber');
+    assert.ok(err instanceof Error);
+    assert.ok(!(err instanceof PrintApiError));
+    assert.equal(err.name, 'ValidationError');
+    assert.equal(err.path, 'orderNumber');
+  });
 });
 
 // ---------------------------------------------------------------------------
@@ -985,6 +1060,89 @@ describe('PrintApiClient', () => {
     });
   });
 
+  // -----------------------------------------------------------------------
+  // Error classes
+  // -----------------------------------------------------------------------
+
+  describe('error classes', () => {
+    const cases = [
+      [401, 'Unauthorized', AuthenticationError],
+      [403, 'Forbidden', PermissionError],
+      [404, 'Not Found', NotFoundError],
+      [409, 'Conflict', ConflictError],
+      [429, 'Too Many Requests', RateLimitError],
+      [500, 'Internal Server Error', ServerError],
+      [503, 'Service Unavailable', ServerError]
+    ];
+
+    for (const [status, errorType, ErrorClass] of cases) {
+      it(`throws ${ErrorClass.name} on ${status}`, async () => {
+        const client = new PrintApiClient({
+          apiKey: 'key',
+          accountId: '123',
+          fetch: async () => mockResponse({ error: errorType, message: 'failed' }, { status, ok: false })
+        });
+        await assert.rejects(
+          () => client.getOrderStatus('ATEST-0000001'),
+          (err) => {
+            assert.ok(err instanceof ErrorClass);
+            assert.ok(err instanceof PrintApiError);
+            assert.equal(err.status, status);
+            assert.equal(err.errorType, errorType);
+            return true;
+          }
+        );
+      });
+    }
+
+    it('throws a plain PrintApiError on 400', async () => {
+      const client = new PrintApiClient({
+        apiKey: 'key',
+        accountId: '123',
+        fetch: async () => mockResponse({ error: 'Bad Request', message: 'nope' }, { status: 400, ok: false })
+      });
+      await assert.rejects(
+        () => client.getOrderStatus('ATEST-0000001'),
+        (err) => err.constructor === PrintApiError && err.retryable === false
+      );
+    });
+
+    it('throws NetworkError, TimeoutError and ParseError for transport failures', async () => {
+      const network = new PrintApiClient({
+        apiKey: 'key',
+        accountId: '123',
+        fetch: async () => { throw new Error('ECONNREFUSED'); }
+      });
+      await assert.rejects(() => network.getCatalog(), NetworkError);
+
+      const timeout = new PrintApiClient({
+        apiKey: 'key',
+        accountId: '123',
+        timeoutMs: 5,
+        fetch: () => new Promise(() => {})
+      });
+      await assert.rejects(() => timeout.getCatalog(), TimeoutError);
+
+      const parse = new PrintApiClient({
+        apiKey: 'key',
+        accountId: '123',
+        fetch: async () => ({ ok: false, status: 502, json: async () => { throw new SyntaxError('bad'); } })
+      });
+      await assert.rejects(() => parse.getCatalog(), ParseError);
+    });
+
+    it('throws CircuitOpenError while the circuit is open', async () => {
+      const client = new PrintApiClient({
+        apiKey: 'key',
+        accountId: '123',
+        circuitBreaker: { failureThreshold: 1, cooldownMs: 60000 },
+        fetch: async () => { throw new Error('ECONNREFUSED'); }
+      });
+      await assert.rejects(() => client.getCatalog(), NetworkError);
+      await assert.rejects(() => client.getCatalog(), CircuitOpenError);
+    });
+  });
+
   // -----------------------------------------------------------------------
   // #request internals (tested via public API)
   // -----------------------------------------------------------------------
@@ -1090,181 +1248,1819 @@ describe('PrintApiClient', () => {
   });
 
   // -----------------------------------------------------------------------
-  // Client-side validation
+  // Custom fetch
   // -----------------------------------------------------------------------
 
-  describe('client-side validation', () => {
-    let client;
-
-    beforeEach(() => {
-      // fetch should never be called — validation fails first
+  describe('custom fetch', () => {
+    it('uses the injected fetch instead of the global', async () => {
       globalThis.fetch = mock.fn(async () => {
-        throw new Error('fetch should not be called during validation tests');
+        throw new Error('global fetch should not be called');
       });
-      client = new PrintApiClient({ apiKey: 'key', accountId: '123' });
+      const customFetch = mock.fn(async (url, options) => {
+        assert.equal(url.toString(), 'https://printapi.net/api/v1/orderstatus?accountId=123&orderNumber=ATEST-0000001');
+        assert.equal(options.headers['X-API-Key'], 'key');
+        return mockResponse({ acOrderNumber: 'ATEST-0000001', orderStatus: 'Pending' });
+      });
+
+      const client = new PrintApiClient({ apiKey: 'key', accountId: '123', fetch: customFetch });
+      const status = await client.getOrderStatus('ATEST-0000001');
+      assert.equal(status.orderStatus, 'Pending');
+      assert.equal(customFetch.mock.calls.length, 1);
+      assert.equal(globalThis.fetch.mock.calls.length, 0);
     });
 
-    // -- Order items -------------------------------------------------------
+    it('maps injected fetch failures to NetworkError', async () => {
+      const customFetch = async () => { throw new Error('proxy refused'); };
 
-    describe('order items', () => {
-      it('rejects missing orderItems', async () => {
-        await assert.rejects(
-          () => client.checkPricing(),
-          { message: 'orderItems must be a non-empty array' }
-        );
-      });
+      const client = new PrintApiClient({ apiKey: 'key', accountId: '123', fetch: customFetch });
+      await assert.rejects(
+        () => client.getCatalog(),
+        { status: 0, errorType: 'NetworkError', message: 'Request failed: proxy refused' }
+      );
+    });
 
-      it('rejects empty orderItems array', async () => {
-        await assert.rejects(
-          () => client.checkPricing([]),
-          { message: 'orderItems must be a non-empty array' }
-        );
-      });
+    it('falls back to the global fetch at call time', async () => {
+      const client = new PrintApiClient({ apiKey: 'key', accountId: '123' });
+      globalThis.fetch = mock.fn(async () => mockResponse({ catalog: [] }));
+      await client.getCatalog();
+      assert.equal(globalThis.fetch.mock.calls.length, 1);
+    });
 
-      it('rejects item with missing sku', async () => {
-        await assert.rejects(
-          () => client.checkPricing([{ productType: 'Newsletter', quantity: 1 }]),
-          { message: 'orderItems[0].sku must be a non-empty string' }
-        );
-      });
+    it('throws if fetch is not a function', () => {
+      assert.throws(
+        () => new PrintApiClient({ apiKey: 'key', accountId: '123', fetch: 'node-fetch' }),
+        { message: 'fetch must be a function' }
+      );
+    });
+  });
 
-      it('rejects null item in array', async () => {
-        await assert.rejects(
-          () => client.checkPricing([null]),
-          { message: 'orderItems[0] must be an object' }
-        );
-      });
+  // -----------------------------------------------------------------------
+  // Middleware
+  // -----------------------------------------------------------------------
 
-      it('rejects item with invalid productType', async () => {
-        await assert.rejects(
-          () => client.checkPricing([{ sku: 'TAB_2D_16P', productType: 'Poster', quantity: 1 }]),
-          { message: 'orderItems[0].productType must be one of: Newsletter, Calendar, Flyer, LFP' }
-        );
+  describe('middleware', () => {
+    it('lets middleware add headers and see the request before sending', async () => {
+      const customFetch = mock.fn(async (url, options) => {
+        assert.equal(options.headers['X-Correlation-Id'], 'abc-123');
+        return mockResponse({ acOrderNumber: 'ATEST-0000001', orderStatus: 'Pending' });
       });
+      const seen = [];
 
-      it('rejects quantity of 0', async () => {
-        await assert.rejects(
-          () => client.checkPricing([{ sku: 'TAB_2D_16P', productType: 'Newsletter', quantity: 0 }]),
-          { message: 'orderItems[0].quantity must be an integer between 1 and 1000' }
-        );
+      const client = new PrintApiClient({ apiKey: 'key', accountId: '123', fetch: customFetch });
+      client.use(async (ctx, next) => {
+        seen.push({ method: ctx.method, path: ctx.path, query: { ...ctx.query }, attempt: ctx.attempt });
+        ctx.headers['X-Correlation-Id'] = 'abc-123';
+        return next();
       });
 
-      it('rejects quantity over 1000', async () => {
-        await assert.rejects(
-          () => client.checkPricing([{ sku: 'TAB_2D_16P', productType: 'Newsletter', quantity: 1001 }]),
-          { message: 'orderItems[0].quantity must be an integer between 1 and 1000' }
-        );
-      });
+      await client.getOrderStatus('ATEST-0000001');
+      assert.deepEqual(seen, [{
+        method: 'GET',
+        path: '/orderstatus',
+        query: { accountId: '123', orderNumber: 'ATEST-0000001' },
+        attempt: 1
+      }]);
+      assert.equal(customFetch.mock.calls.length, 1);
+    });
 
-      it('rejects non-integer quantity', async () => {
-        await assert.rejects(
-          () => client.checkPricing([{ sku: 'TAB_2D_16P', productType: 'Newsletter', quantity: 3.5 }]),
-          { message: 'orderItems[0].quantity must be an integer between 1 and 1000' }
-        );
+    it('lets middleware mutate the body before serialization', async () => {
+      const customFetch = mock.fn(async (url, options) => {
+        const body = JSON.parse(options.body);
+        assert.equal(body.orderItems[0].notes, 'rush');
+        return mockResponse({ grandTotal: 1, fees: [], items: [], totalFees: 0, totalItemCost: 1 });
       });
 
-      it('rejects LFP_CS without longEdge', async () => {
-        await assert.rejects(
-          () => client.checkPricing([{ sku: 'LFP_CS', productType: 'LFP', quantity: 1, shortEdge: 24 }]),
-          { message: 'orderItems[0].longEdge is required for LFP_CS and must be a positive number' }
-        );
+      const client = new PrintApiClient({ apiKey: 'key', accountId: '123', fetch: customFetch });
+      client.use(async (ctx, next) => {
+        ctx.body.orderItems[0].notes = 'rush';
+        return next();
       });
+      await client.checkPricing([{ sku: 'LTR_1D', productType: 'Flyer', quantity: 1 }]);
+    });
 
-      it('rejects LFP_CS without shortEdge', async () => {
-        await assert.rejects(
-          () => client.checkPricing([{ sku: 'LFP_CS', productType: 'LFP', quantity: 1, longEdge: 36 }]),
-          { message: 'orderItems[0].shortEdge is required for LFP_CS and must be a positive number' }
-        );
+    it('runs middleware in registration order around the request', async () => {
+      const order = [];
+      const client = new PrintApiClient({
+        apiKey: 'key',
+        accountId: '123',
+        fetch: async () => {
+          order.push('fetch');
+          return mockResponse({ catalog: [] });
+        }
       });
+      client
+        .use(async (ctx, next) => { order.push('a:before'); const r = await next(); order.push('a:after'); return r; })
+        .use(async (ctx, next) => { order.push('b:before'); const r = await next(); order.push('b:after'); return r; });
 
-      it('does not require files for checkPricing', async () => {
-        globalThis.fetch = mock.fn(async () => mockResponse({ grandTotal: 10, fees: [], items: [], totalFees: 0, totalItemCost: 10 }));
-        await client.checkPricing([{ sku: 'TAB_2D_16P', productType: 'Newsletter', quantity: 1 }]);
-        assert.equal(globalThis.fetch.mock.calls.length, 1);
-      });
+      await client.getCatalog();
+      assert.deepEqual(order, ['a:before', 'b:before', 'fetch', 'b:after', 'a:after']);
+    });
 
-      it('requires files for createOrder items', async () => {
-        await assert.rejects(
-          () => client.createOrder(realOrderPayload({
-            orderItems: [{ sku: 'TAB_2D_16P', productType: 'Newsletter', quantity: 1 }]
-          })),
-          { message: 'orderItems[0].files must be a non-empty array of HTTPS URLs' }
-        );
+    it('exposes status, headers and parsed data to middleware', async () => {
+      let seen;
+      const client = new PrintApiClient({
+        apiKey: 'key',
+        accountId: '123',
+        fetch: async () => mockResponse({ catalog: [] }, { headers: { 'X-Request-Id': 'req-9' } })
+      });
+      client.use(async (ctx, next) => {
+        seen = await next();
+        return seen;
       });
 
-      it('rejects non-HTTPS file URL in createOrder', async () => {
-        await assert.rejects(
-          () => client.createOrder(realOrderPayload({
-            orderItems: [{
-              sku: 'TAB_2D_16P', productType: 'Newsletter', quantity: 1,
-              files: ['http://example.com/file.pdf']
-            }]
-          })),
-          { message: 'orderItems[0].files[0] must be an HTTPS URL' }
-        );
+      await client.getCatalog();
+      assert.equal(seen.status, 200);
+      assert.equal(seen.ok, true);
+      assert.equal(seen.headers.get('x-request-id'), 'req-9');
+      assert.deepEqual(seen.data, { catalog: [] });
+    });
+
+    it('passes error responses through next so middleware can inspect them', async () => {
+      let seenStatus;
+      const client = new PrintApiClient({
+        apiKey: 'key',
+        accountId: '123',
+        fetch: async () => mockResponse({ error: 'Not Found', message: 'Order not found' }, { status: 404, ok: false })
+      });
+      client.use(async (ctx, next) => {
+        const response = await next();
+        seenStatus = response.status;
+        return response;
       });
+
+      await assert.rejects(() => client.getOrderStatus('NOPE'), { status: 404, errorType: 'Not Found' });
+      assert.equal(seenStatus, 404);
     });
 
-    // -- Customer ----------------------------------------------------------
+    it('short-circuits when middleware returns without calling next', async () => {
+      const customFetch = mock.fn(async () => mockResponse({ catalog: [] }));
+      const client = new PrintApiClient({ apiKey: 'key', accountId: '123', fetch: customFetch });
+      client.use(async () => ({ data: { catalog: [{ sku: 'CACHED' }] } }));
 
-    describe('customer', () => {
-      it('rejects missing shippingCustomer', async () => {
-        await assert.rejects(
-          () => client.createOrder(realOrderPayload({ shippingCustomer: undefined })),
-          { message: 'shippingCustomer is required' }
-        );
-      });
+      const result = await client.getCatalog();
+      assert.deepEqual(result, { catalog: [{ sku: 'CACHED' }] });
+      assert.equal(customFetch.mock.calls.length, 0);
+    });
 
-      it('rejects missing required customer fields', async () => {
-        await assert.rejects(
-          () => client.createOrder(realOrderPayload({
-            shippingCustomer: { firstName: '', lastName: 'Doe', email: 'a@b.c', phone: '5551234567', address1: '123 Main', city: 'Portland', state: 'OR', zip: '97201', shipmentTrackingEmail: ['a@b.c'] }
-          })),
-          { message: 'shippingCustomer.firstName must be a non-empty string' }
-        );
-      });
+    it('turns a short-circuited error response into PrintApiError', async () => {
+      const client = new PrintApiClient({ apiKey: 'key', accountId: '123', fetch: async () => mockResponse({}) });
+      client.use(async () => ({ status: 503, data: { error: 'Service Unavailable', message: 'maintenance' } }));
 
-      it('rejects invalid state code XX', async () => {
-        await assert.rejects(
-          () => client.createOrder(realOrderPayload({
-            shippingCustomer: {
-              ...realOrderPayload().shippingCustomer,
-              state: 'XX'
-            }
-          })),
-          { message: 'shippingCustomer.state must be a 2-letter US state code (lower 48 + DC)' }
-        );
-      });
+      await assert.rejects(
+        () => client.getCatalog(),
+        (err) => {
+          assert.ok(err instanceof PrintApiError);
+          assert.equal(err.status, 503);
+          assert.equal(err.message, 'maintenance');
+          return true;
+        }
+      );
+    });
 
-      it('rejects Alaska (AK)', async () => {
-        await assert.rejects(
-          () => client.createOrder(realOrderPayload({
-            shippingCustomer: {
-              ...realOrderPayload().shippingCustomer,
-              state: 'AK'
-            }
-          })),
-          { message: 'shippingCustomer.state must be a 2-letter US state code (lower 48 + DC)' }
-        );
-      });
+    it('propagates errors thrown by middleware unchanged', async () => {
+      const client = new PrintApiClient({ apiKey: 'key', accountId: '123', fetch: async () => mockResponse({}) });
+      const boom = new Error('blocked by policy');
+      client.use(async () => { throw boom; });
 
-      it('rejects Hawaii (HI)', async () => {
-        await assert.rejects(
-          () => client.createOrder(realOrderPayload({
-            shippingCustomer: {
-              ...realOrderPayload().shippingCustomer,
-              state: 'HI'
-            }
-          })),
-          { message: 'shippingCustomer.state must be a 2-letter US state code (lower 48 + DC)' }
-        );
+      await assert.rejects(() => client.getCatalog(), (err) => err === boom);
+    });
+
+    it('lets middleware catch and rethrow transport errors', async () => {
+      const client = new PrintApiClient({
+        apiKey: 'key',
+        accountId: '123',
+        fetch: async () => { throw new Error('ECONNREFUSED'); }
+      });
+      client.use(async (ctx, next) => {
+        try {
+          return await next();
+        } catch (err) {
+          assert.equal(err.errorType, 'NetworkError');
+          throw new PrintApiError(0, 'NetworkError', `wrapped: ${err.message}`);
+        }
       });
 
-      it('rejects invalid email (no @ sign)', async () => {
-        await assert.rejects(
-          () => client.createOrder(realOrderPayload({
-            shippingCustomer: {
-              ...realOrderPayload().shippingCustomer,
+      await assert.rejects(() => client.getCatalog(), { message: 'wrapped: Request failed: ECONNREFUSED' });
+    });
+
+    it('runs the chain again on each retry attempt', async () => {
+      const attempts = [];
+      let calls = 0;
+      const client = new PrintApiClient({
+        apiKey: 'key',
+        accountId: '123',
+        retry: { baseDelayMs: 1, jitter: false },
+        fetch: async () => (++calls === 1
+          ? mockResponse({ error: 'Bad Gateway', message: 'upstream' }, { status: 502, ok: false })
+          : mockResponse({ catalog: [] }))
+      });
+      client.use(async (ctx, next) => {
+        attempts.push(ctx.attempt);
+        return next();
+      });
+
+      await client.getCatalog();
+      assert.deepEqual(attempts, [1, 2]);
+    });
+
+    it('throws if middleware is not a function', () => {
+      const client = new PrintApiClient({ apiKey: 'key', accountId: '123' });
+      assert.throws(() => client.use({}), { message: 'middleware must be a function' });
+    });
+  });
+
+  // -----------------------------------------------------------------------
+  // Retries
+  // -----------------------------------------------------------------------
+
+  describe('retries', () => {
+    const fastRetry = { maxAttempts: 3, baseDelayMs: 1, jitter: false };
+
+    it('does not retry by default', async () => {
+      globalThis.fetch = mock.fn(async () =>
+        mockResponse({ error: 'Service Unavailable', message: 'down' }, { status: 503, ok: false })
+      );
+
+      const client = new PrintApiClient({ apiKey: 'key', accountId: '123' });
+      await assert.rejects(() => client.getCatalog(), { status: 503, attempts: 1 });
+      assert.equal(globalThis.fetch.mock.calls.length, 1);
+    });
+
+    it('retries 5xx responses on idempotent calls until success', async () => {
+      let calls = 0;
+      globalThis.fetch = mock.fn(async () => {
+        calls++;
+        if (calls < 3) {
+          return mockResponse({ error: 'Bad Gateway', message: 'upstream' }, { status: 502, ok: false });
+        }
+        return mockResponse({ catalog: [] });
+      });
+
+      const client = new PrintApiClient({ apiKey: 'key', accountId: '123', retry: fastRetry });
+      const result = await client.getCatalog();
+      assert.deepEqual(result, { catalog: [] });
+      assert.equal(globalThis.fetch.mock.calls.length, 3);
+    });
+
+    it('retries network errors and reports attempts on the final error', async () => {
+      globalThis.fetch = mock.fn(async () => { throw new Error('ECONNRESET'); });
+
+      const client = new PrintApiClient({ apiKey: 'key', accountId: '123', retry: fastRetry });
+      await assert.rejects(
+        () => client.getOrderStatus('ATEST-0000001'),
+        (err) => {
+          assert.ok(err instanceof PrintApiError);
+          assert.equal(err.errorType, 'NetworkError');
+          assert.equal(err.attempts, 3);
+          return true;
+        }
+      );
+      assert.equal(globalThis.fetch.mock.calls.length, 3);
+    });
+
+    it('does not retry statuses outside retryOn', async () => {
+      globalThis.fetch = mock.fn(async () =>
+        mockResponse({ error: 'Not Found', message: 'Order not found' }, { status: 404, ok: false })
+      );
+
+      const client = new PrintApiClient({ apiKey: 'key', accountId: '123', retry: fastRetry });
+      await assert.rejects(() => client.getOrderStatus('NOPE'), { status: 404, attempts: 1 });
+      assert.equal(globalThis.fetch.mock.calls.length, 1);
+    });
+
+    it('does not retry createOrder or cancelOrder by default', async () => {
+      globalThis.fetch = mock.fn(async () =>
+        mockResponse({ error: 'Internal Server Error', message: 'boom' }, { status: 500, ok: false })
+      );
+
+      const client = new PrintApiClient({ apiKey: 'key', accountId: '123', retry: fastRetry });
+      await assert.rejects(() => client.createOrder(realOrderPayload()), { status: 500, attempts: 1 });
+      await assert.rejects(() => client.cancelOrder('ATEST-0000001'), { status: 500, attempts: 1 });
+      assert.equal(globalThis.fetch.mock.calls.length, 2);
+    });
+
+    it('retries createOrder when retryNonIdempotent is set', async () => {
+      globalThis.fetch = mock.fn(async () =>
+        mockResponse({ error: 'Internal Server Error', message: 'boom' }, { status: 500, ok: false })
+      );
+
+      const client = new PrintApiClient({
+        apiKey: 'key',
+        accountId: '123',
+        retry: { ...fastRetry, retryNonIdempotent: true }
+      });
+      await assert.rejects(() => client.createOrder(realOrderPayload()), { attempts: 3 });
+      assert.equal(globalThis.fetch.mock.calls.length, 3);
+    });
+
+    it('honors Retry-After on 429 instead of the computed backoff', async () => {
+      let calls = 0;
+      globalThis.fetch = mock.fn(async () => {
+        calls++;
+        if (calls === 1) {
+          return mockResponse(
+            { error: 'Too Many Requests', message: 'Slow down' },
+            { status: 429, ok: false, headers: { 'Retry-After': '0' } }
+          );
+        }
+        return mockResponse({ catalog: [] });
+      });
+
+      // A 60s base delay would time the test out if Retry-After were ignored
+      const client = new PrintApiClient({
+        apiKey: 'key',
+        accountId: '123',
+        retry: { baseDelayMs: 60000, jitter: false }
+      });
+      await client.getCatalog();
+      assert.equal(globalThis.fetch.mock.calls.length, 2);
+    });
+
+    it('does not retry when Retry-After is longer than maxDelayMs', async () => {
+      globalThis.fetch = mock.fn(async () =>
+        mockResponse(
+          { error: 'Too Many Requests', message: 'Slow down' },
+          { status: 429, ok: false, headers: { 'Retry-After': '120' } }
+        )
+      );
+
+      const client = new PrintApiClient({ apiKey: 'key', accountId: '123', retry: true });
+      const onRetry = mock.fn();
+      client.on('retry', onRetry);
+      await assert.rejects(() => client.getCatalog(), (err) => {
+        assert.ok(err instanceof RateLimitError);
+        assert.equal(err.retryAfterMs, 120000);
+        assert.equal(err.attempts, 1);
+        return true;
+      });
+      assert.equal(globalThis.fetch.mock.calls.length, 1);
+      assert.equal(onRetry.mock.calls.length, 0);
+    });
+
+    it('exposes retryAfterMs on the error', async () => {
+      globalThis.fetch = mock.fn(async () =>
+        mockResponse(
+          { error: 'Too Many Requests', message: 'Slow down' },
+          { status: 429, ok: false, headers: { 'Retry-After': '7' } }
+        )
+      );
+
+      const client = new PrintApiClient({ apiKey: 'key', accountId: '123' });
+      await assert.rejects(() => client.getCatalog(), { status: 429, retryAfterMs: 7000 });
+    });
+
+    it('rejects an invalid maxAttempts', () => {
+      assert.throws(
+        () => new PrintApiClient({ apiKey: 'key', accountId: '123', retry: { maxAttempts: 0 } }),
+        { message: 'retry.maxAttempts must be a positive integer' }
+      );
+    });
+  });
+
+  // -----------------------------------------------------------------------
+  // Timeouts and cancellation
+  // -----------------------------------------------------------------------
+
+  describe('timeouts and cancellation', () => {
+    /** A fetch that never settles on its own (ignores the abort signal). */
+    const hangingFetch = () => mock.fn(() => new Promise(() => {}));
+
+    it('passes an AbortSignal to fetch', async () => {
+      globalThis.fetch = mock.fn(async (url, options) => {
+        assert.ok(options.signal instanceof AbortSignal);
+        return mockResponse({ catalog: [] });
+      });
+
+      const client = new PrintApiClient({ apiKey: 'key', accountId: '123' });
+      await client.getCatalog();
+    });
+
+    it('throws TimeoutError when the client-wide timeout elapses', async () => {
+      globalThis.fetch = hangingFetch();
+
+      const client = new PrintApiClient({ apiKey: 'key', accountId: '123', timeoutMs: 20 });
+      await assert.rejects(
+        () => client.getCatalog(),
+        (err) => {
+          assert.ok(err instanceof PrintApiError);
+          assert.equal(err.status, 0);
+          assert.equal(err.errorType, 'TimeoutError');
+          assert.match(err.message, /timed out after 20ms/);
+          return true;
+        }
+      );
+    });
+
+    it('aborts the underlying fetch signal on timeout', async () => {
+      let fetchSignal;
+      globalThis.fetch = mock.fn((url, options) => {
+        fetchSignal = options.signal;
+        return new Promise(() => {});
+      });
+
+      const client = new PrintApiClient({ apiKey: 'key', accountId: '123', timeoutMs: 10 });
+      await assert.rejects(() => client.getCatalog(), { errorType: 'TimeoutError' });
+      assert.equal(fetchSignal.aborted, true);
+    });
+
+    it('applies the timeout to reading the response body', async () => {
+      globalThis.fetch = mock.fn(async () => ({
+        ok: true,
+        status: 200,
+        headers: new Headers(),
+        json: () => new Promise(() => {})
+      }));
+
+      const client = new PrintApiClient({ apiKey: 'key', accountId: '123', timeoutMs: 20 });
+      await assert.rejects(() => client.getCatalog(), { errorType: 'TimeoutError' });
+    });
+
+    it('per-call timeoutMs overrides the client-wide timeout', async () => {
+      globalThis.fetch = hangingFetch();
+
+      const client = new PrintApiClient({ apiKey: 'key', accountId: '123', timeoutMs: 60000 });
+      await assert.rejects(
+        () => client.getOrderStatus('ATEST-0000001', { timeoutMs: 15 }),
+        { errorType: 'TimeoutError', message: 'Request timed out after 15ms' }
+      );
+    });
+
+    it('throws AbortError when the caller aborts', async () => {
+      globalThis.fetch = hangingFetch();
+      const controller = new AbortController();
+
+      const client = new PrintApiClient({ apiKey: 'key', accountId: '123' });
+      const pending = client.createOrder(realOrderPayload(), { signal: controller.signal });
+      controller.abort();
+      await assert.rejects(
+        () => pending,
+        (err) => {
+          assert.ok(err instanceof PrintApiError);
+          assert.equal(err.status, 0);
+          assert.equal(err.errorType, 'AbortError');
+          return true;
+        }
+      );
+    });
+
+    it('does not call fetch when the signal is already aborted', async () => {
+      globalThis.fetch = mock.fn(async () => mockResponse({}));
+
+      const client = new PrintApiClient({ apiKey: 'key', accountId: '123' });
+      await assert.rejects(
+        () => client.cancelOrder('ATEST-0000001', { signal: AbortSignal.abort() }),
+        { errorType: 'AbortError' }
+      );
+      assert.equal(globalThis.fetch.mock.calls.length, 0);
+    });
+
+    it('accepts a signal on checkPricing', async () => {
+      globalThis.fetch = hangingFetch();
+      const controller = new AbortController();
+
+      const client = new PrintApiClient({ apiKey: 'key', accountId: '123' });
+      const pending = client.checkPricing(
+        [{ sku: 'LTR_1D', productType: 'Flyer', quantity: 1 }],
+        { signal: controller.signal }
+      );
+      controller.abort();
+      await assert.rejects(() => pending, { errorType: 'AbortError' });
+    });
+
+    it('retries timeouts when retries are enabled', async () => {
+      let calls = 0;
+      globalThis.fetch = mock.fn(() => {
+        calls++;
+        return calls === 1 ? new Promise(() => {}) : Promise.resolve(mockResponse({ catalog: [] }));
+      });
+
+      const client = new PrintApiClient({
+        apiKey: 'key',
+        accountId: '123',
+        timeoutMs: 10,
+        retry: { baseDelayMs: 1, jitter: false }
+      });
+      assert.deepEqual(await client.getCatalog(), { catalog: [] });
+      assert.equal(globalThis.fetch.mock.calls.length, 2);
+    });
+
+    it('never retries an aborted call and cancels a pending retry delay', async () => {
+      globalThis.fetch = mock.fn(async () =>
+        mockResponse({ error: 'Service Unavailable', message: 'down' }, { status: 503, ok: false })
+      );
+      const controller = new AbortController();
+
+      const client = new PrintApiClient({
+        apiKey: 'key',
+        accountId: '123',
+        retry: { baseDelayMs: 60000, jitter: false }
+      });
+      const pending = client.getCatalog({ signal: controller.signal });
+      setTimeout(() => controller.abort(), 10);
+      await assert.rejects(() => pending, { errorType: 'AbortError', attempts: 1 });
+      assert.equal(globalThis.fetch.mock.calls.length, 1);
+    });
+  });
+
+  // -----------------------------------------------------------------------
+  // Rate limiting
+  // -----------------------------------------------------------------------
+
+  describe('rate limiting', () => {
+    /** A fetch that records peak concurrency and resolves after a short delay. */
+    function trackingFetch() {
+      const stats = { active: 0, peak: 0 };
+      const fn = mock.fn(async () => {
+        stats.active++;
+        stats.peak = Math.max(stats.peak, stats.active);
+        await new Promise(resolve => setTimeout(resolve, 10));
+        stats.active--;
+        return mockResponse({ acOrderNumber: 'ATEST-0000001', orderStatus: 'Pending' });
+      });
+      return { fn, stats };
+    }
+
+    it('queues calls beyond maxConcurrent instead of firing them', async () => {
+      const { fn, stats } = trackingFetch();
+      const client = new PrintApiClient({ apiKey: 'key', accountId: '123', fetch: fn, rateLimit: { maxConcurrent: 2 } });
+
+      await Promise.all(Array.from({ length: 6 }, (_, i) => client.getOrderStatus(`ORDER-${i}`)));
+      assert.equal(fn.mock.calls.length, 6);
+      assert.equal(stats.peak, 2);
+    });
+
+    it('shares one limiter across clients', async () => {
+      const { fn, stats } = trackingFetch();
+      const limiter = new RateLimiter({ maxConcurrent: 1 });
+      const a = new PrintApiClient({ apiKey: 'key', accountId: '123', fetch: fn, rateLimit: limiter });
+      const b = new PrintApiClient({ apiKey: 'key', accountId: '456', fetch: fn, rateLimit: limiter });
+
+      await Promise.all([a.getOrderStatus('A-1'), b.getOrderStatus('B-1'), a.getOrderStatus('A-2')]);
+      assert.equal(stats.peak, 1);
+      assert.equal(limiter.inFlight, 0);
+    });
+
+    it('releases the slot after an error response', async () => {
+      const limiter = new RateLimiter({ maxConcurrent: 1 });
+      const client = new PrintApiClient({
+        apiKey: 'key',
+        accountId: '123',
+        rateLimit: limiter,
+        fetch: async () => mockResponse({ error: 'Not Found', message: 'Order not found' }, { status: 404, ok: false })
+      });
+
+      await assert.rejects(() => client.getOrderStatus('NOPE'), { status: 404 });
+      assert.equal(limiter.inFlight, 0);
+    });
+
+    it('throws AbortError when cancelled while queued', async () => {
+      const limiter = new RateLimiter({ maxConcurrent: 1 });
+      const release = await limiter.acquire();
+      const customFetch = mock.fn(async () => mockResponse({ catalog: [] }));
+      const client = new PrintApiClient({ apiKey: 'key', accountId: '123', fetch: customFetch, rateLimit: limiter });
+      const controller = new AbortController();
+
+      const pending = client.getCatalog({ signal: controller.signal });
+      controller.abort();
+      await assert.rejects(() => pending, { errorType: 'AbortError' });
+      assert.equal(customFetch.mock.calls.length, 0);
+      release();
+    });
+
+    it('rejects invalid limiter options at construction', () => {
+      assert.throws(
+        () => new PrintApiClient({ apiKey: 'key', accountId: '123', rateLimit: { requestsPerSecond: -1 } }),
+        { message: /requestsPerSecond/ }
+      );
+    });
+  });
+
+  // -----------------------------------------------------------------------
+  // Logging
+  // -----------------------------------------------------------------------
+
+  describe('logging', () => {
+    /** A logger that records every call as [level, message, meta]. */
+    function recordingLogger() {
+      const entries = [];
+      const logger = {};
+      for (const level of ['debug', 'info', 'warn', 'error']) {
+        logger[level] = (message, meta) => entries.push([level, message, meta]);
+      }
+      return { logger, entries };
+    }
+
+    it('logs the request line and response status with timing', async () => {
+      const { logger, entries } = recordingLogger();
+      const client = new PrintApiClient({
+        apiKey: 'super-secret',
+        accountId: '123',
+        logger,
+        fetch: async () => mockResponse({ catalog: [] })
+      });
+
+      await client.getCatalog();
+      assert.equal(entries.length, 2);
+      assert.equal(entries[0][0], 'debug');
+      assert.equal(entries[0][1], 'PrintAPI --> GET https://printapi.net/api/v1/catalog');
+      assert.equal(entries[1][0], 'debug');
+      assert.match(entries[1][1], /^PrintAPI <-- 200 GET \/catalog \(\d+ms\)$/);
+      assert.equal(entries[1][2].status, 200);
+      assert.equal(typeof entries[1][2].durationMs, 'number');
+    });
+
+    it('always masks the API key', async () => {
+      const { logger, entries } = recordingLogger();
+      const client = new PrintApiClient({
+        apiKey: 'super-secret',
+        accountId: '123',
+        logger,
+        redactPii: false,
+        fetch: async () => mockResponse({ catalog: [] })
+      });
+
+      await client.getCatalog();
+      assert.equal(entries[0][2].headers['X-API-Key'], '[REDACTED]');
+      assert.ok(!JSON.stringify(entries).includes('super-secret'));
+    });
+
+    it('redacts customer PII from logged bodies by default', async () => {
+      const { logger, entries } = recordingLogger();
+      const client = new PrintApiClient({
+        apiKey: 'key',
+        accountId: '123',
+        logger,
+        fetch: async () => mockResponse({ acOrderNumber: 'ATEST-0000001' })
+      });
+
+      await client.createOrder(realOrderPayload());
+      const logged = entries[0][2].body;
+      assert.equal(logged.shippingCustomer.email, '[REDACTED]');
+      assert.equal(logged.shippingCustomer.address1, '[REDACTED]');
+      assert.equal(logged.shippingCustomer.phone, '[REDACTED]');
+      assert.equal(logged.sourceReferenceOrderNumber, 'YOURORDERNUMBER1234');
+      assert.ok(!JSON.stringify(entries).includes('john.doe@acme.com'));
+    });
+
+    it('logs customer PII when redactPii is false', async () => {
+      const { logger, entries } = recordingLogger();
+      const client = new PrintApiClient({
+        apiKey: 'key',
+        accountId: '123',
+        logger,
+        redactPii: false,
+        fetch: async () => mockResponse({ acOrderNumber: 'ATEST-0000001' })
+      });
+
+      await client.createOrder(realOrderPayload());
+      assert.equal(entries[0][2].body.shippingCustomer.email, 'john.doe@acme.com');
+    });
+
+    it('logs retries at warn and final failures at error', async () => {
+      const { logger, entries } = recordingLogger();
+      const client = new PrintApiClient({
+        apiKey: 'key',
+        accountId: '123',
+        logger,
+        retry: { maxAttempts: 2, baseDelayMs: 1, jitter: false },
+        fetch: async () => mockResponse({ error: 'Service Unavailable', message: 'down' }, { status: 503, ok: false })
+      });
+
+      await assert.rejects(() => client.getCatalog(), { status: 503 });
+      const levels = entries.map(([level]) => level);
+      assert.deepEqual(levels, ['debug', 'debug', 'warn', 'debug', 'debug', 'error']);
+      assert.match(entries[2][1], /retrying in 1ms/);
+      assert.deepEqual(entries[5][2], { status: 503, errorType: 'Service Unavailable', attempts: 2 });
+    });
+
+    it('accepts a partial logger and ignores a throwing one', async () => {
+      const client = new PrintApiClient({
+        apiKey: 'key',
+        accountId: '123',
+        logger: { debug: () => { throw new Error('log sink down'); } },
+        fetch: async () => mockResponse({ error: 'Not Found', message: 'Order not found' }, { status: 404, ok: false })
+      });
+
+      await assert.rejects(() => client.getOrderStatus('NOPE'), { status: 404 });
+    });
+  });
+
+  // -----------------------------------------------------------------------
+  // Lifecycle events
+  // -----------------------------------------------------------------------
+
+  describe('lifecycle events', () => {
+    /** Subscribe to every event and collect [name, payload] pairs. */
+    function recordEvents(client) {
+      const events = [];
+      for (const name of ['start', 'retry', 'response', 'error']) {
+        client.on(name, payload => events.push([name, payload]));
+      }
+      return events;
+    }
+
+    it('emits start and response for a successful call', async () => {
+      const client = new PrintApiClient({
+        apiKey: 'key',
+        accountId: '123',
+        fetch: async () => mockResponse({ acOrderNumber: 'ATEST-0000001', orderStatus: 'Pending' })
+      });
+      const events = recordEvents(client);
+
+      await client.getOrderStatus('ATEST-0000001');
+      assert.deepEqual(events.map(([name]) => name), ['start', 'response']);
+      const [[, start], [, response]] = events;
+      assert.equal(start.operation, 'getOrderStatus');
+      assert.equal(start.endpoint, 'GET /orderstatus');
+      assert.equal(response.requestId, start.requestId);
+      assert.equal(response.status, 200);
+      assert.equal(response.attempts, 1);
+      assert.equal(typeof response.durationMs, 'number');
+    });
+
+    it('emits retry events and a single error with errorType', async () => {
+      const client = new PrintApiClient({
+        apiKey: 'key',
+        accountId: '123',
+        retry: { maxAttempts: 3, baseDelayMs: 1, jitter: false },
+        fetch: async () => mockResponse({ error: 'Service Unavailable', message: 'down' }, { status: 503, ok: false })
+      });
+      const events = recordEvents(client);
+
+      await assert.rejects(() => client.getCatalog());
+      assert.deepEqual(events.map(([name]) => name), ['start', 'retry', 'retry', 'error']);
+      assert.deepEqual(events.slice(1, 3).map(([, e]) => e.attempt), [1, 2]);
+      const error = events[3][1];
+      assert.equal(error.operation, 'getCatalog');
+      assert.equal(error.status, 503);
+      assert.equal(error.errorType, 'Service Unavailable');
+      assert.equal(error.attempts, 3);
+      assert.ok(error.error instanceof PrintApiError);
+    });
+
+    it('emits error for network failures with status 0', async () => {
+      const client = new PrintApiClient({
+        apiKey: 'key',
+        accountId: '123',
+        fetch: async () => { throw new Error('ECONNREFUSED'); }
+      });
+      const events = recordEvents(client);
+
+      await assert.rejects(() => client.cancelOrder('ATEST-0000001'));
+      const [, error] = events.at(-1);
+      assert.equal(error.operation, 'cancelOrder');
+      assert.equal(error.status, 0);
+      assert.equal(error.errorType, 'NetworkError');
+    });
+
+    it('gives each call its own requestId', async () => {
+      const client = new PrintApiClient({ apiKey: 'key', accountId: '123', fetch: async () => mockResponse({ catalog: [] }) });
+      const ids = [];
+      client.on('start', ({ requestId }) => ids.push(requestId));
+
+      await client.getCatalog();
+      await client.getCatalog();
+      assert.equal(ids.length, 2);
+      assert.notEqual(ids[0], ids[1]);
+    });
+
+    it('ignores listener exceptions and supports off()', async () => {
+      const client = new PrintApiClient({ apiKey: 'key', accountId: '123', fetch: async () => mockResponse({ catalog: [] }) });
+      let calls = 0;
+      const listener = () => { calls++; throw new Error('listener bug'); };
+      client.on('response', listener);
+
+      await client.getCatalog();
+      client.off('response', listener);
+      await client.getCatalog();
+      assert.equal(calls, 1);
+    });
+
+    it('throws if listener is not a function', () => {
+      const client = new PrintApiClient({ apiKey: 'key', accountId: '123' });
+      assert.throws(() => client.on('response', null), { message: 'listener must be a function' });
+    });
+  });
+
+  // -----------------------------------------------------------------------
+  // Circuit breaker
+  // -----------------------------------------------------------------------
+
+  describe('circuit breaker', () => {
+    const failingFetch = () => mock.fn(async () =>
+      mockResponse({ error: 'Internal Server Error', message: 'boom' }, { status: 500, ok: false })
+    );
+
+    it('fails fast with CircuitOpenError once the circuit opens', async () => {
+      const customFetch = failingFetch();
+      const client = new PrintApiClient({
+        apiKey: 'key',
+        accountId: '123',
+        fetch: customFetch,
+        circuitBreaker: { failureThreshold: 2, cooldownMs: 60000 }
+      });
+
+      await assert.rejects(() => client.createOrder(realOrderPayload()), { status: 500 });
+      await assert.rejects(() => client.createOrder(realOrderPayload()), { status: 500 });
+      await assert.rejects(
+        () => client.createOrder(realOrderPayload()),
+        (err) => {
+          assert.ok(err instanceof PrintApiError);
+          assert.equal(err.status, 0);
+          assert.equal(err.errorType, 'CircuitOpenError');
+          assert.ok(err.details.retryInMs > 0);
+          return true;
+        }
+      );
+      assert.equal(customFetch.mock.calls.length, 2);
+    });
+
+    it('does not retry while the circuit is open', async () => {
+      const customFetch = failingFetch();
+      const client = new PrintApiClient({
+        apiKey: 'key',
+        accountId: '123',
+        fetch: customFetch,
+        retry: { maxAttempts: 5, baseDelayMs: 1, jitter: false },
+        circuitBreaker: { failureThreshold: 2, cooldownMs: 60000 }
+      });
+
+      await assert.rejects(() => client.getCatalog(), { errorType: 'CircuitOpenError', attempts: 3 });
+      assert.equal(customFetch.mock.calls.length, 2);
+    });
+
+    it('emits circuit events on state changes', async () => {
+      let healthy = false;
+      const client = new PrintApiClient({
+        apiKey: 'key',
+        accountId: '123',
+        fetch: async () => (healthy
+          ? mockResponse({ catalog: [] })
+          : mockResponse({ error: 'Bad Gateway', message: 'upstream' }, { status: 502, ok: false })),
+        circuitBreaker: { failureThreshold: 1, cooldownMs: 0 }
+      });
+      const changes = [];
+      client.on('circuit', ({ state, previousState }) => changes.push(`${previousState}->${state}`));
+
+      await assert.rejects(() => client.getCatalog());
+      healthy = true;
+      await client.getCatalog();
+      assert.deepEqual(changes, ['closed->open', 'open->half-open', 'half-open->closed']);
+    });
+
+    it('accepts a shared CircuitBreaker instance', async () => {
+      const breaker = new CircuitBreaker({ failureThreshold: 1, cooldownMs: 60000 });
+      const a = new PrintApiClient({ apiKey: 'key', accountId: '123', fetch: failingFetch(), circuitBreaker: breaker });
+      const b = new PrintApiClient({ apiKey: 'key', accountId: '456', fetch: failingFetch(), circuitBreaker: breaker });
+
+      await assert.rejects(() => a.getCatalog(), { status: 500 });
+      await assert.rejects(() => b.getCatalog(), { errorType: 'CircuitOpenError' });
+      assert.equal(breaker.state, 'open');
+    });
+
+    it('does not count 4xx responses or aborts as failures', async () => {
+      const breaker = new CircuitBreaker({ failureThreshold: 1 });
+      const client = new PrintApiClient({
+        apiKey: 'key',
+        accountId: '123',
+        fetch: async () => mockResponse({ error: 'Not Found', message: 'Order not found' }, { status: 404, ok: false }),
+        circuitBreaker: breaker
+      });
+
+      await assert.rejects(() => client.getOrderStatus('NOPE'), { status: 404 });
+      await assert.rejects(() => client.getOrderStatus('NOPE', { signal: AbortSignal.abort() }), { errorType: 'AbortError' });
+      assert.equal(breaker.state, 'closed');
+    });
+  });
+
+  // -----------------------------------------------------------------------
+  // Duplicate orders
+  // -----------------------------------------------------------------------
+
+  describe('duplicate orders', () => {
+    const conflict = () => mockResponse(
+      {
+        error: 'Conflict',
+        message: 'Duplicate Customer Order Number Not Allowed - Invalid Field: sourceReferenceOrderNumber',
+        existingOrderNumber: 'ATEST-0000001'
+      },
+      { status: 409, ok: false }
+    );
+    const existingStatus = {
+      acOrderNumber: 'ATEST-0000001',
+      sourceReferenceOrderNumber: 'YOURORDERNUMBER1234',
+      orderStatus: 'Pending',
+      orderDate: '2024-01-15T10:30:00Z',
+      expectedShipDateEstimate: '2024-01-18'
+    };
+
+    it('returns the existing order on 409 when onDuplicate is return-existing', async () => {
+      const customFetch = mock.fn(async (url) => {
+        const parsed = new URL(url);
+        if (parsed.pathname.endsWith('/order')) return conflict();
+        assert.equal(parsed.pathname, '/api/v1/orderstatus');
+        assert.equal(parsed.searchParams.get('orderNumber'), 'ATEST-0000001');
+        return mockResponse(existingStatus);
+      });
+
+      const client = new PrintApiClient({ apiKey: 'key', accountId: '123', fetch: customFetch });
+      const result = await client.createOrder(realOrderPayload(), { onDuplicate: 'return-existing' });
+      assert.deepEqual(result, { ...existingStatus, duplicate: true });
+      assert.equal(customFetch.mock.calls.length, 2);
+    });
+
+    it('still throws on 409 by default', async () => {
+      const client = new PrintApiClient({ apiKey: 'key', accountId: '123', fetch: async () => conflict() });
+      await assert.rejects(
+        () => client.createOrder(realOrderPayload()),
+        { status: 409, details: { existingOrderNumber: 'ATEST-0000001' } }
+      );
+    });
+
+    it('throws a 409 without existingOrderNumber', async () => {
+      const client = new PrintApiClient({
+        apiKey: 'key',
+        accountId: '123',
+        fetch: async () => mockResponse({ error: 'Conflict', message: 'Conflict' }, { status: 409, ok: false })
+      });
+      await assert.rejects(
+        () => client.createOrder(realOrderPayload(), { onDuplicate: 'return-existing' }),
+        { status: 409 }
+      );
+    });
+
+    it('retries createOrder and resolves the duplicate after a timeout', async () => {
+      // First attempt reaches the server but the response never arrives;
+      // the retry is then rejected as a duplicate of that first submission.
+      let orderCalls = 0;
+      const customFetch = mock.fn(async (url) => {
+        if (new URL(url).pathname.endsWith('/orderstatus')) return mockResponse(existingStatus);
+        orderCalls++;
+        return orderCalls === 1 ? new Promise(() => {}) : conflict();
+      });
+
+      const client = new PrintApiClient({
+        apiKey: 'key',
+        accountId: '123',
+        fetch: customFetch,
+        timeoutMs: 10,
+        retry: { baseDelayMs: 1, jitter: false }
+      });
+      const result = await client.createOrder(realOrderPayload(), { onDuplicate: 'return-existing' });
+      assert.equal(result.duplicate, true);
+      assert.equal(result.acOrderNumber, 'ATEST-0000001');
+      assert.equal(orderCalls, 2);
+    });
+
+    it('propagates errors from the status lookup', async () => {
+      const client = new PrintApiClient({
+        apiKey: 'key',
+        accountId: '123',
+        fetch: async (url) => (new URL(url).pathname.endsWith('/order')
+          ? conflict()
+          : mockResponse({ error: 'Not Found', message: 'Order not found' }, { status: 404, ok: false }))
+      });
+      await assert.rejects(
+        () => client.createOrder(realOrderPayload(), { onDuplicate: 'return-existing' }),
+        { status: 404 }
+      );
+    });
+
+    it('rejects an unknown onDuplicate value without calling fetch', async () => {
+      const customFetch = mock.fn(async () => mockResponse({}));
+      const client = new PrintApiClient({ apiKey: 'key', accountId: '123', fetch: customFetch });
+      await assert.rejects(
+        () => client.createOrder(realOrderPayload(), { onDuplicate: 'ignore' }),
+        { message: 'onDuplicate must be "throw" or "return-existing"' }
+      );
+      assert.equal(customFetch.mock.calls.length, 0);
+    });
+  });
+
+  // -----------------------------------------------------------------------
+  // Catalog validation
+  // -----------------------------------------------------------------------
+
+  describe('catalog validation', () => {
+    const catalog = [
+      { sku: 'TAB_2D_16P', productType: 'Newsletter', staple: true, flat: false, customSize: false },
+      {
+        sku: 'LFP_CS', productType: 'LFP', staple: false, flat: false, customSize: true,
+        longEdgeMinDimension: 12, longEdgeMaxDimension: 48,
+        shortEdgeMinDimension: 8, shortEdgeMaxDimension: 36
+      }
+    ];
+
+    it('rejects an unknown SKU from a supplied catalog without calling fetch', async () => {
+      const customFetch = mock.fn(async () => mockResponse({}));
+      const client = new PrintApiClient({ apiKey: 'key', accountId: '123', fetch: customFetch });
+      await assert.rejects(
+        () => client.checkPricing([{ sku: 'TAB_2D_99P', productType: 'Newsletter', quantity: 1 }], { catalog }),
+        { name: 'ValidationError', path: 'orderItems[0].sku', code: 'unknown_sku' }
+      );
+      assert.equal(customFetch.mock.calls.length, 0);
+    });
+
+    it('fetches the catalog first when catalog is true', async () => {
+      const customFetch = mock.fn(async () => mockResponse({ catalog }));
+      const client = new PrintApiClient({ apiKey: 'key', accountId: '123', fetch: customFetch });
+      await assert.rejects(
+        () => client.createOrder(realOrderPayload({
+          orderItems: [{
+            sku: 'LFP_CS', productType: 'LFP', quantity: 1, longEdge: 60, shortEdge: 24,
+            files: ['https://example.com/banner.pdf']
+          }]
+        }), { catalog: true }),
+        {
+          name: 'ValidationError',
+          path: 'orderItems[0].longEdge',
+          message: 'orderItems[0].longEdge must be between 12 and 48 inches for LFP_CS'
+        }
+      );
+      assert.equal(customFetch.mock.calls.length, 1);
+      assert.equal(new URL(customFetch.mock.calls[0].arguments[0]).pathname, '/api/v1/catalog');
+    });
+
+    it('sends the request when the items match the catalog', async () => {
+      const customFetch = mock.fn(async () => mockResponse({ acOrderNumber: 'ATEST-0000001' }));
+      const client = new PrintApiClient({ apiKey: 'key', accountId: '123', fetch: customFetch });
+      await client.createOrder(realOrderPayload(), { catalog });
+      assert.equal(customFetch.mock.calls.length, 1);
+    });
+
+    it('does not fetch the catalog when the structural checks fail', async () => {
+      const customFetch = mock.fn(async () => mockResponse({ catalog }));
+      const client = new PrintApiClient({ apiKey: 'key', accountId: '123', fetch: customFetch });
+      await assert.rejects(
+        () => client.checkPricing([], { catalog: true }),
+        { name: 'ValidationError', path: 'orderItems' }
+      );
+      assert.equal(customFetch.mock.calls.length, 0);
+    });
+
+    it('rejects an invalid catalog option', async () => {
+      const customFetch = mock.fn(async () => mockResponse({}));
+      const client = new PrintApiClient({ apiKey: 'key', accountId: '123', fetch: customFetch });
+      await assert.rejects(
+        () => client.checkPricing([{ sku: 'TAB_2D_16P', productType: 'Newsletter', quantity: 1 }], { catalog: 'yes' }),
+        { message: 'catalog must be an array of catalog products, a Catalog or true' }
+      );
+      assert.equal(customFetch.mock.calls.length, 0);
+    });
+  });
+
+  // -----------------------------------------------------------------------
+  // Normalization
+  // -----------------------------------------------------------------------
+
+  describe('normalization', () => {
+    const messyPayload = () => realOrderPayload({
+      shippingCustomer: {
+        ...realOrderPayload().shippingCustomer,
+        state: 'California',
+        zip: '123456789',
+        phone: '(555) 123-4567',
+        email: 'John.Doe@Acme.com'
+      }
+    });
+
+    it('rejects unnormalized customers by default', async () => {
+      const customFetch = mock.fn(async () => mockResponse({}));
+      const client = new PrintApiClient({ apiKey: 'key', accountId: '123', fetch: customFetch });
+      await assert.rejects(() => client.createOrder(messyPayload()), { path: 'shippingCustomer.state' });
+      assert.equal(customFetch.mock.calls.length, 0);
+    });
+
+    it('sends the normalized customer and reports the changes', async () => {
+      const customFetch = mock.fn(async () => mockResponse({ acOrderNumber: 'ATEST-0000001' }));
+      const client = new PrintApiClient({ apiKey: 'key', accountId: '123', fetch: customFetch });
+      const onChanges = mock.fn();
+      await client.createOrder(messyPayload(), { normalize: onChanges });
+
+      const body = JSON.parse(customFetch.mock.calls[0].arguments[1].body);
+      assert.equal(body.shippingCustomer.state, 'CA');
+      assert.equal(body.shippingCustomer.zip, '12345-6789');
+      assert.equal(body.shippingCustomer.phone, '555-123-4567');
+      assert.equal(body.shippingCustomer.email, 'john.doe@acme.com');
+      assert.deepEqual(onChanges.mock.calls[0].arguments[0].map((c) => c.path), [
+        'shippingCustomer.email',
+        'shippingCustomer.phone',
+        'shippingCustomer.state',
+        'shippingCustomer.zip'
+      ]);
+    });
+
+    it('rejects an invalid normalize option', async () => {
+      const client = new PrintApiClient({ apiKey: 'key', accountId: '123', fetch: mock.fn() });
+      await assert.rejects(
+        () => client.createOrder(realOrderPayload(), { normalize: 'yes' }),
+        { message: 'normalize must be a boolean or a function' }
+      );
+    });
+  });
+
+  // -----------------------------------------------------------------------
+  // Field limits
+  // -----------------------------------------------------------------------
+
+  describe('field limits', () => {
+    const longAddress = () => realOrderPayload({
+      shippingCustomer: { ...realOrderPayload().shippingCustomer, address1: `${'1'.repeat(36)} Main St`, company: 'Acme 🚀' }
+    });
+
+    it('rejects values over the client fieldLimits and, with printableOnly, unprintable characters', async () => {
+      const customFetch = mock.fn(async () => mockResponse({}));
+      const client = new PrintApiClient({
+        apiKey: 'key', accountId: '123', fetch: customFetch, fieldLimits: { address1: 35 }, printableOnly: true
+      });
+      await assert.rejects(() => client.createOrder(longAddress()), (err) => {
+        assert.equal(err.name, 'ValidationError');
+        assert.deepEqual(err.issues.map((i) => [i.path, i.code]), [
+          ['shippingCustomer.company', 'invalid_format'],
+          ['shippingCustomer.address1', 'out_of_range']
+        ]);
+        return true;
+      });
+      assert.equal(customFetch.mock.calls.length, 0);
+    });
+
+    it('sends long values and unprintable characters by default', async () => {
+      const customFetch = mock.fn(async () => mockResponse({ acOrderNumber: 'ATEST-0000001' }));
+      const client = new PrintApiClient({ apiKey: 'key', accountId: '123', fetch: customFetch });
+      await client.createOrder(longAddress());
+      const sent = JSON.parse(customFetch.mock.calls[0].arguments[1].body).shippingCustomer;
+      assert.equal(sent.address1, `${'1'.repeat(36)} Main St`);
+      assert.equal(sent.company, 'Acme 🚀');
+    });
+
+    it('sanitizes instead of rejecting and reports the changes', async () => {
+      const customFetch = mock.fn(async () => mockResponse({ acOrderNumber: 'ATEST-0000001' }));
+      const client = new PrintApiClient({
+        apiKey: 'key', accountId: '123', fetch: customFetch, fieldLimits: { address1: 35 }
+      });
+      const onChanges = mock.fn();
+      await client.createOrder(longAddress(), { sanitize: onChanges });
+
+      const body = JSON.parse(customFetch.mock.calls[0].arguments[1].body);
+      assert.equal(body.shippingCustomer.address1, `${'1'.repeat(35)}`);
+      assert.equal(body.shippingCustomer.company, 'Acme');
+      assert.deepEqual(onChanges.mock.calls[0].arguments[0].map((c) => c.path), [
+        'shippingCustomer.company',
+        'shippingCustomer.address1'
+      ]);
+    });
+
+    it('rejects invalid fieldLimits and sanitize options', async () => {
+      assert.throws(
+        () => new PrintApiClient({ apiKey: 'key', accountId: '123', fieldLimits: { address1: -1 } }),
+        { message: 'fieldLimits.address1 must be a positive integer or null' }
+      );
+      assert.throws(
+        () => new PrintApiClient({ apiKey: 'key', accountId: '123', printableOnly: 'yes' }),
+        { message: 'printableOnly must be a boolean' }
+      );
+      const client = new PrintApiClient({ apiKey: 'key', accountId: '123', fetch: mock.fn() });
+      await assert.rejects(
+        () => client.createOrder(realOrderPayload(), { sanitize: 'yes' }),
+        { message: 'sanitize must be a boolean or a function' }
+      );
+    });
+  });
+
+  // -----------------------------------------------------------------------
+  // Order datetime
+  // -----------------------------------------------------------------------
+
+  describe('order datetime', () => {
+    const sentBody = (customFetch) => JSON.parse(customFetch.mock.calls[0].arguments[1].body);
+
+    it('serializes a Date orderDatetime as an ISO string', async () => {
+      const customFetch = mock.fn(async () => mockResponse({ acOrderNumber: 'ATEST-0000001' }));
+      const client = new PrintApiClient({ apiKey: 'key', accountId: '123', fetch: customFetch });
+      await client.createOrder(realOrderPayload({ orderDatetime: new Date('2024-01-15T10:30:00Z') }));
+      assert.equal(sentBody(customFetch).orderDatetime, '2024-01-15T10:30:00.000Z');
+    });
+
+    it('defaults a missing orderDatetime to now when defaultOrderDatetime is set', async () => {
+      const customFetch = mock.fn(async () => mockResponse({ acOrderNumber: 'ATEST-0000001' }));
+      const client = new PrintApiClient({ apiKey: 'key', accountId: '123', fetch: customFetch });
+      const before = Date.now();
+      await client.createOrder(realOrderPayload({ orderDatetime: undefined }), { defaultOrderDatetime: true });
+      const sent = Date.parse(sentBody(customFetch).orderDatetime);
+      assert.ok(sent >= before && sent <= Date.now());
+    });
+
+    it('rejects a missing orderDatetime without defaultOrderDatetime', async () => {
+      const customFetch = mock.fn(async () => mockResponse({}));
+      const client = new PrintApiClient({ apiKey: 'key', accountId: '123', fetch: customFetch });
+      await assert.rejects(
+        () => client.createOrder(realOrderPayload({ orderDatetime: undefined })),
+        { name: 'ValidationError', path: 'orderDatetime' }
+      );
+      assert.equal(customFetch.mock.calls.length, 0);
+    });
+
+    it('logs a warning for a far-future orderDatetime and still sends the order', async () => {
+      const customFetch = mock.fn(async () => mockResponse({ acOrderNumber: 'ATEST-0000001' }));
+      const logger = { warn: mock.fn() };
+      const client = new PrintApiClient({ apiKey: 'key', accountId: '123', fetch: customFetch, logger });
+      await client.createOrder(realOrderPayload({ orderDatetime: '2999-01-01T00:00:00Z' }));
+      assert.equal(customFetch.mock.calls.length, 1);
+      assert.deepEqual(logger.warn.mock.calls[0].arguments, [
+        'PrintAPI createOrder: orderDatetime is more than 24 hours in the future',
+        { path: 'orderDatetime', code: 'far_future' }
+      ]);
+    });
+
+    it('logs a catalog entry that disagrees with its SKU and still sends the pricing request', async () => {
+      const customFetch = mock.fn(async () => mockResponse({ orderItems: [] }));
+      const logger = { warn: mock.fn() };
+      const client = new PrintApiClient({ apiKey: 'key', accountId: '123', fetch: customFetch, logger });
+      await client.checkPricing([{ sku: 'LTR_2D', productType: 'Flyer', quantity: 1 }], {
+        catalog: [{ sku: 'LTR_2D', sizingType: 'TAB', productType: 'Flyer', duplex: true }]
+      });
+      assert.equal(customFetch.mock.calls.length, 1);
+      assert.deepEqual(logger.warn.mock.calls[0].arguments, [
+        'PrintAPI checkPricing: orderItems[0].sku does not match its catalog entry (sizingType must be "LTR" for LTR_2D, not "TAB")',
+        { path: 'orderItems[0].sku', code: 'catalog_mismatch' }
+      ]);
+    });
+  });
+
+  // -----------------------------------------------------------------------
+  // Strict mode
+  // -----------------------------------------------------------------------
+
+  describe('strict mode', () => {
+    const typoPayload = () => realOrderPayload({
+      orderItems: [{ ...realOrderPayload().orderItems[0], stapled: true }]
+    });
+
+    it('rejects unknown fields when strict is true', async () => {
+      const customFetch = mock.fn(async () => mockResponse({}));
+      const client = new PrintApiClient({ apiKey: 'key', accountId: '123', fetch: customFetch, strict: true });
+      await assert.rejects(() => client.createOrder(typoPayload()), {
+        name: 'ValidationError',
+        code: 'unknown_key',
+        message: 'orderItems[0].stapled is not a known field (did you mean "staple"?)'
+      });
+      assert.equal(customFetch.mock.calls.length, 0);
+    });
+
+    it('logs unknown fields and sends the request in "warn" mode', async () => {
+      const customFetch = mock.fn(async () => mockResponse({ grandTotal: 1 }));
+      const logger = { warn: mock.fn() };
+      const client = new PrintApiClient({ apiKey: 'key', accountId: '123', fetch: customFetch, logger, strict: 'warn' });
+      await client.checkPricing([{ sku: 'TAB_2D_16P', productType: 'Newsletter', quantity: 1, stapled: true }]);
+      assert.equal(customFetch.mock.calls.length, 1);
+      assert.equal(
+        logger.warn.mock.calls[0].arguments[0],
+        'PrintAPI checkPricing: orderItems[0].stapled is not a known field (did you mean "staple"?)'
+      );
+    });
+
+    it('lets a call override the client-wide setting', async () => {
+      const customFetch = mock.fn(async () => mockResponse({ acOrderNumber: 'ATEST-0000001' }));
+      const client = new PrintApiClient({ apiKey: 'key', accountId: '123', fetch: customFetch, strict: true });
+      await client.createOrder(typoPayload(), { strict: false });
+      assert.equal(customFetch.mock.calls.length, 1);
+    });
+
+    it('rejects an invalid strict option', () => {
+      assert.throws(
+        () => new PrintApiClient({ apiKey: 'key', accountId: '123', strict: 'error' }),
+        { message: 'strict must be true, false or "warn"' }
+      );
+    });
+  });
+
+  // -----------------------------------------------------------------------
+  // File preflight
+  // -----------------------------------------------------------------------
+
+  describe('file preflight', () => {
+    const fileFetch = (fileResponse) => mock.fn(async (url) => {
+      if (String(url).startsWith('https://example.com/')) return fileResponse();
+      return mockResponse({ acOrderNumber: 'ATEST-0000001' });
+    });
+
+    it('checks files before submitting and reports the results', async () => {
+      const customFetch = fileFetch(() => new Response(null, {
+        status: 200,
+        headers: { 'Content-Type': 'application/pdf', 'Content-Length': '1024' }
+      }));
+      const client = new PrintApiClient({ apiKey: 'key', accountId: '123', fetch: customFetch });
+      const onReport = mock.fn();
+      await client.createOrder(realOrderPayload(), { preflight: { onReport } });
+
+      assert.equal(customFetch.mock.calls.length, 2);
+      assert.equal(customFetch.mock.calls[0].arguments[0], 'https://example.com/test-newsletter.pdf');
+      assert.equal(customFetch.mock.calls[0].arguments[1].headers, undefined);
+      const report = onReport.mock.calls[0].arguments[0];
+      assert.equal(report.valid, true);
+      assert.equal(report.files[0].size, 1024);
+    });
+
+    it('rejects the order without submitting when a file fails', async () => {
+      const customFetch = fileFetch(() => new Response(null, { status: 404 }));
+      const client = new PrintApiClient({ apiKey: 'key', accountId: '123', fetch: customFetch });
+      await assert.rejects(() => client.createOrder(realOrderPayload(), { preflight: true }), {
+        name: 'ValidationError',
+        path: 'orderItems[0].files[0]',
+        code: 'unreachable',
+        message: 'orderItems[0].files[0] could not be fetched (HTTP 404)'
+      });
+      assert.equal(customFetch.mock.calls.length, 1);
+    });
+
+    it('logs file paths, not URLs', async () => {
+      const customFetch = fileFetch(() => new Response(null, { status: 404 }));
+      const logger = { warn: mock.fn() };
+      const client = new PrintApiClient({ apiKey: 'key', accountId: '123', fetch: customFetch, logger });
+      await assert.rejects(() => client.createOrder(realOrderPayload(), { preflight: true }));
+      assert.equal(logger.warn.mock.calls[0].arguments[0], 'PrintAPI preflight orderItems[0].files[0]: unreachable');
+    });
+
+    it('throws AbortError when the call is aborted during preflight', async () => {
+      const controller = new AbortController();
+      const customFetch = mock.fn((url, { signal }) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(new Error('aborted')));
+        controller.abort();
+      }));
+      const client = new PrintApiClient({ apiKey: 'key', accountId: '123', fetch: customFetch });
+      await assert.rejects(
+        () => client.createOrder(realOrderPayload(), { preflight: true, signal: controller.signal }),
+        { errorType: 'AbortError' }
+      );
+    });
+
+    it('rejects an invalid preflight option', async () => {
+      const client = new PrintApiClient({ apiKey: 'key', accountId: '123', fetch: mock.fn() });
+      await assert.rejects(
+        () => client.createOrder(realOrderPayload(), { preflight: 'yes' }),
+        { message: 'preflight must be a boolean or an options object' }
+      );
+    });
+  });
+
+  describe('PDF inspection', () => {
+    const letterPdf = (pageCount) => {
+      const kids = Array.from({ length: pageCount }, (_, i) => `${i + 3} 0 R`).join(' ');
+      const pages = Array.from({ length: pageCount }, (_, i) =>
+        `${i + 3} 0 obj\n<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] >>\nendobj\n`).join('');
+      return Buffer.from('%PDF-1.4\n1 0 obj\n<< /Type /Catalog /Pages 2 0 R >>\nendobj\n' +
+        `2 0 obj\n<< /Type /Pages /Kids [${kids}] /Count ${pageCount} >>\nendobj\n${pages}` +
+        'trailer\n<< /Root 1 0 R >>\n%%EOF\n', 'latin1');
+    };
+    const fileFetch = (pageCount) => mock.fn(async (url) => {
+      if (String(url).startsWith('https://example.com/')) return new Response(letterPdf(pageCount));
+      return mockResponse({ acOrderNumber: 'ATEST-0000001' });
+    });
+
+    it('submits when the files match the SKU and reports the results', async () => {
+      const customFetch = fileFetch(16);
+      const client = new PrintApiClient({ apiKey: 'key', accountId: '123', fetch: customFetch });
+      const onReport = mock.fn();
+      await client.createOrder(realOrderPayload(), { inspectPdfs: { onReport } });
+
+      assert.equal(customFetch.mock.calls.length, 2);
+      const report = onReport.mock.calls[0].arguments[0];
+      assert.equal(report.valid, true);
+      assert.equal(report.files[0].pageCount, 16);
+    });
+
+    it('rejects the order without submitting when the page count does not match', async () => {
+      const customFetch = fileFetch(12);
+      const client = new PrintApiClient({ apiKey: 'key', accountId: '123', fetch: customFetch });
+      await assert.rejects(() => client.createOrder(realOrderPayload(), { inspectPdfs: true }), {
+        name: 'ValidationError',
+        path: 'orderItems[0].files',
+        code: 'page_count_mismatch',
+        message: 'orderItems[0].files contain 12 pages, but TAB_2D_16P needs 16'
+      });
+      assert.equal(customFetch.mock.calls.length, 1);
+    });
+
+    it('rejects an invalid inspectPdfs option', async () => {
+      const client = new PrintApiClient({ apiKey: 'key', accountId: '123', fetch: mock.fn() });
+      await assert.rejects(
+        () => client.createOrder(realOrderPayload(), { inspectPdfs: 'yes' }),
+        { message: 'inspectPdfs must be a boolean or an options object' }
+      );
+    });
+  });
+
+  describe('catalog cache', () => {
+    const catalogFetch = () => {
+      let version = 0;
+      return mock.fn(async () => {
+        version++;
+        return mockResponse({ catalog: [{ sku: 'TAB_2D_16P', updatedAt: `2024-01-0${version}T00:00:00Z` }] });
+      });
+    };
+
+    it('fetches the catalog once while it is fresh', async () => {
+      const customFetch = catalogFetch();
+      const client = new PrintApiClient({ apiKey: 'key', accountId: '123', fetch: customFetch, catalogCache: true });
+      const first = await client.getCatalog();
+      const second = await client.getCatalog();
+      assert.deepEqual(second, first);
+      assert.equal(customFetch.mock.calls.length, 1);
+    });
+
+    it('is used by catalog validation', async () => {
+      const customFetch = catalogFetch();
+      const client = new PrintApiClient({ apiKey: 'key', accountId: '123', fetch: customFetch, catalogCache: { ttlMs: 60000 } });
+      await client.getCatalog();
+      await assert.rejects(
+        () => client.checkPricing([{ sku: 'LFP_36x24', productType: 'LFP', quantity: 1 }], { catalog: true }),
+        { code: 'unknown_sku' }
+      );
+      assert.equal(customFetch.mock.calls.length, 1);
+    });
+
+    it('refetches with forceRefresh and emits catalogChange when the catalog changed', async () => {
+      const customFetch = catalogFetch();
+      const client = new PrintApiClient({ apiKey: 'key', accountId: '123', fetch: customFetch, catalogCache: true });
+      const onChange = mock.fn();
+      client.on('catalogChange', onChange);
+
+      await client.getCatalog();
+      const refreshed = await client.getCatalog({ forceRefresh: true });
+      assert.equal(customFetch.mock.calls.length, 2);
+      assert.equal(refreshed.catalog[0].updatedAt, '2024-01-02T00:00:00Z');
+      assert.equal(onChange.mock.calls.length, 1);
+      assert.equal(onChange.mock.calls[0].arguments[0].previous[0].updatedAt, '2024-01-01T00:00:00Z');
+      assert.deepEqual(onChange.mock.calls[0].arguments[0].diff.changed[0].fields, [
+        { field: 'updatedAt', from: '2024-01-01T00:00:00Z', to: '2024-01-02T00:00:00Z' }
+      ]);
+    });
+
+    it('watchSkus reports watched SKUs that a refresh removed or changed', async () => {
+      const catalogs = [
+        [{ sku: 'TAB_2D_16P', staple: true }, { sku: 'LTR_2D', duplex: true }],
+        [{ sku: 'TAB_2D_16P', staple: false }, { sku: 'LTR_2D', duplex: true, shortDescription: 'Flyer' }],
+        []
+      ];
+      const customFetch = mock.fn(async () => mockResponse({ catalog: catalogs.shift() }));
+      const client = new PrintApiClient({ apiKey: 'key', accountId: '123', fetch: customFetch, catalogCache: true });
+      const listener = mock.fn();
+      const unwatch = client.watchSkus(() => ['LTR_2D', 'TAB_2D_16P'], listener);
+
+      await client.getCatalog();
+      await client.getCatalog({ forceRefresh: true });
+      assert.equal(listener.mock.calls.length, 1);
+      const [affected, diff] = listener.mock.calls[0].arguments;
+      assert.deepEqual(affected, [
+        { sku: 'TAB_2D_16P', reason: 'capabilities_changed', fields: [{ field: 'staple', from: true, to: false }] }
+      ]);
+      assert.equal(diff.changed.length, 2);
+
+      unwatch();
+      await client.getCatalog({ forceRefresh: true });
+      assert.equal(listener.mock.calls.length, 1);
+    });
+
+    it('watchSkus rejects invalid arguments and clients without a catalogCache', () => {
+      assert.throws(() => new PrintApiClient({ apiKey: 'key', accountId: '123' }).watchSkus([], () => {}), {
+        message: 'watchSkus requires the client to have a catalogCache'
+      });
+      const client = new PrintApiClient({ apiKey: 'key', accountId: '123', catalogCache: true });
+      const message = 'skus must be an iterable of SKUs or a function returning one';
+      assert.throws(() => client.watchSkus('TAB_2D_16P', () => {}), { message });
+      assert.throws(() => client.watchSkus(null, () => {}), { message });
+      assert.throws(() => client.watchSkus([], null), { message: 'listener must be a function' });
+    });
+
+    it('shares a CatalogCache between clients per account', async () => {
+      const cache = new CatalogCache();
+      const customFetch = catalogFetch();
+      const a = new PrintApiClient({ apiKey: 'key', accountId: '123', fetch: customFetch, catalogCache: cache });
+      const b = new PrintApiClient({ apiKey: 'key', accountId: '123', fetch: customFetch, catalogCache: cache });
+      const c = new PrintApiClient({ apiKey: 'key', accountId: '456', fetch: customFetch, catalogCache: cache });
+      await a.getCatalog();
+      await b.getCatalog();
+      await c.getCatalog();
+      assert.equal(customFetch.mock.calls.length, 2);
+    });
+
+    it('keeps a shared cold load running when the caller that started it aborts', async () => {
+      let respond;
+      const customFetch = mock.fn(() => new Promise((resolve) => { respond = resolve; }));
+      const client = new PrintApiClient({ apiKey: 'key', accountId: '123', fetch: customFetch, catalogCache: true });
+      const controller = new AbortController();
+
+      const first = client.getCatalog({ signal: controller.signal });
+      const second = client.getCatalog();
+      await new Promise((resolve) => setImmediate(resolve));
+      controller.abort();
+      await assert.rejects(first, { errorType: 'AbortError' });
+
+      respond(mockResponse({ catalog: [{ sku: 'TAB_2D_16P' }] }));
+      assert.deepEqual(await second, { catalog: [{ sku: 'TAB_2D_16P' }] });
+      assert.equal(customFetch.mock.calls.length, 1);
+    });
+
+    it('returns the fetched catalog and logs a warning when the cache cannot be written', async () => {
+      const warn = mock.fn();
+      const storage = { get: () => undefined, set: () => { throw new Error('ENOSPC: no space left on device'); } };
+      const client = new PrintApiClient({
+        apiKey: 'key', accountId: '123', fetch: catalogFetch(), logger: { warn }, catalogCache: { storage }
+      });
+      assert.equal((await client.getCatalog()).catalog[0].sku, 'TAB_2D_16P');
+      assert.equal(warn.mock.calls[0].arguments[0], 'PrintAPI catalog cache write failed: ENOSPC: no space left on device');
+    });
+
+    it('loadCatalog wraps the cached catalog in a Catalog', async () => {
+      const customFetch = catalogFetch();
+      const client = new PrintApiClient({ apiKey: 'key', accountId: '123', fetch: customFetch, catalogCache: true });
+      const catalog = await client.loadCatalog();
+      assert.ok(catalog instanceof Catalog);
+      assert.equal(catalog.findBySku('TAB_2D_16P').updatedAt, '2024-01-01T00:00:00Z');
+      await client.loadCatalog();
+      assert.equal(customFetch.mock.calls.length, 1);
+    });
+
+    it('always fetches without a catalogCache', async () => {
+      const customFetch = catalogFetch();
+      const client = new PrintApiClient({ apiKey: 'key', accountId: '123', fetch: customFetch });
+      await client.getCatalog();
+      await client.getCatalog();
+      assert.equal(customFetch.mock.calls.length, 2);
+    });
+  });
+
+  describe('catalog snapshot', () => {
+    const DAY = 24 * 60 * 60 * 1000;
+    const products = [{ sku: 'TAB_2D_16P', sizingType: 'TAB', productType: 'Newsletter', staple: true }];
+    const snapshotClient = (snapshot, options = {}) => {
+      const warnings = [];
+      const customFetch = mock.fn(async () => mockResponse({ catalog: [] }));
+      const client = new PrintApiClient({
+        apiKey: 'key',
+        accountId: '123',
+        fetch: customFetch,
+        logger: { warn: (message, meta) => warnings.push([message, meta]) },
+        catalogSnapshot: snapshot,
+        ...options
+      });
+      return { client, customFetch, warnings };
+    };
+
+    it('serves getCatalog, loadCatalog and catalog validation without a request', async () => {
+      const { client, customFetch, warnings } = snapshotClient(new CatalogSnapshot({ catalog: products }));
+      assert.deepEqual(await client.getCatalog(), { catalog: products });
+      assert.equal((await client.loadCatalog()).findBySku('TAB_2D_16P').staple, true);
+      await assert.rejects(
+        () => client.checkPricing([{ sku: 'LTR_2D', productType: 'Flyer', quantity: 1 }], { catalog: true }),
+        { code: 'unknown_sku' }
+      );
+      assert.equal(customFetch.mock.calls.length, 0);
+      assert.deepEqual(warnings, []);
+    });
+
+    it('gives each getCatalog caller its own copy of the snapshot products', async () => {
+      const snapshot = new CatalogSnapshot({ catalog: structuredClone(products) });
+      const { client } = snapshotClient(snapshot);
+      const first = await client.getCatalog();
+      first.catalog[0].staple = 'changed';
+      first.catalog.push({ sku: 'EXTRA' });
+      assert.deepEqual(await client.getCatalog(), { catalog: products });
+      assert.deepEqual(snapshot.toJSON().catalog, products);
+    });
+
+    it('warns and emits catalogSnapshotStale once when the snapshot is older than catalogSnapshotMaxAgeMs', async () => {
+      const fetchedAt = new Date(Date.now() - 3 * DAY);
+      const { client, warnings } = snapshotClient(new CatalogSnapshot({ catalog: products, fetchedAt }), {
+        catalogSnapshotMaxAgeMs: 2 * DAY
+      });
+      const onStale = mock.fn();
+      client.on('catalogSnapshotStale', onStale);
+      await client.getCatalog();
+      await client.getCatalog();
+      assert.deepEqual(warnings, [[
+        'PrintAPI catalog snapshot is 72 hours old',
+        { fetchedAt: fetchedAt.toISOString(), maxAgeMs: 2 * DAY }
+      ]]);
+      assert.equal(onStale.mock.calls.length, 1);
+      const { ageMs, ...stale } = onStale.mock.calls[0].arguments[0];
+      assert.deepEqual(stale, { fetchedAt: fetchedAt.toISOString(), maxAgeMs: 2 * DAY });
+      assert.ok(ageMs >= 3 * DAY && ageMs < 3 * DAY + 60000);
+
+      const fresh = snapshotClient(new CatalogSnapshot({ catalog: products, fetchedAt }));
+      await fresh.client.getCatalog();
+      assert.deepEqual(fresh.warnings, []);
+    });
+
+    it('calls the API with forceRefresh', async () => {
+      const { client, customFetch } = snapshotClient(new CatalogSnapshot({ catalog: products }));
+      assert.deepEqual(await client.getCatalog({ forceRefresh: true }), { catalog: [] });
+      assert.equal(customFetch.mock.calls.length, 1);
+    });
+
+    it('exportCatalogSnapshot saves the live catalog for an offline client', async () => {
+      const dir = await mkdtemp(join(tmpdir(), 'printapi-snapshot-'));
+      try {
+        const path = join(dir, 'catalog.json');
+        const customFetch = mock.fn(async () => mockResponse({ catalog: products }));
+        const online = new PrintApiClient({ apiKey: 'key', accountId: '123', fetch: customFetch });
+        const saved = await online.exportCatalogSnapshot(path);
+        assert.deepEqual(saved.catalog.products, products);
+
+        const { client, customFetch: offlineFetch } = snapshotClient(await CatalogSnapshot.load(path));
+        assert.deepEqual(await client.getCatalog(), { catalog: products });
+        assert.equal(offlineFetch.mock.calls.length, 0);
+        await assert.rejects(() => online.exportCatalogSnapshot(''), { message: 'path must be a non-empty string' });
+        assert.equal(customFetch.mock.calls.length, 1);
+      } finally {
+        await rm(dir, { recursive: true, force: true });
+      }
+    });
+
+    it('rejects invalid options', () => {
+      assert.throws(() => snapshotClient({ catalog: products }), { message: 'catalogSnapshot must be a CatalogSnapshot' });
+      assert.throws(() => snapshotClient(undefined, { catalogSnapshotMaxAgeMs: -1 }), {
+        message: 'catalogSnapshotMaxAgeMs must be a non-negative number'
+      });
+    });
+  });
+
+  // -----------------------------------------------------------------------
+  // Client-side validation
+  // -----------------------------------------------------------------------
+
+  describe('client-side validation', () => {
+    let client;
+
+    beforeEach(() => {
+      // fetch should never be called — validation fails first
+      globalThis.fetch = mock.fn(async () => {
+        throw new Error('fetch should not be called during validation tests');
+      });
+      client = new PrintApiClient({ apiKey: 'key', accountId: '123' });
+    });
+
+    // -- Order items -------------------------------------------------------
+
+    describe('order items', () => {
+      it('rejects missing orderItems', async () => {
+        await assert.rejects(
+          () => client.checkPricing(),
+          { message: 'orderItems must be a non-empty array' }
+        );
+      });
+
+      it('rejects empty orderItems array', async () => {
+        await assert.rejects(
+          () => client.checkPricing([]),
+          { message: 'orderItems must be a non-empty array' }
+        );
+      });
+
+      it('rejects item with missing sku', async () => {
+        await assert.rejects(
+          () => client.checkPricing([{ productType: 'Newsletter', quantity: 1 }]),
+          { message: 'orderItems[0].sku must be a non-empty string' }
+        );
+      });
+
+      it('rejects null item in array', async () => {
+        await assert.rejects(
+          () => client.checkPricing([null]),
+          { message: 'orderItems[0] must be an object' }
+        );
+      });
+
+      it('rejects item with invalid productType', async () => {
+        await assert.rejects(
+          () => client.checkPricing([{ sku: 'TAB_2D_16P', productType: 'Poster', quantity: 1 }]),
+          { message: 'orderItems[0].productType must be one of: Newsletter, Calendar, Flyer, LFP' }
+        );
+      });
+
+      it('rejects quantity of 0', async () => {
+        await assert.rejects(
+          () => client.checkPricing([{ sku: 'TAB_2D_16P', productType: 'Newsletter', quantity: 0 }]),
+          { message: 'orderItems[0].quantity must be an integer between 1 and 1000' }
+        );
+      });
+
+      it('rejects quantity over 1000', async () => {
+        await assert.rejects(
+          () => client.checkPricing([{ sku: 'TAB_2D_16P', productType: 'Newsletter', quantity: 1001 }]),
+          { message: 'orderItems[0].quantity must be an integer between 1 and 1000' }
+        );
+      });
+
+      it('rejects non-integer quantity', async () => {
+        await assert.rejects(
+          () => client.checkPricing([{ sku: 'TAB_2D_16P', productType: 'Newsletter', quantity: 3.5 }]),
+          { message: 'orderItems[0].quantity must be an integer between 1 and 1000' }
+        );
+      });
+
+      it('rejects LFP_CS without longEdge', async () => {
+        await assert.rejects(
+          () => client.checkPricing([{ sku: 'LFP_CS', productType: 'LFP', quantity: 1, shortEdge: 24 }]),
+          { message: 'orderItems[0].longEdge is required for LFP_CS and must be a positive number' }
+        );
+      });
+
+      it('rejects LFP_CS without shortEdge', async () => {
+        await assert.rejects(
+          () => client.checkPricing([{ sku: 'LFP_CS', productType: 'LFP', quantity: 1, longEdge: 36 }]),
+          { message: 'orderItems[0].shortEdge is required for LFP_CS and must be a positive number' }
+        );
+      });
+
+      it('does not require files for checkPricing', async () => {
+        globalThis.fetch = mock.fn(async () => mockResponse({ grandTotal: 10, fees: [], items: [], totalFees: 0, totalItemCost: 10 }));
+        await client.checkPricing([{ sku: 'TAB_2D_16P', productType: 'Newsletter', quantity: 1 }]);
+        assert.equal(globalThis.fetch.mock.calls.length, 1);
+      });
+
+      it('requires files for createOrder items', async () => {
+        await assert.rejects(
+          () => client.createOrder(realOrderPayload({
+            orderItems: [{ sku: 'TAB_2D_16P', productType: 'Newsletter', quantity: 1 }]
+          })),
+          { message: 'orderItems[0].files must be a non-empty array of HTTPS URLs' }
+        );
+      });
+
+      it('rejects non-HTTPS file URL in createOrder', async () => {
+        await assert.rejects(
+          () => client.createOrder(realOrderPayload({
+            orderItems: [{
+              sku: 'TAB_2D_16P', productType: 'Newsletter', quantity: 1,
+              files: ['http://example.com/file.pdf']
+            }]
+          })),
+          { message: 'orderItems[0].files[0] must be an HTTPS URL' }
+        );
+      });
+    });
+
+    // -- Customer ----------------------------------------------------------
+
+    describe('customer', () => {
+      it('rejects missing shippingCustomer', async () => {
+        await assert.rejects(
+          () => client.createOrder(realOrderPayload({ shippingCustomer: undefined })),
+          { message: 'shippingCustomer is required' }
+        );
+      });
+
+      it('rejects missing required customer fields', async () => {
+        await assert.rejects(
+          () => client.createOrder(realOrderPayload({
+            shippingCustomer: { firstName: '', lastName: 'Doe', email: 'a@b.c', phone: '5551234567', address1: '123 Main', city: 'Portland', state: 'OR', zip: '97201', shipmentTrackingEmail: ['a@b.c'] }
+          })),
+          { message: 'shippingCustomer.firstName must be a non-empty string' }
+        );
+      });
+
+      it('rejects invalid state code XX', async () => {
+        await assert.rejects(
+          () => client.createOrder(realOrderPayload({
+            shippingCustomer: {
+              ...realOrderPayload().shippingCustomer,
+              state: 'XX'
+            }
+          })),
+          { message: 'shippingCustomer.state must be a 2-letter US state code (lower 48 + DC)' }
+        );
+      });
+
+      it('rejects Alaska (AK)', async () => {
+        await assert.rejects(
+          () => client.createOrder(realOrderPayload({
+            shippingCustomer: {
+              ...realOrderPayload().shippingCustomer,
+              state: 'AK'
+            }
+          })),
+          { message: 'shippingCustomer.state must be a 2-letter US state code (lower 48 + DC)' }
+        );
+      });
+
+      it('rejects Hawaii (HI)', async () => {
+        await assert.rejects(
+          () => client.createOrder(realOrderPayload({
+            shippingCustomer: {
+              ...realOrderPayload().shippingCustomer,
+              state: 'HI'
+            }
+          })),
+          { message: 'shippingCustomer.state must be a 2-letter US state code (lower 48 + DC)' }
+        );
+      });
+
+      it('rejects invalid email (no @ sign)', async () => {
+        await assert.rejects(
+          () => client.createOrder(realOrderPayload({
+            shippingCustomer: {
+              ...realOrderPayload().shippingCustomer,
               email: 'not-an-email'
             }
           })),
@@ -1412,6 +3208,40 @@ describe('PrintApiClient', () => {
     // -- Error type distinction --------------------------------------------
 
     describe('error type', () => {
+      it('throws ValidationError with the field path', async () => {
+        await assert.rejects(
+          () => client.checkPricing([{ sku: 'TAB_2D_16P', productType: 'Newsletter', quantity: 0 }]),
+          (err) => {
+            assert.ok(err instanceof ValidationError);
+            assert.equal(err.path, 'orderItems[0].quantity');
+            return true;
+          }
+        );
+        await assert.rejects(
+          () => client.createOrder(realOrderPayload({
+            shippingCustomer: { ...realOrderPayload().shippingCustomer, state: 'HI' }
+          })),
+          { name: 'ValidationError', path: 'shippingCustomer.state' }
+        );
+      });
+
+      it('attaches every issue to the thrown ValidationError', async () => {
+        await assert.rejects(
+          () => client.checkPricing([
+            { sku: 'TAB_2D_16P', productType: 'Poster', quantity: 0 }
+          ]),
+          (err) => {
+            assert.equal(err.code, 'invalid_value');
+            assert.deepEqual(err.issues.map((i) => i.path), [
+              'orderItems[0].productType',
+              'orderItems[0].quantity'
+            ]);
+            return true;
+          }
+        );
+        assert.equal(globalThis.fetch.mock.calls.length, 0);
+      });
+
       it('throws Error (not PrintApiError) and never calls fetch', async () => {
         await assert.rejects(
           () => client.createOrder({}),
@@ -0,0 +1,119 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { RateLimiter } from '../src/RateLimiter.js';
+
+/** Resolve after the current microtask queue has drained. */
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+describe('RateLimiter', () => {
+  describe('constructor', () => {
+    it('rejects a non-positive requestsPerSecond', () => {
+      assert.throws(() => new RateLimiter({ requestsPerSecond: 0 }), { message: /requestsPerSecond/ });
+    });
+
+    it('rejects a maxConcurrent below 1', () => {
+      assert.throws(() => new RateLimiter({ maxConcurrent: 0 }), { message: /maxConcurrent/ });
+    });
+
+    it('rejects a burst below 1', () => {
+      assert.throws(() => new RateLimiter({ requestsPerSecond: 5, burst: 0 }), { message: /burst/ });
+    });
+
+    it('is unlimited by default', async () => {
+      const limiter = new RateLimiter();
+      const releases = await Promise.all(Array.from({ length: 50 }, () => limiter.acquire()));
+      assert.equal(limiter.inFlight, 50);
+      releases.forEach(release => release());
+      assert.equal(limiter.inFlight, 0);
+    });
+  });
+
+  describe('maxConcurrent', () => {
+    it('queues callers beyond the in-flight cap until a slot is released', async () => {
+      const limiter = new RateLimiter({ maxConcurrent: 2 });
+      const first = await limiter.acquire();
+      await limiter.acquire();
+
+      let thirdAcquired = false;
+      const third = limiter.acquire().then((release) => { thirdAcquired = true; return release; });
+      await tick();
+      assert.equal(thirdAcquired, false);
+      assert.equal(limiter.pending, 1);
+
+      first();
+      await third;
+      assert.equal(thirdAcquired, true);
+      assert.equal(limiter.inFlight, 2);
+    });
+
+    it('ignores repeated release calls', async () => {
+      const limiter = new RateLimiter({ maxConcurrent: 1 });
+      const release = await limiter.acquire();
+      release();
+      release();
+      assert.equal(limiter.inFlight, 0);
+    });
+
+    it('serves queued callers in FIFO order', async () => {
+      const limiter = new RateLimiter({ maxConcurrent: 1 });
+      const order = [];
+      const release = await limiter.acquire();
+      const waiters = ['a', 'b', 'c'].map(name =>
+        limiter.schedule(async () => { order.push(name); })
+      );
+      release();
+      await Promise.all(waiters);
+      assert.deepEqual(order, ['a', 'b', 'c']);
+    });
+  });
+
+  describe('requestsPerSecond', () => {
+    it('spaces requests once the burst is spent', async () => {
+      const limiter = new RateLimiter({ requestsPerSecond: 20, burst: 1 });
+      const start = Date.now();
+      for (let i = 0; i < 3; i++) {
+        const release = await limiter.acquire();
+        release();
+      }
+      // First is immediate, the next two wait ~50ms each
+      assert.ok(Date.now() - start >= 90, `elapsed ${Date.now() - start}ms`);
+    });
+
+    it('allows a burst of requests immediately', async () => {
+      const limiter = new RateLimiter({ requestsPerSecond: 1, burst: 3 });
+      const start = Date.now();
+      await Promise.all([limiter.acquire(), limiter.acquire(), limiter.acquire()]);
+      assert.ok(Date.now() - start < 100);
+      assert.equal(limiter.inFlight, 3);
+    });
+  });
+
+  describe('cancellation', () => {
+    it('removes an aborted caller from the queue', async () => {
+      const limiter = new RateLimiter({ maxConcurrent: 1 });
+      const release = await limiter.acquire();
+      const controller = new AbortController();
+      const waiting = limiter.acquire({ signal: controller.signal });
+
+      controller.abort(new Error('gave up'));
+      await assert.rejects(() => waiting, { message: 'gave up' });
+      assert.equal(limiter.pending, 0);
+      release();
+      assert.equal(limiter.inFlight, 0);
+    });
+
+    it('rejects immediately with an already-aborted signal', async () => {
+      const limiter = new RateLimiter();
+      await assert.rejects(() => limiter.acquire({ signal: AbortSignal.abort() }));
+      assert.equal(limiter.inFlight, 0);
+    });
+  });
+
+  describe('schedule', () => {
+    it('releases the slot when the task throws', async () => {
+      const limiter = new RateLimiter({ maxConcurrent: 1 });
+      await assert.rejects(() => limiter.schedule(async () => { throw new Error('fail'); }), { message: 'fail' });
+      assert.equal(limiter.inFlight, 0);
+    });
+  });
+});
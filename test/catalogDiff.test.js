@@ -0,0 +1,72 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffCatalogs, affectedSkus } from '../src/catalogDiff.js';
+import { Catalog } from '../src/Catalog.js';
+
+const newsletter = { sku: 'TAB_2D_16P', productType: 'Newsletter', duplex: true, staple: true, shortDescription: 'Tabloid' };
+const flyer = { sku: 'LTR_2D', productType: 'Flyer', duplex: true, staple: false };
+const poster = {
+  sku: 'LFP_CS', productType: 'LFP', customSize: true, longEdgeMaxDimension: 120, tags: ['large']
+};
+
+describe('diffCatalogs', () => {
+  it('reports added, removed and changed products by SKU', () => {
+    const calendar = { sku: 'TAB_1D', productType: 'Calendar', flat: true };
+    const diff = diffCatalogs(
+      [newsletter, flyer, poster],
+      [{ ...newsletter, staple: false, shortDescription: 'Tabloid newsletter' }, poster, calendar]
+    );
+
+    assert.deepEqual(diff.added, [calendar]);
+    assert.deepEqual(diff.removed, [flyer]);
+    assert.equal(diff.changed.length, 1);
+    assert.equal(diff.changed[0].sku, 'TAB_2D_16P');
+    assert.equal(diff.changed[0].previous, newsletter);
+    assert.deepEqual(diff.changed[0].fields, [
+      { field: 'staple', from: true, to: false },
+      { field: 'shortDescription', from: 'Tabloid', to: 'Tabloid newsletter' }
+    ]);
+    assert.equal(diff.hasChanges, true);
+  });
+
+  it('reports added and removed fields and compares nested values by content', () => {
+    const { sku, productType, customSize, tags } = poster;
+    const diff = diffCatalogs([poster], [{ sku, productType, customSize, tags: [...tags], shortEdgeMaxDimension: 48 }]);
+    assert.deepEqual(diff.changed[0].fields, [
+      { field: 'longEdgeMaxDimension', from: 120, to: undefined },
+      { field: 'shortEdgeMaxDimension', from: undefined, to: 48 }
+    ]);
+  });
+
+  it('finds no changes between equal snapshots and accepts Catalogs', () => {
+    const diff = diffCatalogs(new Catalog([newsletter, flyer]), structuredClone([flyer, newsletter]));
+    assert.deepEqual(diff, { added: [], removed: [], changed: [], hasChanges: false });
+  });
+
+  it('rejects snapshots that are not catalogs', () => {
+    assert.throws(() => diffCatalogs({ catalog: [] }, []), {
+      message: 'previous must be an array of catalog products or a Catalog'
+    });
+    assert.throws(() => diffCatalogs([], null), { message: 'current must be an array of catalog products or a Catalog' });
+  });
+});
+
+describe('affectedSkus', () => {
+  const diff = diffCatalogs(
+    [newsletter, flyer, poster],
+    [{ ...newsletter, staple: false }, { ...poster, longEdgeMaxDimension: 96 }, { ...flyer, shortDescription: 'Flyer' }]
+  );
+
+  it('picks watched SKUs that were removed or changed capabilities', () => {
+    assert.deepEqual(affectedSkus(diff, ['LFP_CS', 'TAB_2D_16P', 'TAB_2D_16P', 'UNKNOWN']), [
+      { sku: 'LFP_CS', reason: 'capabilities_changed', fields: [{ field: 'longEdgeMaxDimension', from: 120, to: 96 }] },
+      { sku: 'TAB_2D_16P', reason: 'capabilities_changed', fields: [{ field: 'staple', from: true, to: false }] }
+    ]);
+  });
+
+  it('reports removed SKUs and ignores changes to other fields', () => {
+    const removed = diffCatalogs([flyer], []);
+    assert.deepEqual(affectedSkus(removed, new Set(['LTR_2D'])), [{ sku: 'LTR_2D', reason: 'removed', fields: [] }]);
+    assert.deepEqual(affectedSkus(diff, ['LTR_2D']), []);
+  });
+});
@@ -0,0 +1,152 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeCustomer, normalizeOrder, sanitizeOrder } from '../src/normalize.js';
+import { validateOrder } from '../src/validate.js';
+
+describe('normalizeCustomer', () => {
+  it('trims text fields and converts state names', () => {
+    const { customer, changes } = normalizeCustomer(
+      { firstName: ' John ', city: 'Portland', state: 'Oregon' },
+      'shippingCustomer'
+    );
+    assert.deepEqual(customer, { firstName: 'John', city: 'Portland', state: 'OR' });
+    assert.deepEqual(changes, [
+      { path: 'shippingCustomer.firstName', from: ' John ', to: 'John' },
+      { path: 'shippingCustomer.state', from: 'Oregon', to: 'OR' }
+    ]);
+  });
+
+  it('normalizes state codes and multi-word names', () => {
+    const state = (value) => normalizeCustomer({ state: value }).customer.state;
+    assert.equal(state('or '), 'OR');
+    assert.equal(state('new  york'), 'NY');
+    assert.equal(state('District of Columbia'), 'DC');
+    assert.equal(state('Hawaii'), 'HI');
+    assert.equal(state('Ontario'), 'Ontario');
+  });
+
+  it('formats ZIP and ZIP+4', () => {
+    const zip = (value) => normalizeCustomer({ zip: value }).customer.zip;
+    assert.equal(zip(' 97201 '), '97201');
+    assert.equal(zip('972011234'), '97201-1234');
+    assert.equal(zip('97201 1234'), '97201-1234');
+    assert.equal(zip('97201-1234'), '97201-1234');
+    assert.equal(zip('V6B 1A1'), 'V6B 1A1');
+  });
+
+  it('formats US phone numbers', () => {
+    const phone = (value) => normalizeCustomer({ phone: value }).customer.phone;
+    assert.equal(phone('(555) 123-4567'), '555-123-4567');
+    assert.equal(phone('+1 555.123.4567'), '555-123-4567');
+    assert.equal(phone('15551234567'), '555-123-4567');
+    assert.equal(phone('555-1234'), '555-1234');
+    assert.equal(phone('555-123-4567 ext 12'), '555-123-4567 ext 12');
+  });
+
+  it('lowercases emails, including email lists', () => {
+    const { customer, changes } = normalizeCustomer({
+      email: ' John@Example.com',
+      shipmentTrackingEmail: ['John@Example.com', 'ops@example.com']
+    }, 'shippingCustomer');
+    assert.equal(customer.email, 'john@example.com');
+    assert.deepEqual(customer.shipmentTrackingEmail, ['john@example.com', 'ops@example.com']);
+    assert.deepEqual(changes.map((c) => c.path), [
+      'shippingCustomer.email',
+      'shippingCustomer.shipmentTrackingEmail[0]'
+    ]);
+  });
+
+  it('leaves non-string values and the input untouched', () => {
+    const input = { firstName: ' John ', zip: 97201 };
+    const { customer, changes } = normalizeCustomer(input);
+    assert.equal(customer.zip, 97201);
+    assert.equal(input.firstName, ' John ');
+    assert.deepEqual(changes.map((c) => c.path), ['customer.firstName']);
+  });
+});
+
+describe('normalizeOrder', () => {
+  it('normalizes both customers and leaves other fields alone', () => {
+    const orderData = {
+      sourceReferenceOrderNumber: ' REF-1 ',
+      shippingCustomer: { state: 'ca' },
+      billingCustomer: { zip: '123456789' }
+    };
+    const { order, changes } = normalizeOrder(orderData);
+    assert.equal(order.sourceReferenceOrderNumber, ' REF-1 ');
+    assert.equal(order.shippingCustomer.state, 'CA');
+    assert.equal(order.billingCustomer.zip, '12345-6789');
+    assert.deepEqual(changes.map((c) => c.path), ['shippingCustomer.state', 'billingCustomer.zip']);
+    assert.equal(orderData.shippingCustomer.state, 'ca');
+  });
+
+  it('does not add missing customers', () => {
+    const { order } = normalizeOrder({ shippingCustomer: { state: 'OR' } });
+    assert.ok(!('billingCustomer' in order));
+  });
+});
+
+describe('sanitizeOrder', () => {
+  const order = (customer, notes) => ({
+    orderItems: [{ sku: 'TAB_2D_16P', notes }],
+    shippingCustomer: customer
+  });
+
+  it('transliterates or removes unprintable characters', () => {
+    const { order: result, changes } = sanitizeOrder(order({
+      firstName: 'Łukasz',
+      lastName: 'Müller',
+      company: 'Acme ☕ Café',
+      address1: '“Main” St \u2014 Suite 5',
+      city: 'Portland\u0000'
+    }, 'Fold\ncarefully 🙏'));
+
+    assert.deepEqual(result.shippingCustomer, {
+      firstName: 'Lukasz',
+      lastName: 'Müller',
+      company: 'Acme Café',
+      address1: '"Main" St - Suite 5',
+      city: 'Portland'
+    });
+    assert.equal(result.orderItems[0].notes, 'Fold\ncarefully');
+    assert.deepEqual(changes.map((c) => c.path), [
+      'orderItems[0].notes',
+      'shippingCustomer.firstName',
+      'shippingCustomer.company',
+      'shippingCustomer.address1',
+      'shippingCustomer.city'
+    ]);
+  });
+
+  it('cuts nothing without fieldLimits', () => {
+    const { changes } = sanitizeOrder(order({ address1: 'a'.repeat(200) }));
+    assert.deepEqual(changes, []);
+  });
+
+  it('cuts values to their limit', () => {
+    const { order: result, changes } = sanitizeOrder(order({ address1: `${'a'.repeat(34)} bcd` }), {
+      fieldLimits: { address1: 35 }
+    });
+    assert.equal(result.shippingCustomer.address1, 'a'.repeat(34));
+    assert.deepEqual(changes[0], {
+      path: 'shippingCustomer.address1',
+      from: `${'a'.repeat(34)} bcd`,
+      to: 'a'.repeat(34)
+    });
+  });
+
+  it('produces values that pass validation', () => {
+    const input = order({ company: '🚀'.repeat(10) + 'x'.repeat(80), city: 'Zürich' });
+    const { order: result } = sanitizeOrder(input, { fieldLimits: true });
+    const { issues } = validateOrder(result, { fieldLimits: true, printableOnly: true });
+    assert.ok(!issues.some((i) => i.path === 'shippingCustomer.company' || i.path === 'shippingCustomer.city'));
+    assert.equal(result.shippingCustomer.city, 'Zürich');
+  });
+
+  it('does not modify the input or non-string values', () => {
+    const input = order({ firstName: 'Zoë 😀', lastName: 42 });
+    const { order: result } = sanitizeOrder(input);
+    assert.equal(input.shippingCustomer.firstName, 'Zoë 😀');
+    assert.equal(result.shippingCustomer.lastName, 42);
+  });
+});
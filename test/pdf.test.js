@@ -0,0 +1,215 @@
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { deflateSync } from 'node:zlib';
+import { writeFile, rm, mkdtemp } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { inspectPdf, parsePdf, validateItemPdfs, inspectOrderPdfs } from '../src/pdf.js';
+
+/**
+ * Build a minimal PDF. Page sizes are in points.
+ * @param {Object} [options]
+ * @param {number[][]} [options.pages] - [width, height] per page
+ * @param {boolean} [options.compressed] - Put every object in a compressed object stream
+ * @param {boolean} [options.inherit] - Put the MediaBox on the page tree instead of the pages
+ * @param {number} [options.rotate] - /Rotate for every page
+ */
+function buildPdf({ pages = [[612, 792]], compressed = false, inherit = false, rotate, indirectLength = false } = {}) {
+  const pageNums = pages.map((_, i) => 3 + i);
+  const objects = [
+    [1, '<< /Type /Catalog /Pages 2 0 R >>'],
+    [2, `<< /Type /Pages /Kids [${pageNums.map((n) => `${n} 0 R`).join(' ')}] /Count ${pages.length}` +
+      `${inherit ? ` /MediaBox [0 0 ${pages[0][0]} ${pages[0][1]}]` : ''} >>`],
+    ...pages.map(([w, h], i) => [pageNums[i],
+      `<< /Type /Page /Parent 2 0 R${inherit ? '' : ` /MediaBox [0 0 ${w} ${h}]`}` +
+      `${rotate ? ` /Rotate ${rotate}` : ''} /Resources << /Font << /F1 << /Type /Font >> >> >> >>`])
+  ];
+
+  let body = '%PDF-1.7\n';
+  if (compressed) {
+    const header = [];
+    let content = '';
+    for (const [num, dict] of objects) {
+      header.push(`${num} ${content.length}`);
+      content += `${dict}\n`;
+    }
+    const first = `${header.join(' ')}\n`;
+    const data = deflateSync(Buffer.from(first + content, 'latin1')).toString('latin1');
+    const streamNum = objects.length + 1;
+    // Writers that stream their output put the length in an object after the stream
+    const lengthNum = streamNum + 2;
+    body += `${streamNum} 0 obj\n<< /Type /ObjStm /N ${objects.length} /First ${first.length} ` +
+      `/Filter /FlateDecode /Length ${indirectLength ? `${lengthNum} 0 R` : data.length} >>\n` +
+      `stream\n${data}\nendstream\nendobj\n`;
+    body += `${streamNum + 1} 0 obj\n<< /Type /XRef /Root 1 0 R /Size ${lengthNum + 1} /Length 0 >>\n` +
+      'stream\n\nendstream\nendobj\n';
+    if (indirectLength) body += `${lengthNum} 0 obj\n${data.length}\nendobj\n`;
+  } else {
+    for (const [num, dict] of objects) body += `${num} 0 obj\n${dict}\nendobj\n`;
+    body += 'trailer\n<< /Root 1 0 R >>\n';
+  }
+  return Buffer.from(`${body}%%EOF\n`, 'latin1');
+}
+
+const LETTER = [612, 792];
+
+describe('parsePdf', () => {
+  it('reads page count and page sizes in inches', () => {
+    const info = parsePdf(buildPdf({ pages: [LETTER, LETTER, [792, 1224]] }));
+    assert.deepEqual(info, {
+      pageCount: 3,
+      pages: [{ width: 8.5, height: 11 }, { width: 8.5, height: 11 }, { width: 11, height: 17 }]
+    });
+  });
+
+  it('reads compressed object streams', () => {
+    const info = parsePdf(buildPdf({ pages: Array(16).fill(LETTER), compressed: true }));
+    assert.equal(info.pageCount, 16);
+    assert.deepEqual(info.pages[15], { width: 8.5, height: 11 });
+  });
+
+  it('follows an indirect stream /Length', () => {
+    const info = parsePdf(buildPdf({ pages: Array(16).fill(LETTER), compressed: true, indirectLength: true }));
+    assert.equal(info.pageCount, 16);
+    assert.deepEqual(info.pages[0], { width: 8.5, height: 11 });
+  });
+
+  it('inherits MediaBox from the page tree and applies Rotate', () => {
+    const info = parsePdf(buildPdf({ pages: [[2592, 1728]], inherit: true, rotate: 90 }));
+    assert.deepEqual(info.pages, [{ width: 24, height: 36 }]);
+  });
+
+  it('rejects non-PDF data', () => {
+    assert.throws(() => parsePdf(Buffer.from('<html></html>')), { message: 'not a PDF (missing %PDF- header)' });
+  });
+
+  it('rejects encrypted PDFs', () => {
+    const data = Buffer.concat([buildPdf(), Buffer.from('trailer\n<< /Root 1 0 R /Encrypt 9 0 R >>\n')]);
+    assert.throws(() => parsePdf(data), { message: 'encrypted PDFs are not supported' });
+  });
+});
+
+describe('inspectPdf', () => {
+  it('reads a Buffer, a local path and a URL', async () => {
+    const data = buildPdf({ pages: [LETTER, LETTER] });
+    assert.equal((await inspectPdf(data)).pageCount, 2);
+
+    const dir = await mkdtemp(join(tmpdir(), 'printapi-pdf-'));
+    try {
+      const file = join(dir, 'newsletter.pdf');
+      await writeFile(file, data);
+      assert.equal((await inspectPdf(file)).pageCount, 2);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+
+    const fetch = mock.fn(async () => new Response(data, { status: 200 }));
+    assert.equal((await inspectPdf('https://files.example.com/a.pdf', { fetch })).pageCount, 2);
+  });
+
+  it('refuses local files over maxBytes', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'printapi-pdf-'));
+    try {
+      const file = join(dir, 'large.pdf');
+      await writeFile(file, buildPdf());
+      await assert.rejects(() => inspectPdf(file, { maxBytes: 10 }), { message: 'file is larger than 10 bytes' });
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('refuses downloads over maxBytes', async () => {
+    const fetch = mock.fn(async () => new Response(buildPdf(), { status: 200 }));
+    await assert.rejects(
+      () => inspectPdf('https://files.example.com/a.pdf', { fetch, maxBytes: 10 }),
+      { message: 'file is larger than 10 bytes' }
+    );
+  });
+
+  it('reports failed downloads', async () => {
+    const fetch = mock.fn(async () => new Response(null, { status: 403 }));
+    await assert.rejects(
+      () => inspectPdf('https://files.example.com/a.pdf', { fetch }),
+      { message: 'download failed (HTTP 403)' }
+    );
+  });
+});
+
+describe('validateItemPdfs', () => {
+  const pdf = (count, size = [8.5, 11]) => ({
+    pageCount: count,
+    pages: Array.from({ length: count }, () => ({ width: size[0], height: size[1] }))
+  });
+
+  it('accepts files that match the SKU', () => {
+    const item = { sku: 'TAB_2D_16P', productType: 'Newsletter', quantity: 1, staple: true };
+    assert.deepEqual(validateItemPdfs(item, [pdf(16)]), { valid: true, issues: [], warnings: [] });
+  });
+
+  it('checks the page count implied by the SKU across all files', () => {
+    const item = { sku: 'TAB_2D_16P', productType: 'Newsletter', quantity: 1 };
+    assert.deepEqual(validateItemPdfs(item, [pdf(8), pdf(4)], { path: 'orderItems[2]' }).issues, [{
+      path: 'orderItems[2].files',
+      code: 'page_count_mismatch',
+      message: 'orderItems[2].files contain 12 pages, but TAB_2D_16P needs 16'
+    }]);
+  });
+
+  it('requires more than 4 pages for staple', () => {
+    const item = { sku: 'LTR_NEWS', productType: 'Newsletter', quantity: 1, staple: true };
+    assert.deepEqual(validateItemPdfs(item, [pdf(4)]).issues.map((i) => i.message), [
+      'orderItems[0].staple requires more than 4 pages (the files have 4)'
+    ]);
+  });
+
+  it('checks LFP page sizes in either orientation', () => {
+    const fixed = { sku: 'LFP_36x24', productType: 'LFP', quantity: 1 };
+    assert.equal(validateItemPdfs(fixed, [pdf(1, [24, 36])]).valid, true);
+    assert.deepEqual(validateItemPdfs(fixed, [pdf(1, [18, 24])]).issues, [{
+      path: 'orderItems[0].files[0]',
+      code: 'size_mismatch',
+      message: 'orderItems[0].files[0] page 1 is 18 x 24 in, but LFP_36x24 needs 36 x 24 in'
+    }]);
+
+    const custom = { sku: 'LFP_CS', productType: 'LFP', quantity: 1, longEdge: 40, shortEdge: 30 };
+    assert.equal(validateItemPdfs(custom, [pdf(1, [40.05, 30])]).valid, true);
+    assert.equal(validateItemPdfs(custom, [pdf(1, [36, 24])]).issues[0].code, 'size_mismatch');
+  });
+});
+
+describe('inspectOrderPdfs', () => {
+  it('downloads every file and validates each item', async () => {
+    const files = {
+      'https://files.example.com/news.pdf': buildPdf({ pages: Array(12).fill(LETTER), compressed: true }),
+      'https://files.example.com/poster.pdf': buildPdf({ pages: [[2592, 1728]] })
+    };
+    const fetch = mock.fn(async (url) => (files[url]
+      ? new Response(files[url], { status: 200 })
+      : new Response(null, { status: 404 })));
+
+    const report = await inspectOrderPdfs([
+      { sku: 'TAB_2D_16P', productType: 'Newsletter', quantity: 1, files: ['https://files.example.com/news.pdf'] },
+      { sku: 'LFP_36x24', productType: 'LFP', quantity: 1, files: ['https://files.example.com/poster.pdf'] },
+      { sku: 'LFP_36x24', productType: 'LFP', quantity: 1, files: ['https://files.example.com/missing.pdf'] }
+    ], { fetch });
+
+    assert.equal(report.valid, false);
+    assert.deepEqual(report.issues.map((i) => [i.path, i.code]), [
+      ['orderItems[2].files[0]', 'invalid_pdf'],
+      ['orderItems[0].files', 'page_count_mismatch']
+    ]);
+    assert.equal(report.files[0].pageCount, 12);
+    assert.deepEqual(report.files[1].pages, [{ width: 36, height: 24 }]);
+  });
+
+  it('rejects an invalid concurrency before downloading', async () => {
+    const fetch = mock.fn();
+    const items = [{ sku: 'TAB_2D_16P', productType: 'Newsletter', quantity: 1, files: ['https://files.example.com/a.pdf'] }];
+    for (const concurrency of [0, -1, 1.5, '2']) {
+      await assert.rejects(() => inspectOrderPdfs(items, { fetch, concurrency }), {
+        message: 'concurrency must be a positive integer'
+      });
+    }
+    assert.equal(fetch.mock.calls.length, 0);
+  });
+});
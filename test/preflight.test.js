@@ -0,0 +1,173 @@
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { preflightFiles } from '../src/preflight.js';
+
+const items = (...files) => [{ sku: 'TAB_2D_16P', productType: 'Newsletter', quantity: 1, files }];
+
+const pdfHead = (size = 48213) => new Response(null, {
+  status: 200,
+  headers: { 'Content-Type': 'application/pdf', 'Content-Length': String(size) }
+});
+
+describe('preflightFiles', () => {
+  it('passes a reachable PDF using only a HEAD request', async () => {
+    const fetch = mock.fn(async () => pdfHead());
+    const report = await preflightFiles(items('https://files.example.com/a.pdf'), { fetch });
+
+    assert.equal(report.valid, true);
+    assert.deepEqual(report.issues, []);
+    assert.deepEqual(report.warnings, []);
+    assert.deepEqual(report.files, [{
+      path: 'orderItems[0].files[0]',
+      url: 'https://files.example.com/a.pdf',
+      valid: true,
+      status: 200,
+      contentType: 'application/pdf',
+      size: 48213,
+      finalUrl: 'https://files.example.com/a.pdf',
+      redirects: 0
+    }]);
+    assert.equal(fetch.mock.calls.length, 1);
+    assert.equal(fetch.mock.calls[0].arguments[1].method, 'HEAD');
+    assert.equal(fetch.mock.calls[0].arguments[1].redirect, 'manual');
+  });
+
+  it('reports unreachable files', async () => {
+    const fetch = mock.fn(async (url) => {
+      if (url.includes('gone')) return new Response(null, { status: 404 });
+      throw new TypeError('fetch failed');
+    });
+    const report = await preflightFiles(
+      items('https://files.example.com/gone.pdf', 'https://down.example.com/a.pdf'),
+      { fetch }
+    );
+    assert.equal(report.valid, false);
+    assert.deepEqual(report.issues, [
+      {
+        path: 'orderItems[0].files[0]',
+        code: 'unreachable',
+        message: 'orderItems[0].files[0] could not be fetched (HTTP 404)'
+      },
+      {
+        path: 'orderItems[0].files[1]',
+        code: 'unreachable',
+        message: 'orderItems[0].files[1] could not be fetched (fetch failed)'
+      }
+    ]);
+  });
+
+  it('falls back to a ranged GET when HEAD is refused and sniffs the PDF header', async () => {
+    const fetch = mock.fn(async (url, init) => {
+      if (init.method === 'HEAD') return new Response(null, { status: 403 });
+      assert.equal(init.headers.Range, 'bytes=0-4');
+      return new Response('%PDF-', {
+        status: 206,
+        headers: { 'Content-Type': 'binary/octet-stream', 'Content-Range': 'bytes 0-4/1000' }
+      });
+    });
+    const report = await preflightFiles(items('https://bucket.example.com/a.pdf?X-Amz-Signature=abc'), { fetch });
+    assert.equal(report.valid, true);
+    assert.equal(report.files[0].status, 206);
+    assert.equal(report.files[0].size, 1000);
+    assert.equal(fetch.mock.calls.length, 2);
+  });
+
+  it('rejects files that are not PDFs', async () => {
+    const fetch = mock.fn(async (url, init) => {
+      if (init.method === 'HEAD') {
+        return new Response(null, { status: 200, headers: { 'Content-Type': 'text/html' } });
+      }
+      return new Response('<html>', { status: 200, headers: { 'Content-Type': 'text/html' } });
+    });
+    const report = await preflightFiles(items('https://files.example.com/login'), { fetch });
+    assert.deepEqual(report.issues.map((i) => [i.code, i.message]), [[
+      'invalid_content_type',
+      'orderItems[0].files[0] is not a PDF (Content-Type: text/html)'
+    ]]);
+  });
+
+  it('enforces maxBytes and rejects empty files', async () => {
+    const fetch = mock.fn(async (url) => pdfHead(url.includes('empty') ? 0 : 5000));
+    const report = await preflightFiles(
+      items('https://files.example.com/big.pdf', 'https://files.example.com/empty.pdf'),
+      { fetch, maxBytes: 4096 }
+    );
+    assert.deepEqual(report.issues.map((i) => [i.code, i.message]), [
+      ['too_large', 'orderItems[0].files[0] is 5000 bytes, over the 4096-byte limit'],
+      ['empty_file', 'orderItems[0].files[1] is empty']
+    ]);
+  });
+
+  it('follows HTTPS redirects and rejects insecure ones', async () => {
+    const fetch = mock.fn(async (url) => {
+      if (url === 'https://short.example.com/a') {
+        return new Response(null, { status: 302, headers: { Location: '/files/a.pdf' } });
+      }
+      if (url === 'https://short.example.com/b') {
+        return new Response(null, { status: 301, headers: { Location: 'http://files.example.com/b.pdf' } });
+      }
+      return pdfHead();
+    });
+    const report = await preflightFiles(
+      items('https://short.example.com/a', 'https://short.example.com/b'),
+      { fetch }
+    );
+    assert.equal(report.files[0].valid, true);
+    assert.equal(report.files[0].finalUrl, 'https://short.example.com/files/a.pdf');
+    assert.equal(report.files[0].redirects, 1);
+    assert.deepEqual(report.issues.map((i) => i.code), ['insecure_redirect']);
+  });
+
+  it('stops after maxRedirects', async () => {
+    const fetch = mock.fn(async () => new Response(null, { status: 302, headers: { Location: '/loop' } }));
+    const report = await preflightFiles(items('https://files.example.com/loop'), { fetch, maxRedirects: 2 });
+    assert.deepEqual(report.issues.map((i) => i.message), [
+      'orderItems[0].files[0] redirected more than 2 times'
+    ]);
+    assert.equal(fetch.mock.calls.length, 3);
+  });
+
+  it('times out slow hosts', async () => {
+    const fetch = (url, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new Error('aborted')));
+    });
+    const report = await preflightFiles(items('https://slow.example.com/a.pdf'), { fetch, timeoutMs: 20 });
+    assert.deepEqual(report.issues.map((i) => [i.code, i.message]), [[
+      'timeout',
+      'orderItems[0].files[0] did not respond within 20ms'
+    ]]);
+  });
+
+  it('limits concurrency and fetches repeated URLs once', async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const fetch = mock.fn(async () => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      inFlight--;
+      return pdfHead();
+    });
+    const urls = Array.from({ length: 6 }, (_, i) => `https://files.example.com/${i}.pdf`);
+    const report = await preflightFiles(
+      [...items(...urls), ...items(urls[0])],
+      { fetch, concurrency: 2 }
+    );
+    assert.equal(report.files.length, 7);
+    assert.equal(report.files[6].path, 'orderItems[1].files[0]');
+    assert.equal(fetch.mock.calls.length, 6);
+    assert.equal(maxInFlight, 2);
+  });
+
+  it('rejects with the signal reason when aborted', async () => {
+    const controller = new AbortController();
+    const fetch = (url, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new Error('aborted')));
+      setTimeout(() => controller.abort(new Error('stop')), 5);
+    });
+    await assert.rejects(
+      () => preflightFiles(items('https://files.example.com/a.pdf'), { fetch, signal: controller.signal }),
+      { message: 'stop' }
+    );
+  });
+});
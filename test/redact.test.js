@@ -0,0 +1,65 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { redactHeaders, redactPii } from '../src/redact.js';
+
+describe('redactHeaders', () => {
+  it('masks X-API-Key regardless of case', () => {
+    assert.deepEqual(
+      redactHeaders({ 'X-API-Key': 'secret', 'x-api-key': 'secret', 'Content-Type': 'application/json' }),
+      { 'X-API-Key': '[REDACTED]', 'x-api-key': '[REDACTED]', 'Content-Type': 'application/json' }
+    );
+  });
+
+  it('does not modify the input', () => {
+    const headers = { 'X-API-Key': 'secret' };
+    redactHeaders(headers);
+    assert.equal(headers['X-API-Key'], 'secret');
+  });
+});
+
+describe('redactPii', () => {
+  const body = {
+    accountId: '123',
+    shippingCustomer: {
+      firstName: 'John',
+      city: 'Portland',
+      state: 'OR',
+      email: 'john@example.com',
+      phone: '555-123-4567',
+      address1: '123 Main St',
+      zip: '97201',
+      shipmentTrackingEmail: ['john@example.com']
+    },
+    billingCustomer: {
+      email: 'ap@example.com',
+      billingInvoiceEmails: ['ap@example.com']
+    }
+  };
+
+  it('masks contact and address fields on both customers', () => {
+    const result = redactPii(body);
+    assert.deepEqual(result.shippingCustomer, {
+      firstName: 'John',
+      city: 'Portland',
+      state: 'OR',
+      email: '[REDACTED]',
+      phone: '[REDACTED]',
+      address1: '[REDACTED]',
+      zip: '[REDACTED]',
+      shipmentTrackingEmail: '[REDACTED]'
+    });
+    assert.deepEqual(result.billingCustomer, { email: '[REDACTED]', billingInvoiceEmails: '[REDACTED]' });
+    assert.equal(result.accountId, '123');
+  });
+
+  it('does not modify the input', () => {
+    redactPii(body);
+    assert.equal(body.shippingCustomer.email, 'john@example.com');
+  });
+
+  it('returns bodies without customers unchanged', () => {
+    const pricing = { accountId: '123', orderItems: [] };
+    assert.equal(redactPii(pricing), pricing);
+    assert.equal(redactPii(undefined), undefined);
+  });
+});
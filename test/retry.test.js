@@ -0,0 +1,79 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_RETRY, resolveRetryPolicy, parseRetryAfter, computeRetryDelay } from '../src/retry.js';
+
+describe('resolveRetryPolicy', () => {
+  it('disables retries when not configured', () => {
+    assert.equal(resolveRetryPolicy(undefined).maxAttempts, 1);
+    assert.equal(resolveRetryPolicy(false).maxAttempts, 1);
+  });
+
+  it('uses the defaults for `true`', () => {
+    assert.deepEqual(resolveRetryPolicy(true), { ...DEFAULT_RETRY });
+  });
+
+  it('merges overrides onto the defaults', () => {
+    const policy = resolveRetryPolicy({ maxAttempts: 5, retryOn: [503] });
+    assert.equal(policy.maxAttempts, 5);
+    assert.deepEqual(policy.retryOn, [503]);
+    assert.equal(policy.baseDelayMs, DEFAULT_RETRY.baseDelayMs);
+  });
+
+  it('rejects a non-array retryOn', () => {
+    assert.throws(() => resolveRetryPolicy({ retryOn: 503 }), { message: /retryOn/ });
+  });
+});
+
+describe('parseRetryAfter', () => {
+  it('parses delta-seconds', () => {
+    assert.equal(parseRetryAfter('120'), 120000);
+    assert.equal(parseRetryAfter('0'), 0);
+  });
+
+  it('parses an HTTP date relative to now', () => {
+    const now = Date.parse('Wed, 21 Oct 2015 07:28:00 GMT');
+    assert.equal(parseRetryAfter('Wed, 21 Oct 2015 07:28:30 GMT', now), 30000);
+  });
+
+  it('clamps past dates to zero', () => {
+    const now = Date.parse('Wed, 21 Oct 2015 07:28:00 GMT');
+    assert.equal(parseRetryAfter('Wed, 21 Oct 2015 07:00:00 GMT', now), 0);
+  });
+
+  it('returns null for missing or garbage values', () => {
+    assert.equal(parseRetryAfter(null), null);
+    assert.equal(parseRetryAfter(''), null);
+    assert.equal(parseRetryAfter('soon'), null);
+  });
+});
+
+describe('computeRetryDelay', () => {
+  const policy = { ...DEFAULT_RETRY, baseDelayMs: 100, maxDelayMs: 1000, jitter: false };
+
+  it('backs off exponentially', () => {
+    assert.equal(computeRetryDelay(1, policy), 100);
+    assert.equal(computeRetryDelay(2, policy), 200);
+    assert.equal(computeRetryDelay(3, policy), 400);
+  });
+
+  it('caps the delay at maxDelayMs', () => {
+    assert.equal(computeRetryDelay(10, policy), 1000);
+  });
+
+  it('gives up when the server-provided delay exceeds maxDelayMs', () => {
+    assert.equal(computeRetryDelay(1, policy, 1000), 1000);
+    assert.equal(computeRetryDelay(1, policy, 5000), null);
+  });
+
+  it('prefers the server-provided delay', () => {
+    assert.equal(computeRetryDelay(3, policy, 50), 50);
+  });
+
+  it('keeps jittered delays within the backoff window', () => {
+    const jittered = { ...policy, jitter: true };
+    for (let i = 0; i < 20; i++) {
+      const delay = computeRetryDelay(3, jittered);
+      assert.ok(delay >= 0 && delay <= 400);
+    }
+  });
+});
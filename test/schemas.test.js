@@ -0,0 +1,267 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as schemas from '../src/schemas.js';
+import { VALID_STATES, KNOWN_KEYS, validateOrder, validatePricing } from '../src/validate.js';
+
+const {
+  createOrderRequestSchema,
+  orderItemSchema,
+  pricingItemSchema,
+  shippingCustomerSchema,
+  billingCustomerSchema,
+  pricingRequestSchema
+} = schemas;
+
+const matches = (schema, value) => new RegExp(schema.pattern, 'u').test(value);
+
+const TYPES = {
+  object: (v) => v !== null && typeof v === 'object' && !Array.isArray(v),
+  array: Array.isArray,
+  string: (v) => typeof v === 'string',
+  number: (v) => typeof v === 'number' && Number.isFinite(v),
+  integer: Number.isInteger,
+  boolean: (v) => typeof v === 'boolean'
+};
+
+/**
+ * Minimal JSON Schema check covering the keywords these schemas use (annotations
+ * such as `format` and `description` are ignored). Test-only; use a real validator
+ * such as Ajv in applications.
+ */
+function conforms(schema, value) {
+  const {
+    type, const: constant, enum: allowed, not, allOf = [], if: condition, then: consequence,
+    required = [], properties = {}, items, minItems, maxItems, uniqueItems,
+    minLength, maxLength, pattern, minimum, maximum, exclusiveMinimum
+  } = schema;
+  if (type && !TYPES[type](value)) return false;
+  if ('const' in schema && JSON.stringify(value) !== JSON.stringify(constant)) return false;
+  if (allowed && !allowed.includes(value)) return false;
+  if (not && conforms(not, value)) return false;
+  if (!allOf.every((sub) => conforms(sub, value))) return false;
+  if (condition && conforms(condition, value) && !conforms(consequence ?? {}, value)) return false;
+
+  if (TYPES.object(value)) {
+    if (!required.every((key) => key in value)) return false;
+    if (!Object.entries(properties).every(([key, sub]) => !(key in value) || conforms(sub, value[key]))) return false;
+  }
+  if (Array.isArray(value)) {
+    if (minItems != null && value.length < minItems) return false;
+    if (maxItems != null && value.length > maxItems) return false;
+    if (uniqueItems && new Set(value.map((v) => JSON.stringify(v))).size !== value.length) return false;
+    if (items && !value.every((v) => conforms(items, v))) return false;
+  }
+  if (typeof value === 'string') {
+    const length = [...value].length;
+    if (minLength != null && length < minLength) return false;
+    if (maxLength != null && length > maxLength) return false;
+    if (pattern != null && !new RegExp(pattern, 'u').test(value)) return false;
+  }
+  if (typeof value === 'number') {
+    if (minimum != null && value < minimum) return false;
+    if (maximum != null && value > maximum) return false;
+    if (exclusiveMinimum != null && value <= exclusiveMinimum) return false;
+  }
+  return true;
+}
+
+function validOrder() {
+  return {
+    orderDatetime: '2024-01-15T10:30:00Z',
+    sourceReferenceOrderNumber: 'REF-1001',
+    orderItems: [{ sku: 'TAB_2D_16P', productType: 'Newsletter', quantity: 100, files: ['https://example.com/a.pdf'] }],
+    shippingCustomer: {
+      firstName: 'John',
+      lastName: 'Doe',
+      phone: '555-123-4567',
+      email: 'john.doe@acme.com',
+      shipmentTrackingEmail: ['john.doe@acme.com'],
+      address1: '123 Main St',
+      city: 'Anytown',
+      state: 'CA',
+      zip: '12345'
+    },
+    sourceSystemBilling: true
+  };
+}
+
+const editItem = (order, fields) => Object.assign(order.orderItems[0], fields);
+const file = (name) => `https://example.com/${name}.pdf`;
+
+/** Each case edits a valid order; `valid` is what both validateOrder and the schema must conclude. */
+const orderCases = [
+  ['a complete order', () => {}, true],
+  ['lowercase state', (o) => { o.shippingCustomer.state = 'ca'; }, true],
+  ['billing customer when sourceSystemBilling is false', (o) => {
+    o.sourceSystemBilling = false;
+    o.billingCustomer = { ...o.shippingCustomer };
+    delete o.billingCustomer.shipmentTrackingEmail;
+  }, true],
+  ['LFP_CS with dimensions', (o) => editItem(o, { sku: 'LFP_CS', productType: 'LFP', longEdge: 36, shortEdge: 24 }), true],
+  ['staple on a Newsletter', (o) => { o.orderItems[0].staple = true; }, true],
+  ['flat on a TAB Calendar', (o) => editItem(o, { sku: 'TAB_CAL', productType: 'Calendar', flat: true }), true],
+  ['flat on a lowercase TAB Calendar SKU', (o) => editItem(o, { sku: 'tab_cal', productType: 'Calendar', flat: true }), true],
+  ['lowercase SKUs', (o) => editItem(o, { sku: 'lfp_36x24', productType: 'LFP' }), true],
+  ['incomplete billingCustomer when sourceSystemBilling is true', (o) => { o.billingCustomer = { firstName: 'Jane' }; }, true],
+  ['long notes and address1 (length limits are opt-in)', (o) => {
+    o.orderItems[0].notes = 'x'.repeat(501);
+    o.shippingCustomer.address1 = 'x'.repeat(61);
+  }, true],
+  ['front and back of a Flyer', (o) => editItem(o, { sku: 'LTR_2D', productType: 'Flyer', files: [file('f'), file('b')] }), true],
+  ['missing sourceReferenceOrderNumber', (o) => { delete o.sourceReferenceOrderNumber; }, false],
+  ['orderDatetime that is not ISO 8601', (o) => { o.orderDatetime = 'yesterday'; }, false],
+  ['no items', (o) => { o.orderItems = []; }, false],
+  ['quantity 0', (o) => { o.orderItems[0].quantity = 0; }, false],
+  ['quantity 1001', (o) => { o.orderItems[0].quantity = 1001; }, false],
+  ['fractional quantity', (o) => { o.orderItems[0].quantity = 1.5; }, false],
+  ['unknown productType', (o) => { o.orderItems[0].productType = 'Poster'; }, false],
+  ['no files', (o) => { o.orderItems[0].files = []; }, false],
+  ['HTTP file', (o) => editItem(o, { files: ['http://example.com/a.pdf'] }), false],
+  ['duplicate files', (o) => editItem(o, { files: [file('a'), file('a')] }), false],
+  ['LFP_CS without dimensions', (o) => editItem(o, { sku: 'LFP_CS', productType: 'LFP' }), false],
+  ['LFP_CS with a negative edge', (o) => editItem(o, { sku: 'LFP_CS', productType: 'LFP', longEdge: -1, shortEdge: 24 }), false],
+  ['staple on a Flyer', (o) => editItem(o, { sku: 'LTR_2D', productType: 'Flyer', staple: true }), false],
+  ['flat on an LTR Calendar', (o) => editItem(o, { sku: 'LTR_CAL', productType: 'Calendar', flat: true }), false],
+  ['LFP SKU on a Flyer', (o) => editItem(o, { sku: 'LFP_36x24', productType: 'Flyer' }), false],
+  ['lowercase LFP SKU on a Flyer', (o) => editItem(o, { sku: 'lfp_36x24', productType: 'Flyer' }), false],
+  ['incomplete billingCustomer when sourceSystemBilling is false', (o) => {
+    o.sourceSystemBilling = false;
+    o.billingCustomer = { firstName: 'Jane' };
+  }, false],
+  ['TAB SKU on an LFP item', (o) => editItem(o, { productType: 'LFP' }), false],
+  ['two files for an LFP', (o) => editItem(o, { sku: 'LFP_36x24', productType: 'LFP', files: [file('1'), file('2')] }), false],
+  ['state outside the lower 48', (o) => { o.shippingCustomer.state = 'AK'; }, false],
+  ['short phone number', (o) => { o.shippingCustomer.phone = '555-1234'; }, false],
+  ['invalid email', (o) => { o.shippingCustomer.email = 'john.doe'; }, false],
+  ['no tracking emails', (o) => { o.shippingCustomer.shipmentTrackingEmail = []; }, false],
+  ['four tracking emails', (o) => { o.shippingCustomer.shipmentTrackingEmail = ['a', 'b', 'c', 'd'].map((n) => `${n}@x.com`); }, false],
+  ['missing billingCustomer when sourceSystemBilling is false', (o) => { o.sourceSystemBilling = false; }, false]
+];
+
+describe('schemas', () => {
+  it('are standalone draft 2020-12 documents with unique ids', () => {
+    const ids = new Set();
+    for (const schema of Object.values(schemas)) {
+      assert.equal(schema.$schema, 'https://json-schema.org/draft/2020-12/schema');
+      assert.match(schema.$id, /^urn:activityconnection:printapi:/);
+      ids.add(schema.$id);
+      assert.deepEqual(JSON.parse(JSON.stringify(schema)), schema);
+    }
+    assert.equal(ids.size, Object.keys(schemas).length);
+  });
+
+  it('accepts exactly the states validate.js accepts, in any case', () => {
+    const state = shippingCustomerSchema.properties.state;
+    for (const code of VALID_STATES) {
+      assert.ok(matches(state, code), code);
+      assert.ok(matches(state, code.toLowerCase()), code.toLowerCase());
+    }
+    for (const code of ['AK', 'HI', 'PR', 'C', 'CAL', ' CA']) {
+      assert.ok(!matches(state, code), code);
+    }
+  });
+
+  it('uses the same loose email check as validate.js', () => {
+    const email = shippingCustomerSchema.properties.email;
+    assert.ok(matches(email, 'john@example.com'));
+    assert.ok(!matches(email, 'john.example.com'));
+    assert.ok(!matches(email, 'john@example'));
+  });
+
+  it('treats whitespace-only strings as empty', () => {
+    const firstName = billingCustomerSchema.properties.firstName;
+    assert.ok(matches(firstName, 'John'));
+    assert.ok(!matches(firstName, '   '));
+  });
+
+  it('encodes quantity, files and tracking email limits', () => {
+    assert.equal(orderItemSchema.properties.quantity.minimum, 1);
+    assert.equal(orderItemSchema.properties.quantity.maximum, 1000);
+    assert.ok(matches(orderItemSchema.properties.files.items, 'https://example.com/a.pdf'));
+    assert.ok(!matches(orderItemSchema.properties.files.items, 'http://example.com/a.pdf'));
+    assert.equal(shippingCustomerSchema.properties.shipmentTrackingEmail.minItems, 1);
+    assert.equal(shippingCustomerSchema.properties.shipmentTrackingEmail.maxItems, 3);
+    assert.equal(shippingCustomerSchema.properties.phone.minLength, 10);
+  });
+
+  it('requires files on order items but not pricing items', () => {
+    assert.ok(orderItemSchema.required.includes('files'));
+    assert.ok(!pricingItemSchema.required.includes('files'));
+  });
+
+  it('requires dimensions for LFP_CS and billingCustomer when sourceSystemBilling is false', () => {
+    assert.deepEqual(orderItemSchema.if.properties.sku, { const: 'LFP_CS' });
+    assert.deepEqual(orderItemSchema.then.required, ['longEdge', 'shortEdge']);
+    assert.deepEqual(createOrderRequestSchema.if.properties.sourceSystemBilling, { const: false });
+    assert.deepEqual(createOrderRequestSchema.then.required, ['billingCustomer']);
+    assert.equal(createOrderRequestSchema.then.properties.billingCustomer.required.includes('email'), true);
+  });
+
+  it('restricts neither the length nor the characters of free text, like validate.js by default', () => {
+    const { address1, company } = shippingCustomerSchema.properties;
+    assert.deepEqual(address1, { type: 'string', pattern: '\\S' });
+    assert.deepEqual(company, { type: 'string' });
+    assert.equal(orderItemSchema.properties.notes.maxLength, undefined);
+  });
+
+  it('encodes the product option rules', () => {
+    const [staple, flat, lfpSku, otherSku, ...maxFiles] = orderItemSchema.allOf;
+    assert.deepEqual(staple.then.properties.productType, { const: 'Newsletter' });
+    assert.deepEqual(flat.then.properties.productType, { const: 'Calendar' });
+    assert.deepEqual(lfpSku.then.properties.productType, { const: 'LFP' });
+    assert.deepEqual(otherSku.then.properties.productType, { not: { const: 'LFP' } });
+    assert.deepEqual(maxFiles.map((rule) => [rule.if.properties.productType.const, rule.then.properties.files.maxItems]),
+      [['Flyer', 2], ['LFP', 1]]);
+    assert.equal(orderItemSchema.properties.files.uniqueItems, true);
+  });
+
+  it('describes exactly the fields strict mode accepts', () => {
+    const keys = (schema) => Object.keys(schema.properties).sort();
+    assert.deepEqual(keys(createOrderRequestSchema), [...KNOWN_KEYS.order].sort());
+    assert.deepEqual(keys(orderItemSchema), [...KNOWN_KEYS.orderItem].sort());
+    assert.deepEqual(keys(shippingCustomerSchema), [...KNOWN_KEYS.shippingCustomer].sort());
+    assert.deepEqual(keys(billingCustomerSchema), [...KNOWN_KEYS.billingCustomer].sort());
+  });
+
+  it('requires the same top-level fields validate.js reports as missing', () => {
+    const paths = validateOrder({}).issues
+      .map((issue) => issue.path)
+      .filter((path) => !path.includes('.') && !path.includes('['));
+    assert.deepEqual(paths, createOrderRequestSchema.required);
+  });
+});
+
+describe('schemas and validate.js agree on real payloads', () => {
+  for (const [name, edit, valid] of orderCases) {
+    it(`${valid ? 'accept' : 'reject'} ${name}`, () => {
+      const order = validOrder();
+      edit(order);
+      assert.equal(validateOrder(order).valid, valid, 'validateOrder');
+      assert.equal(conforms(createOrderRequestSchema, order), valid, 'createOrderRequestSchema');
+    });
+  }
+
+  it('agree on pricing requests, where files are optional', () => {
+    const items = [
+      { sku: 'TAB_2D_16P', productType: 'Newsletter', quantity: 10 },
+      { sku: 'LFP_CS', productType: 'LFP', quantity: 1, longEdge: 48, shortEdge: 36 }
+    ];
+    assert.equal(validatePricing(items).valid, true);
+    assert.equal(conforms(pricingRequestSchema, { orderItems: items }), true);
+
+    const invalid = [{ sku: 'LTR_2D', productType: 'Flyer', quantity: 10, staple: true }];
+    assert.equal(validatePricing(invalid).valid, false);
+    assert.equal(conforms(pricingRequestSchema, { orderItems: invalid }), false);
+  });
+
+  it('leave longEdge >= shortEdge and SKU page counts to validate.js', () => {
+    const order = validOrder();
+    editItem(order, { sku: 'LFP_CS', productType: 'LFP', longEdge: 24, shortEdge: 36 });
+    const stapled = validOrder();
+    editItem(stapled, { sku: 'TAB_2D_4P', staple: true });
+    for (const payload of [order, stapled]) {
+      assert.equal(validateOrder(payload).valid, false);
+      assert.equal(conforms(createOrderRequestSchema, payload), true);
+    }
+  });
+});
@@ -0,0 +1,72 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSku, buildSku, skuConflicts } from '../src/sku.js';
+
+describe('parseSku', () => {
+  it('decodes sizing type, sides and page count', () => {
+    assert.deepEqual(parseSku('TAB_2D_16P'), { sku: 'TAB_2D_16P', sizingType: 'TAB', duplex: true, pageCount: 16, customSize: false });
+    assert.deepEqual(parseSku('LTR_1D'), { sku: 'LTR_1D', sizingType: 'LTR', duplex: false, customSize: false });
+  });
+
+  it('decodes dimensions with the long edge first', () => {
+    assert.deepEqual(parseSku('LFP_36x24'), { sku: 'LFP_36x24', sizingType: 'LFP', longEdge: 36, shortEdge: 24, customSize: false });
+    assert.deepEqual(parseSku('LFP_24x36.5'), {
+      sku: 'LFP_24x36.5', sizingType: 'LFP', longEdge: 36.5, shortEdge: 24, customSize: false
+    });
+  });
+
+  it('recognizes custom-size SKUs and keeps other segments as the variant', () => {
+    assert.deepEqual(parseSku('LFP_CS'), { sku: 'LFP_CS', sizingType: 'LFP', customSize: true });
+    assert.deepEqual(parseSku('TAB_CAL'), { sku: 'TAB_CAL', sizingType: 'TAB', customSize: false, variant: 'CAL' });
+    assert.equal(parseSku('TAB_2D_0P').variant, '0P');
+  });
+
+  it('returns undefined for SKUs without a sizing type', () => {
+    for (const sku of ['POSTER_36x24', 'TAB', 'TAB__16P', 'TAB_2D_', '', null, 42]) {
+      assert.equal(parseSku(sku), undefined, String(sku));
+    }
+  });
+});
+
+describe('buildSku', () => {
+  it('builds SKUs that parse back to their parts', () => {
+    for (const sku of ['TAB_2D_16P', 'LTR_2D', 'LFP_36x24', 'LFP_CS', 'TAB_CAL', 'TAB_1D_WALL_12P']) {
+      assert.equal(buildSku(parseSku(sku)), sku);
+    }
+    assert.equal(buildSku({ sizingType: 'LFP', longEdge: 24, shortEdge: 36 }), 'LFP_36x24');
+  });
+
+  it('rejects invalid parts', () => {
+    const cases = [
+      [{ sizingType: 'A4', duplex: true }, 'sizingType must be one of: LTR, TAB, LFP'],
+      [{ sizingType: 'TAB', duplex: 'yes' }, 'duplex must be a boolean'],
+      [{ sizingType: 'TAB', pageCount: 0 }, 'pageCount must be a positive integer'],
+      [{ sizingType: 'LFP', longEdge: 36 }, 'longEdge and shortEdge must be given together as positive numbers'],
+      [{ sizingType: 'LFP', customSize: true, longEdge: 36, shortEdge: 24 }, 'customSize SKUs do not encode dimensions'],
+      [{ sizingType: 'TAB', variant: 'wall calendar' }, 'variant must be letters and digits (e.g. "CAL")'],
+      [{ sizingType: 'TAB', variant: '2D' }, 'variant "2D" would be read as another part of the SKU'],
+      [{ sizingType: 'TAB' }, 'a SKU needs at least one part besides sizingType']
+    ];
+    for (const [parts, message] of cases) assert.throws(() => buildSku(parts), { message });
+  });
+});
+
+describe('skuConflicts', () => {
+  it('reports fields that disagree with the SKU', () => {
+    assert.deepEqual(skuConflicts({ sku: 'LFP_CS', sizingType: 'TAB', productType: 'Flyer', customSize: false }), [
+      { field: 'sizingType', actual: 'TAB', problem: 'must be "LFP" for LFP_CS' },
+      { field: 'productType', actual: 'Flyer', problem: 'must be "LFP" for LFP_CS' },
+      { field: 'customSize', actual: false, problem: 'must be true for LFP_CS' }
+    ]);
+    assert.deepEqual(skuConflicts({ sku: 'TAB_1D', productType: 'LFP', duplex: true }).map((c) => c.problem), [
+      'must not be "LFP" for TAB_1D',
+      'must be false for TAB_1D'
+    ]);
+  });
+
+  it('accepts matching products and skips what the SKU does not encode', () => {
+    assert.deepEqual(skuConflicts({ sku: 'TAB_2D_16P', sizingType: 'TAB', productType: 'Newsletter', duplex: true, customSize: false }), []);
+    assert.deepEqual(skuConflicts({ sku: 'TAB_CAL', productType: 'Calendar', duplex: true }), []);
+    assert.deepEqual(skuConflicts({ sku: 'POSTER', productType: 'LFP' }), []);
+  });
+});
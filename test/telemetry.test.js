@@ -0,0 +1,97 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { PrintApiClient } from '../src/PrintApiClient.js';
+import { instrumentOpenTelemetry } from '../src/telemetry.js';
+
+/** Create a mock fetch Response object. */
+function mockResponse(body, { status = 200, ok = true } = {}) {
+  return { ok, status, headers: new Headers(), json: async () => body };
+}
+
+/** A minimal stand-in for an OpenTelemetry Tracer that records spans. */
+function fakeTracer() {
+  const spans = [];
+  return {
+    spans,
+    startSpan(name, options) {
+      const span = {
+        name,
+        options,
+        attributes: { ...options.attributes },
+        events: [],
+        exceptions: [],
+        status: null,
+        ended: false,
+        addEvent(eventName, attributes) { this.events.push({ name: eventName, attributes }); return this; },
+        setAttributes(attributes) { Object.assign(this.attributes, attributes); return this; },
+        recordException(error) { this.exceptions.push(error); },
+        setStatus(status) { this.status = status; return this; },
+        end() { this.ended = true; }
+      };
+      spans.push(span);
+      return span;
+    }
+  };
+}
+
+describe('instrumentOpenTelemetry', () => {
+  it('creates an OK client span for a successful call', async () => {
+    const tracer = fakeTracer();
+    const client = new PrintApiClient({ apiKey: 'key', accountId: '123', fetch: async () => mockResponse({ catalog: [] }) });
+    instrumentOpenTelemetry(client, tracer);
+
+    await client.getCatalog();
+    assert.equal(tracer.spans.length, 1);
+    const [span] = tracer.spans;
+    assert.equal(span.name, 'PrintAPI getCatalog');
+    assert.equal(span.options.kind, 2);
+    assert.deepEqual(span.attributes, {
+      'http.request.method': 'GET',
+      'url.path': '/catalog',
+      'printapi.operation': 'getCatalog',
+      'http.response.status_code': 200,
+      'printapi.attempts': 1
+    });
+    assert.deepEqual(span.status, { code: 1 });
+    assert.equal(span.ended, true);
+  });
+
+  it('records retries as events and failures as exceptions', async () => {
+    const tracer = fakeTracer();
+    const client = new PrintApiClient({
+      apiKey: 'key',
+      accountId: '123',
+      retry: { maxAttempts: 2, baseDelayMs: 1, jitter: false },
+      fetch: async () => mockResponse({ error: 'Bad Gateway', message: 'upstream' }, { status: 502, ok: false })
+    });
+    instrumentOpenTelemetry(client, tracer, { spanPrefix: 'print' });
+
+    await assert.rejects(() => client.getOrderStatus('ATEST-0000001'));
+    const [span] = tracer.spans;
+    assert.equal(span.name, 'print getOrderStatus');
+    assert.equal(span.events.length, 1);
+    assert.equal(span.events[0].name, 'retry');
+    assert.equal(span.events[0].attributes['printapi.attempt'], 1);
+    assert.equal(span.attributes['error.type'], 'Bad Gateway');
+    assert.equal(span.attributes['http.response.status_code'], 502);
+    assert.equal(span.attributes['printapi.attempts'], 2);
+    assert.equal(span.exceptions.length, 1);
+    assert.deepEqual(span.status, { code: 2, message: 'upstream' });
+    assert.equal(span.ended, true);
+  });
+
+  it('stops creating spans once unsubscribed', async () => {
+    const tracer = fakeTracer();
+    const client = new PrintApiClient({ apiKey: 'key', accountId: '123', fetch: async () => mockResponse({ catalog: [] }) });
+    const stop = instrumentOpenTelemetry(client, tracer);
+
+    stop();
+    await client.getCatalog();
+    assert.equal(tracer.spans.length, 0);
+  });
+
+  it('rejects an object that is not a tracer', () => {
+    const client = new PrintApiClient({ apiKey: 'key', accountId: '123' });
+    assert.throws(() => instrumentOpenTelemetry(client, {}), { message: 'tracer must implement startSpan()' });
+  });
+});
@@ -0,0 +1,509 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateOrder, validatePricing, assertValid, FIELD_LIMITS } from '../src/validate.js';
+import { ValidationError } from '../src/errors.js';
+
+function validOrder(overrides = {}) {
+  return {
+    orderDatetime: '2024-01-15T10:30:00Z',
+    sourceReferenceOrderNumber: 'REF-1001',
+    orderItems: [
+      {
+        sku: 'TAB_2D_16P',
+        productType: 'Newsletter',
+        quantity: 100,
+        files: ['https://example.com/newsletter.pdf']
+      }
+    ],
+    shippingCustomer: {
+      firstName: 'John',
+      lastName: 'Doe',
+      phone: '555-123-4567',
+      email: 'john.doe@acme.com',
+      shipmentTrackingEmail: ['john.doe@acme.com'],
+      address1: '123 Main St',
+      city: 'Anytown',
+      state: 'CA',
+      zip: '12345'
+    },
+    sourceSystemBilling: true,
+    ...overrides
+  };
+}
+
+describe('validateOrder', () => {
+  it('returns valid with no issues for a correct order', () => {
+    assert.deepEqual(validateOrder(validOrder()), { valid: true, issues: [], warnings: [] });
+  });
+
+  it('reports every problem in one pass, in field order', () => {
+    const order = validOrder({
+      sourceReferenceOrderNumber: '',
+      orderItems: [
+        { sku: 'TAB_2D_16P', productType: 'Newsletter', quantity: 100, files: ['https://example.com/a.pdf'] },
+        { sku: 'TAB_2D_16P', productType: 'Newsletter', quantity: 100, files: ['https://example.com/b.pdf'] },
+        { sku: 'TAB_2D_16P', productType: 'Newsletter', quantity: 5000, files: ['http://example.com/c.pdf'] }
+      ]
+    });
+    order.shippingCustomer.state = 'HI';
+
+    const { valid, issues } = validateOrder(order);
+    assert.equal(valid, false);
+    assert.deepEqual(issues, [
+      {
+        path: 'sourceReferenceOrderNumber',
+        code: 'required',
+        message: 'sourceReferenceOrderNumber must be a non-empty string'
+      },
+      {
+        path: 'orderItems[2].quantity',
+        code: 'out_of_range',
+        message: 'orderItems[2].quantity must be an integer between 1 and 1000'
+      },
+      {
+        path: 'orderItems[2].files[0]',
+        code: 'invalid_format',
+        message: 'orderItems[2].files[0] must be an HTTPS URL'
+      },
+      {
+        path: 'shippingCustomer.state',
+        code: 'invalid_value',
+        message: 'shippingCustomer.state must be a 2-letter US state code (lower 48 + DC)'
+      }
+    ]);
+  });
+
+  it('reports a missing phone once, not as both required and too short', () => {
+    const order = validOrder();
+    delete order.shippingCustomer.phone;
+    assert.deepEqual(
+      validateOrder(order).issues.map((i) => i.path),
+      ['shippingCustomer.phone']
+    );
+  });
+
+  it('validates billingCustomer only when sourceSystemBilling is false', () => {
+    assert.equal(validateOrder(validOrder({ billingCustomer: {} })).valid, true);
+    assert.deepEqual(validateOrder(validOrder({ sourceSystemBilling: false })).issues, [{
+      path: 'billingCustomer',
+      code: 'required',
+      message: 'billingCustomer is required when sourceSystemBilling is false'
+    }]);
+  });
+
+  it('reports a non-object payload as a single issue', () => {
+    assert.deepEqual(validateOrder(null).issues, [
+      { path: 'orderData', code: 'invalid_type', message: 'orderData must be an object' }
+    ]);
+  });
+});
+
+describe('orderDatetime', () => {
+  const check = (orderDatetime) => validateOrder(validOrder({ orderDatetime }));
+
+  it('accepts ISO 8601 strings with a timezone and valid Dates', () => {
+    for (const value of ['2024-01-15T10:30:00Z', '2024-01-15T10:30:00.123-07:00', '2024-01-15T10:30+05:30',
+      new Date('2024-01-15T10:30:00Z')]) {
+      assert.deepEqual(check(value).issues, [], String(value));
+    }
+  });
+
+  it('rejects strings without a timezone', () => {
+    assert.deepEqual(check('2024-01-15T10:30:00').issues, [{
+      path: 'orderDatetime',
+      code: 'invalid_format',
+      message: 'orderDatetime must include a timezone (e.g. "Z" or "-07:00")'
+    }]);
+  });
+
+  it('rejects unparseable and impossible datetimes', () => {
+    for (const value of ['yesterday', '2024-01-15', '01/15/2024 10:30', '2024-02-30T10:30:00Z', '2024-01-15T25:00:00Z']) {
+      assert.deepEqual(check(value).issues.map((i) => i.code), ['invalid_format'], value);
+    }
+  });
+
+  it('rejects invalid Dates and missing values', () => {
+    assert.deepEqual(check(new Date('nope')).issues.map((i) => i.code), ['invalid_value']);
+    assert.deepEqual(check(undefined).issues.map((i) => i.code), ['required']);
+  });
+
+  it('warns, without failing, when the datetime is more than a day ahead', () => {
+    const result = check(new Date(Date.now() + 3 * 24 * 60 * 60 * 1000).toISOString());
+    assert.equal(result.valid, true);
+    assert.deepEqual(result.warnings, [{
+      path: 'orderDatetime',
+      code: 'far_future',
+      message: 'orderDatetime is more than 24 hours in the future'
+    }]);
+    assert.deepEqual(check(new Date(Date.now() + 60 * 60 * 1000)).warnings, []);
+  });
+});
+
+describe('validatePricing', () => {
+  it('does not require files', () => {
+    assert.equal(validatePricing([{ sku: 'TAB_2D_16P', productType: 'Newsletter', quantity: 1 }]).valid, true);
+  });
+
+  it('reports problems across all items', () => {
+    const { issues } = validatePricing([
+      'not an item',
+      { sku: 'LFP_CS', productType: 'LFP', quantity: 1 }
+    ]);
+    assert.deepEqual(issues.map((i) => [i.path, i.code]), [
+      ['orderItems[0]', 'invalid_type'],
+      ['orderItems[1].longEdge', 'required'],
+      ['orderItems[1].shortEdge', 'required']
+    ]);
+  });
+});
+
+describe('field limits', () => {
+  const withCustomer = (fields) => validOrder({
+    shippingCustomer: { ...validOrder().shippingCustomer, ...fields }
+  });
+
+  const longOrder = () => validOrder({
+    orderItems: [{ ...validOrder().orderItems[0], notes: 'n'.repeat(FIELD_LIMITS.notes + 1) }],
+    shippingCustomer: { ...validOrder().shippingCustomer, address1: 'a'.repeat(61), company: 'c'.repeat(60) }
+  });
+
+  it('checks no lengths by default', () => {
+    assert.deepEqual(validateOrder(longOrder()).issues, []);
+    assert.deepEqual(validateOrder(longOrder(), { fieldLimits: false }).issues, []);
+  });
+
+  it('rejects over-long names, address lines, city, company and notes with fieldLimits: true', () => {
+    const { issues } = validateOrder(longOrder(), { fieldLimits: true });
+    assert.deepEqual(issues, [
+      {
+        path: 'orderItems[0].notes',
+        code: 'out_of_range',
+        message: 'orderItems[0].notes must be at most 500 characters (has 501)'
+      },
+      {
+        path: 'shippingCustomer.address1',
+        code: 'out_of_range',
+        message: 'shippingCustomer.address1 must be at most 60 characters (has 61)'
+      }
+    ]);
+  });
+
+  it('counts characters, not UTF-16 code units', () => {
+    assert.equal(validateOrder(withCustomer({ city: 'é'.repeat(40) }), { fieldLimits: true }).valid, true);
+  });
+
+  it('accepts any characters by default', () => {
+    const order = withCustomer({ firstName: 'Zoë', lastName: 'O’Brien', company: '株式会社 🚀', address1: '1 Main St\nApt 2' });
+    assert.deepEqual(validateOrder(order).issues, []);
+  });
+
+  it('rejects characters that cannot be printed on a label with printableOnly', () => {
+    const order = withCustomer({ company: 'Acme 🚀', firstName: 'Jo\u0007', lastName: 'Müller' });
+    const { issues } = validateOrder(order, { printableOnly: true });
+    assert.deepEqual(issues.map((i) => [i.path, i.code, i.message]), [
+      ['shippingCustomer.firstName', 'invalid_format', 'shippingCustomer.firstName contains a character that cannot be printed (U+0007)'],
+      ['shippingCustomer.company', 'invalid_format', 'shippingCustomer.company contains a character that cannot be printed (U+1F680)']
+    ]);
+  });
+
+  it('allows line breaks in notes only with printableOnly', () => {
+    const { issues } = validatePricing([
+      { sku: 'TAB_2D_16P', productType: 'Newsletter', quantity: 1, notes: 'Rush\r\nCall first' }
+    ], { printableOnly: true });
+    assert.deepEqual(issues, []);
+    const { issues: [issue] } = validateOrder(withCustomer({ address1: '1 Main St\nApt 2' }), { printableOnly: true });
+    assert.equal(issue.code, 'invalid_format');
+  });
+
+  it('rejects non-string notes', () => {
+    const { issues } = validatePricing([{ sku: 'TAB_2D_16P', productType: 'Newsletter', quantity: 1, notes: 42 }]);
+    assert.deepEqual(issues.map((i) => [i.path, i.code]), [['orderItems[0].notes', 'invalid_type']]);
+  });
+
+  it('accepts overrides and null to remove a limit', () => {
+    const order = withCustomer({ address1: 'a'.repeat(40), city: 'c'.repeat(100) });
+    const { issues } = validateOrder(order, { fieldLimits: { address1: 35, city: null } });
+    assert.deepEqual(issues.map((i) => i.message), [
+      'shippingCustomer.address1 must be at most 35 characters (has 40)'
+    ]);
+  });
+
+  it('throws on invalid overrides', () => {
+    assert.throws(() => validateOrder(validOrder(), { fieldLimits: { zip: 10 } }), {
+      message: 'fieldLimits.zip is not supported (use one of: firstName, lastName, company, address1, address2, address3, city, notes)'
+    });
+    assert.throws(() => validateOrder(validOrder(), { fieldLimits: { city: 0 } }), {
+      message: 'fieldLimits.city must be a positive integer or null'
+    });
+    assert.throws(() => validatePricing([], { fieldLimits: 'short' }), { message: 'fieldLimits must be true, false or an object' });
+    assert.throws(() => validateOrder(validOrder(), { printableOnly: 'yes' }), { message: 'printableOnly must be a boolean' });
+  });
+});
+
+describe('product option rules', () => {
+  it('allows staple on Newsletters only', () => {
+    const { issues } = validatePricing([
+      { sku: 'TAB_2D_16P', productType: 'Newsletter', quantity: 1, staple: true },
+      { sku: 'LTR_2D', productType: 'Flyer', quantity: 1, staple: true }
+    ]);
+    assert.deepEqual(issues, [{
+      path: 'orderItems[1].staple',
+      code: 'unsupported_option',
+      message: 'orderItems[1].staple is only available for Newsletter items'
+    }]);
+  });
+
+  it('requires more than 4 pages to staple', () => {
+    const { issues } = validatePricing([
+      { sku: 'TAB_2D_4P', productType: 'Newsletter', quantity: 1, staple: true }
+    ]);
+    assert.deepEqual(issues.map((i) => [i.path, i.message]), [
+      ['orderItems[0].staple', 'orderItems[0].staple requires more than 4 pages (TAB_2D_4P has 4)']
+    ]);
+  });
+
+  it('allows flat on TAB Calendars only', () => {
+    const { issues } = validatePricing([
+      { sku: 'TAB_2D', productType: 'Calendar', quantity: 1, flat: true },
+      { sku: 'LFP_36x24', productType: 'LFP', quantity: 1, flat: true },
+      { sku: 'LTR_CAL', productType: 'Calendar', quantity: 1, flat: true }
+    ]);
+    assert.deepEqual(issues.map((i) => [i.path, i.code]), [
+      ['orderItems[1].flat', 'unsupported_option'],
+      ['orderItems[2].flat', 'unsupported_option']
+    ]);
+    assert.equal(issues[0].message, 'orderItems[1].flat is only available for TAB Calendar items');
+    assert.equal(validatePricing([{ sku: 'tab_cal', productType: 'Calendar', quantity: 1, flat: true }]).valid, true);
+  });
+
+  it('requires longEdge >= shortEdge for LFP_CS', () => {
+    const { issues } = validatePricing([
+      { sku: 'LFP_CS', productType: 'LFP', quantity: 1, longEdge: 24, shortEdge: 24 },
+      { sku: 'LFP_CS', productType: 'LFP', quantity: 1, longEdge: 24, shortEdge: 36 }
+    ]);
+    assert.deepEqual(issues, [{
+      path: 'orderItems[1].shortEdge',
+      code: 'out_of_range',
+      message: 'orderItems[1].shortEdge must not be greater than longEdge'
+    }]);
+  });
+
+  it('checks the number of files against the product', () => {
+    const file = (name) => `https://example.com/${name}.pdf`;
+    const { issues } = validatePricing([
+      { sku: 'TAB_2D_8P', productType: 'Newsletter', quantity: 1, files: [file('a'), file('a')] },
+      { sku: 'LFP_36x24', productType: 'LFP', quantity: 1, files: [file('a'), file('b')] },
+      { sku: 'LTR_2D', productType: 'Flyer', quantity: 1, files: [file('front'), file('back')] },
+      { sku: 'TAB_2D_4P', productType: 'Newsletter', quantity: 1, files: ['a', 'b', 'c', 'd', 'e'].map(file) }
+    ]);
+    assert.deepEqual(issues.map((i) => [i.path, i.code, i.message]), [
+      ['orderItems[0].files', 'invalid_value', 'orderItems[0].files must not list the same file more than once'],
+      ['orderItems[1].files', 'out_of_range', 'orderItems[1].files must have at most 1 file for LFP items'],
+      ['orderItems[3].files', 'out_of_range', 'orderItems[3].files has 5 files, but TAB_2D_4P has only 4 pages']
+    ]);
+  });
+
+  it('requires productType LFP exactly for LFP SKUs', () => {
+    const { issues } = validatePricing([
+      { sku: 'LFP_36x24', productType: 'Flyer', quantity: 1 },
+      { sku: 'TAB_2D_16P', productType: 'LFP', quantity: 1 },
+      { sku: 'POSTER', productType: 'LFP', quantity: 1 }
+    ]);
+    assert.deepEqual(issues.map((i) => [i.path, i.code, i.message]), [
+      ['orderItems[0].productType', 'invalid_value', 'orderItems[0].productType must be "LFP" for LFP_36x24'],
+      ['orderItems[1].productType', 'invalid_value', 'orderItems[1].productType must not be "LFP" for TAB_2D_16P']
+    ]);
+  });
+
+  it('skips rules whose fields already failed the structural checks', () => {
+    const { issues } = validatePricing([
+      { sku: 'LFP_CS', productType: 'Poster', quantity: 1, staple: true, flat: true, longEdge: -1, shortEdge: 2 }
+    ]);
+    assert.deepEqual(issues.map((i) => i.path), ['orderItems[0].productType', 'orderItems[0].longEdge']);
+  });
+});
+
+describe('catalog validation', () => {
+  const catalog = [
+    { sku: 'TAB_2D_16P', productType: 'Newsletter', staple: true, flat: false, customSize: false },
+    { sku: 'TAB_CAL', productType: 'Calendar', staple: false, flat: true, customSize: false },
+    { sku: 'TAB_2D_8P', productType: 'Newsletter', staple: false, flat: false, customSize: false },
+    { sku: 'TAB_WALL', productType: 'Calendar', staple: false, flat: false, customSize: false },
+    {
+      sku: 'LFP_CS', productType: 'LFP', staple: false, flat: false, customSize: true,
+      longEdgeMinDimension: 12, longEdgeMaxDimension: 48,
+      shortEdgeMinDimension: 8, shortEdgeMaxDimension: 36
+    }
+  ];
+
+  it('accepts items that match the catalog', () => {
+    const result = validatePricing([
+      { sku: 'TAB_2D_16P', productType: 'Newsletter', quantity: 1, staple: true },
+      { sku: 'TAB_CAL', productType: 'Calendar', quantity: 1, flat: true },
+      { sku: 'LFP_CS', productType: 'LFP', quantity: 1, longEdge: 48, shortEdge: 8 }
+    ], { catalog });
+    assert.deepEqual(result, { valid: true, issues: [], warnings: [] });
+  });
+
+  it('reports unknown SKUs, productType mismatches and unsupported options', () => {
+    const { issues } = validatePricing([
+      { sku: 'TAB_2D_99P', productType: 'Newsletter', quantity: 1 },
+      { sku: 'TAB_CAL', productType: 'Flyer', quantity: 1 },
+      { sku: 'TAB_2D_8P', productType: 'Newsletter', quantity: 1, staple: true },
+      { sku: 'TAB_WALL', productType: 'Calendar', quantity: 1, flat: true }
+    ], { catalog });
+    assert.deepEqual(issues, [
+      {
+        path: 'orderItems[0].sku',
+        code: 'unknown_sku',
+        message: 'orderItems[0].sku "TAB_2D_99P" is not in the catalog'
+      },
+      {
+        path: 'orderItems[1].productType',
+        code: 'invalid_value',
+        message: 'orderItems[1].productType must be "Calendar" for TAB_CAL'
+      },
+      {
+        path: 'orderItems[2].staple',
+        code: 'unsupported_option',
+        message: 'orderItems[2].staple is not supported by TAB_2D_8P'
+      },
+      {
+        path: 'orderItems[3].flat',
+        code: 'unsupported_option',
+        message: 'orderItems[3].flat is not supported by TAB_WALL'
+      }
+    ]);
+  });
+
+  it('does not repeat options already rejected by the product rules', () => {
+    const { issues } = validatePricing([
+      { sku: 'TAB_CAL', productType: 'Calendar', quantity: 1, staple: true }
+    ], { catalog });
+    assert.deepEqual(issues.map((i) => i.message), [
+      'orderItems[0].staple is only available for Newsletter items'
+    ]);
+  });
+
+  it('reports custom dimensions outside the product limits', () => {
+    const { issues } = validatePricing([
+      { sku: 'LFP_CS', productType: 'LFP', quantity: 1, longEdge: 60, shortEdge: 4 }
+    ], { catalog });
+    assert.deepEqual(issues.map((i) => [i.path, i.code, i.message]), [
+      ['orderItems[0].longEdge', 'out_of_range', 'orderItems[0].longEdge must be between 12 and 48 inches for LFP_CS'],
+      ['orderItems[0].shortEdge', 'out_of_range', 'orderItems[0].shortEdge must be between 8 and 36 inches for LFP_CS']
+    ]);
+  });
+
+  it('does not repeat issues already reported by the structural checks', () => {
+    const { issues } = validatePricing([
+      { sku: 'LFP_CS', productType: 'Poster', quantity: 1 }
+    ], { catalog });
+    assert.deepEqual(issues.map((i) => i.path), [
+      'orderItems[0].productType',
+      'orderItems[0].longEdge',
+      'orderItems[0].shortEdge'
+    ]);
+  });
+
+  it('warns about catalog entries that disagree with their SKU without rejecting the item', () => {
+    const { valid, issues, warnings } = validatePricing([{ sku: 'LTR_2D', productType: 'Flyer', quantity: 1 }], {
+      catalog: [{ sku: 'LTR_2D', sizingType: 'TAB', productType: 'Flyer', duplex: true }]
+    });
+    assert.equal(valid, true);
+    assert.deepEqual(issues, []);
+    assert.deepEqual(warnings, [{
+      path: 'orderItems[0].sku',
+      code: 'catalog_mismatch',
+      message: 'orderItems[0].sku does not match its catalog entry (sizingType must be "LTR" for LTR_2D, not "TAB")'
+    }]);
+  });
+
+  it('applies to createOrder payloads', () => {
+    const order = validOrder();
+    order.orderItems[0].sku = 'TAB_2D_99P';
+    assert.deepEqual(validateOrder(order, { catalog }).issues.map((i) => i.code), ['unknown_sku']);
+  });
+
+  it('throws if catalog is not an array', () => {
+    assert.throws(() => validatePricing([], { catalog: {} }), {
+      message: 'catalog must be an array of catalog products'
+    });
+  });
+});
+
+describe('strict mode', () => {
+  it('ignores unknown keys by default', () => {
+    const order = validOrder({ notAField: true });
+    assert.equal(validateOrder(order).valid, true);
+  });
+
+  it('reports unknown keys with suggestions when strict is true', () => {
+    const order = validOrder({ testorder: true });
+    order.orderItems[0].stapled = true;
+    order.shippingCustomer.shipmentTrackingEmails = ['a@b.co'];
+    order.shippingCustomer.nickname = 'JD';
+
+    assert.deepEqual(validateOrder(order, { strict: true }).issues, [
+      {
+        path: 'testorder',
+        code: 'unknown_key',
+        message: 'testorder is not a known field (did you mean "testOrder"?)'
+      },
+      {
+        path: 'orderItems[0].stapled',
+        code: 'unknown_key',
+        message: 'orderItems[0].stapled is not a known field (did you mean "staple"?)'
+      },
+      {
+        path: 'shippingCustomer.shipmentTrackingEmails',
+        code: 'unknown_key',
+        message: 'shippingCustomer.shipmentTrackingEmails is not a known field (did you mean "shipmentTrackingEmail"?)'
+      },
+      {
+        path: 'shippingCustomer.nickname',
+        code: 'unknown_key',
+        message: 'shippingCustomer.nickname is not a known field'
+      }
+    ]);
+  });
+
+  it('checks each customer against its own fields', () => {
+    const order = validOrder({ sourceSystemBilling: false });
+    order.billingCustomer = { ...order.shippingCustomer };
+    assert.deepEqual(
+      validateOrder(order, { strict: true }).issues.map((i) => i.message),
+      ['billingCustomer.shipmentTrackingEmail is not a known field']
+    );
+  });
+
+  it('reports unknown keys as warnings in "warn" mode', () => {
+    const result = validatePricing([
+      { sku: 'TAB_2D_16P', productType: 'Newsletter', quantity: 1, quantiy: 2 }
+    ], { strict: 'warn' });
+    assert.equal(result.valid, true);
+    assert.deepEqual(result.warnings.map((w) => [w.path, w.code]), [['orderItems[0].quantiy', 'unknown_key']]);
+  });
+
+  it('throws on an invalid strict value', () => {
+    assert.throws(() => validatePricing([], { strict: 'yes' }), { message: 'strict must be true, false or "warn"' });
+  });
+});
+
+describe('assertValid', () => {
+  it('does nothing for a valid result', () => {
+    assert.doesNotThrow(() => assertValid({ valid: true, issues: [] }));
+  });
+
+  it('throws the first issue with the full list attached', () => {
+    const result = validatePricing([]);
+    assert.throws(() => assertValid(result), (err) => {
+      assert.ok(err instanceof ValidationError);
+      assert.equal(err.message, 'orderItems must be a non-empty array');
+      assert.equal(err.path, 'orderItems');
+      assert.equal(err.code, 'required');
+      assert.equal(err.issues, result.issues);
+      return true;
+    });
+  });
+});